@@ -9,10 +9,17 @@ const morgan = require("morgan");
 // Import Utils
 const { globalErrorHandler } = require("./middlewares/error.middleware");
 const { AppError } = require("./utils/appError");
+const { LOCAL_DIR } = require("./utils/storage");
+const { displayCurrency } = require("./middlewares/money.middleware");
 
 // Import Router
 const { userRouter } = require("./routes/user.routes");
+const { adminUserRouter } = require("./routes/adminUser.routes");
+const { roleRouter } = require("./routes/role.routes");
+const { categoryRouter } = require("./routes/category.routes");
+const { couponRouter } = require("./routes/coupon.routes");
 const { productRouter } = require("./routes/product.routes");
+const { catalogRouter } = require("./routes/catalog.routes");
 const { cartRouter } = require("./routes/cart.routes");
 const { orderRouter } = require("./routes/order.routes");
 
@@ -20,12 +27,24 @@ const app = express();
 
 app.use(express.json());
 
-app.use(cors());
+// The browsers can only read the response headers that are exposed
+app.use(cors({ exposedHeaders: ["Idempotent-Replayed"] }));
 
 app.use(helmet());
 
 app.use(compression());
 
+// The images of the local storage, other origins can show them
+if ((process.env.STORAGE_DRIVER || "local") === "local") {
+  app.use(
+    "/uploads",
+    express.static(LOCAL_DIR, {
+      setHeaders: (res) =>
+        res.set("Cross-Origin-Resource-Policy", "cross-origin")
+    })
+  );
+}
+
 if (process.env.NODE_ENV === "development") {
   app.use(morgan("dev"));
 }
@@ -40,8 +59,15 @@ const limiter = rateLimit({
 
 app.use(limiter);
 
+app.use(displayCurrency);
+
 app.use("/api/v1/users", userRouter);
+app.use("/api/v1/admin/users", adminUserRouter);
+app.use("/api/v1/admin/roles", roleRouter);
+app.use("/api/v1/admin/categories", categoryRouter);
+app.use("/api/v1/admin/coupons", couponRouter);
 app.use("/api/v1/products", productRouter);
+app.use("/api/v1/catalog", catalogRouter);
 app.use("/api/v1/cart", cartRouter);
 app.use("/api/v1/orders", orderRouter);
 
@@ -0,0 +1,377 @@
+// Import Database
+const { database } = require("../database/database");
+
+// Import Models
+const { User } = require("../models/user.model");
+const { RoleChange } = require("../models/roleChange.model");
+
+// Import Utils
+const { catchAsync } = require("../utils/catchAsync");
+const { AppError } = require("../utils/appError");
+const { parseQuery, paginationInfo } = require("../utils/queryFeatures");
+const { revokeUserSessions } = require("../utils/authTokens");
+
+const userAttributes = { exclude: ["password", "passwordConfirm"] };
+
+// Finds a user whatever its status, admins can also see the deleted ones
+const findUser = async (id, options = {}) => {
+  const user = await User.findOne({
+    where: { id },
+    attributes: userAttributes,
+    ...options
+  });
+
+  if (!user) {
+    throw new AppError(404, "Cant find the user with the given ID");
+  }
+
+  return user;
+};
+
+const protectSelf = (currentUser, id, action) => {
+  if (currentUser.id === +id) {
+    throw new AppError(403, `You cant ${action} your own account`);
+  }
+};
+
+// Get all the users
+/**
+ * @api {get} https://prueba-tecnica-brm.herokuapp.com/api/v1/admin/users 1. Get all users
+ * @apiName AdminGetAllUsers
+ * @apiGroup AdminUser
+ * @apiPermission users:read
+ *
+ * @apiHeader {String} token Users unique access-key.
+ *
+ * @apiHeaderExample {json} Header-Example:
+ * {
+ *   "Authorization": "Bearer {{TOKEN_USER}}"
+ * }
+ *
+ * @apiQuery {Number} [page=1] The page to return.
+ * @apiQuery {Number} [limit=20] The users per page (max 100).
+ * @apiQuery {String} [sort] Comma separated fields, prefix with - for descending (e.g. -createdAt).
+ * @apiQuery {String} [status] Filter by status (active, inactive or deleted).
+ * @apiQuery {String} [role] Filter by role.
+ *
+ * @apiSuccess {Array} users Get all the users, including the deleted and inactive ones.
+ * @apiSuccess {Object} pagination The total count, page, limit, and the next and previous links.
+ *
+ * @apiSuccessExample {json} Success-Response:
+ * HTTP/1.1 200 OK
+ * [
+ *   {
+ *     "id": 1,
+ *     "username": "viviana",
+ *     "email": "viviana@gmail.com",
+ *     "role": "client",
+ *     "status": "deleted",
+ *     "createdAt": "2022-05-22T23:11:04.236Z",
+ *     "updatedAt": "2022-05-22T23:11:04.236Z"
+ *   }
+ * ]
+ *
+ * @apiError AdminUser Protect Admin
+ *
+ * @apiErrorExample Error-Response:
+ * HTTP/1.1 403 Not Found
+ * {
+ *   error: "Access denied"
+ * }
+ */
+exports.getAllUsers = catchAsync(async (req, res, next) => {
+  const { page, limit, offset, where, order } = parseQuery(req.query, {
+    filterFields: { status: "string", role: "string", createdAt: "date" },
+    sortFields: ["id", "username", "email", "createdAt"]
+  });
+
+  const { count, rows: users } = await User.findAndCountAll({
+    where,
+    attributes: userAttributes,
+    order,
+    limit,
+    offset
+  });
+
+  res.status(200).json({
+    status: "success",
+    data: users,
+    pagination: paginationInfo(req, { count, page, limit })
+  });
+});
+
+// Get user by id
+/**
+ * @api {get} https://prueba-tecnica-brm.herokuapp.com/api/v1/admin/users/:id 2. Get user by id
+ * @apiName AdminGetUserById
+ * @apiGroup AdminUser
+ * @apiPermission users:read
+ *
+ * @apiHeader {String} token Users unique access-key.
+ *
+ * @apiHeaderExample {json} Header-Example:
+ * {
+ *   "Authorization": "Bearer {{TOKEN_USER}}"
+ * }
+ *
+ * @apiParam {Number} id User id
+ *
+ * @apiSuccess {Object} user The user, whatever its status, with its role changes.
+ *
+ * @apiSuccessExample {json} Success-Response:
+ * HTTP/1.1 200 OK
+ * {
+ *   "id": 1,
+ *   "username": "viviana",
+ *   "email": "viviana@gmail.com",
+ *   "role": "admin",
+ *   "status": "active",
+ *   "createdAt": "2022-05-22T23:11:04.236Z",
+ *   "updatedAt": "2022-05-22T23:11:04.236Z",
+ *   "roleChanges": [
+ *     {
+ *       "id": 1,
+ *       "userId": 1,
+ *       "adminId": 2,
+ *       "fromRole": "client",
+ *       "toRole": "admin",
+ *       "createdAt": "2022-05-23T01:10:04.236Z",
+ *       "admin": { "id": 2, "username": "nicolas" }
+ *     }
+ *   ]
+ * }
+ *
+ * @apiError AdminUser Can't find the user with the given ID
+ *
+ * @apiErrorExample Error-Response:
+ * HTTP/1.1 404 Not Found
+ * {
+ *   error: "Cant find the user with the given ID"
+ * }
+ */
+exports.getUserById = catchAsync(async (req, res, next) => {
+  const user = await findUser(req.params.id, {
+    include: [
+      {
+        model: RoleChange,
+        include: [{ model: User, as: "admin", attributes: ["id", "username"] }]
+      }
+    ],
+    order: [[RoleChange, "createdAt", "ASC"]]
+  });
+
+  res.status(200).json({
+    status: "success",
+    data: user
+  });
+});
+
+// Change the user role
+/**
+ * @api {patch} https://prueba-tecnica-brm.herokuapp.com/api/v1/admin/users/:id/role 3. Change user role
+ * @apiName AdminChangeUserRole
+ * @apiGroup AdminUser
+ * @apiPermission users:manage
+ *
+ * @apiHeader {String} token Users unique access-key.
+ *
+ * @apiHeaderExample {json} Header-Example:
+ * {
+ *   "Authorization": "Bearer {{TOKEN_USER}}"
+ * }
+ *
+ * @apiParam {Number} id User id
+ *
+ * @apiBody {String} role The name of an existing role (e.g. admin, client, inventory_manager).
+ *
+ * @apiSuccess {Object} user The user with its new role.
+ *
+ * @apiSuccessExample {json} Success-Response:
+ * HTTP/1.1 200 OK
+ * {
+ *   "id": 1,
+ *   "username": "viviana",
+ *   "email": "viviana@gmail.com",
+ *   "role": "admin",
+ *   "status": "active",
+ *   "createdAt": "2022-05-22T23:11:04.236Z",
+ *   "updatedAt": "2022-05-23T01:10:04.236Z"
+ * }
+ *
+ * @apiError AdminUser Admins can't change their own role
+ *
+ * @apiErrorExample Error-Response:
+ * HTTP/1.1 403 Forbidden
+ * {
+ *   error: "You cant change the role of your own account"
+ * }
+ */
+exports.changeUserRole = catchAsync(async (req, res, next) => {
+  const { id } = req.params;
+
+  const { role } = req.body;
+
+  const { currentUser } = req;
+
+  protectSelf(currentUser, id, "change the role of");
+
+  const user = await database.transaction(async (transaction) => {
+    const user = await findUser(id, {
+      lock: transaction.LOCK.UPDATE,
+      transaction
+    });
+
+    if (user.role === role) {
+      return user;
+    }
+
+    await RoleChange.create(
+      {
+        userId: user.id,
+        adminId: currentUser.id,
+        fromRole: user.role,
+        toRole: role
+      },
+      { transaction }
+    );
+
+    return await user.update({ role }, { transaction });
+  });
+
+  res.status(200).json({
+    status: "success",
+    data: user
+  });
+});
+
+// Deactivate user
+/**
+ * @api {patch} https://prueba-tecnica-brm.herokuapp.com/api/v1/admin/users/:id/deactivate 4. Deactivate user
+ * @apiName AdminDeactivateUser
+ * @apiGroup AdminUser
+ * @apiPermission users:manage
+ *
+ * @apiHeader {String} token Users unique access-key.
+ *
+ * @apiHeaderExample {json} Header-Example:
+ * {
+ *   "Authorization": "Bearer {{TOKEN_USER}}"
+ * }
+ *
+ * @apiParam {Number} id User id
+ *
+ * @apiSuccess {String} status Success.
+ *
+ * @apiSuccessExample {json} Success-Response:
+ * HTTP/1.1 204 OK
+ * {
+ *   "status": "success"
+ * }
+ *
+ * @apiError AdminUser Admins can't deactivate themselves
+ *
+ * @apiErrorExample Error-Response:
+ * HTTP/1.1 403 Forbidden
+ * {
+ *   error: "You cant deactivate your own account"
+ * }
+ */
+exports.deactivateUser = catchAsync(async (req, res, next) => {
+  const { id } = req.params;
+
+  protectSelf(req.currentUser, id, "deactivate");
+
+  const user = await findUser(id);
+
+  await user.update({ status: "inactive" });
+
+  await revokeUserSessions(user.id);
+
+  res.status(204).json({
+    status: "success"
+  });
+});
+
+// Reactivate user
+/**
+ * @api {patch} https://prueba-tecnica-brm.herokuapp.com/api/v1/admin/users/:id/reactivate 5. Reactivate user
+ * @apiName AdminReactivateUser
+ * @apiGroup AdminUser
+ * @apiPermission users:manage
+ *
+ * @apiHeader {String} token Users unique access-key.
+ *
+ * @apiHeaderExample {json} Header-Example:
+ * {
+ *   "Authorization": "Bearer {{TOKEN_USER}}"
+ * }
+ *
+ * @apiParam {Number} id User id
+ *
+ * @apiSuccess {String} status Success.
+ *
+ * @apiSuccessExample {json} Success-Response:
+ * HTTP/1.1 204 OK
+ * {
+ *   "status": "success"
+ * }
+ *
+ * @apiError AdminUser Can't find the user with the given ID
+ *
+ * @apiErrorExample Error-Response:
+ * HTTP/1.1 404 Not Found
+ * {
+ *   error: "Cant find the user with the given ID"
+ * }
+ */
+exports.reactivateUser = catchAsync(async (req, res, next) => {
+  const user = await findUser(req.params.id);
+
+  await user.update({ status: "active" });
+
+  res.status(204).json({
+    status: "success"
+  });
+});
+
+// Force logout
+/**
+ * @api {post} https://prueba-tecnica-brm.herokuapp.com/api/v1/admin/users/:id/logout 6. Force logout
+ * @apiName AdminForceLogout
+ * @apiGroup AdminUser
+ * @apiPermission users:manage
+ *
+ * @apiHeader {String} token Users unique access-key.
+ *
+ * @apiHeaderExample {json} Header-Example:
+ * {
+ *   "Authorization": "Bearer {{TOKEN_USER}}"
+ * }
+ *
+ * @apiParam {Number} id User id
+ *
+ * @apiSuccess {String} status Success, every session of the user is closed.
+ *
+ * @apiSuccessExample {json} Success-Response:
+ * HTTP/1.1 204 OK
+ * {
+ *   "status": "success"
+ * }
+ *
+ * @apiError AdminUser Can't find the user with the given ID
+ *
+ * @apiErrorExample Error-Response:
+ * HTTP/1.1 404 Not Found
+ * {
+ *   error: "Cant find the user with the given ID"
+ * }
+ */
+exports.forceLogout = catchAsync(async (req, res, next) => {
+  const user = await findUser(req.params.id);
+
+  await revokeUserSessions(user.id);
+
+  res.status(204).json({
+    status: "success"
+  });
+});
@@ -1,13 +1,94 @@
+// Import Database
+const { database } = require("../database/database");
+
 // Import Models
 const { Cart } = require("../models/cart.model");
 const { Product } = require("../models/product.model");
 const { ProductInCart } = require("../models/productsInCart.model");
 const { Order } = require("../models/order.model");
-const { User } = require("../models/user.model");
+const { OrderItem } = require("../models/orderItem.model");
+const { OrderStatusHistory } = require("../models/orderStatusHistory.model");
+const { OrderItemLot } = require("../models/orderItemLot.model");
+const { Coupon } = require("../models/coupon.model");
 
 // Import Utils
 const { AppError } = require("../utils/appError");
 const { catchAsync } = require("../utils/catchAsync");
+const { moveStock } = require("../utils/stockLedger");
+const { signCartToken } = require("../utils/authTokens");
+const { drawFromLots, expireProductLots } = require("../utils/lots");
+const {
+  reservationFor,
+  reservedQuantities,
+  availability,
+  checkSellable
+} = require("../utils/reservations");
+const {
+  findCoupon,
+  findCouponByCode,
+  redeemCoupon
+} = require("../utils/coupons");
+const { priceLines } = require("../utils/pricing");
+
+// The active cart of the user or of the guest, see identifyCart
+const findActiveCart = async (cartOwner, options = {}) => {
+  if (!cartOwner) return null;
+
+  return await Cart.findOne({
+    where: { status: "active", ...cartOwner },
+    ...options
+  });
+};
+
+// The cart lines with the current prices of the products
+const cartLines = async (cart, { transaction } = {}) => {
+  const products = await cart.getProducts({
+    attributes: ["id", "name", "price", "currency"],
+    joinTableAttributes: ["quantity"],
+    through: { where: { status: "active" } },
+    order: [["id", "ASC"]],
+    transaction
+  });
+
+  return products.map((el) => ({
+    productId: el.id,
+    name: el.name,
+    unitPrice: el.price,
+    quantity: el.productInCart.quantity
+  }));
+};
+
+// What the cart would cost if it was purchased now. A coupon that can't be
+// used anymore doesn't fail the cart, it's reported in couponError
+const cartSummary = async (cart, { transaction } = {}) => {
+  const lines = await cartLines(cart, { transaction });
+
+  if (!cart.couponId) {
+    return await priceLines(lines, { transaction });
+  }
+
+  const coupon = await Coupon.findOne({
+    where: { id: cart.couponId, status: "active" },
+    transaction
+  });
+
+  if (!coupon) {
+    return {
+      ...(await priceLines(lines, { transaction })),
+      couponError: {
+        code: "COUPON_NOT_FOUND",
+        message: "The coupon doesn't exist"
+      }
+    };
+  }
+
+  return await priceLines(lines, {
+    coupon,
+    userId: cart.userId,
+    strict: false,
+    transaction
+  });
+};
 
 // Get all users cart
 /**
@@ -17,6 +98,7 @@ const { catchAsync } = require("../utils/catchAsync");
  * @apiPermission none
  *
  * @apiHeader {String} token Users unique access-key.
+ * @apiHeader {String} [X-Cart-Token] Instead of the token, the cart token of a guest.
  *
  * @apiHeaderExample {json} Header-Example:
  * {
@@ -24,16 +106,31 @@ const { catchAsync } = require("../utils/catchAsync");
  * }
  *
  * @apiSuccess {Object} users Get all the users.
+ * @apiSuccess {Object} summary The cart priced like the checkout would: line totals, item count, discount, tax (TAX_RATE or the rate of the categories, TAX_INCLUSIVE when the prices include it) and the total. A coupon that can't be used anymore is sent in couponError.
  *
  * @apiSuccessExample {json} Success-Response:
  * HTTP/1.1 200 OK
  * {
- *   "id": 2,
- *   "userId": 2,
- *   "status": "active",
- *   "createdAt": "2022-05-23T03:39:19.649Z",
- *   "updatedAt": "2022-05-23T03:39:19.649Z",
- *   "products": [product with details]
+ *   "cart": {
+ *     "id": 2,
+ *     "userId": 2,
+ *     "status": "active",
+ *     "createdAt": "2022-05-23T03:39:19.649Z",
+ *     "updatedAt": "2022-05-23T03:39:19.649Z",
+ *     "products": [product with details]
+ *   },
+ *   "summary": {
+ *     "items": [
+ *       { "productId": 1, "name": "Tv Sony", "unitPrice": { "amount": "1000000.00", "currency": "COP", "formatted": "$ 1.000.000,00" }, "quantity": 2, "lineTotal": { "amount": "2000000.00", "currency": "COP", "formatted": "$ 2.000.000,00" }, "couponApplies": true, "discount": { "amount": "200000.00", "currency": "COP", "formatted": "$ 200.000,00" }, "taxRate": 19, "tax": { "amount": "342000.00", "currency": "COP", "formatted": "$ 342.000,00" }, "total": { "amount": "2142000.00", "currency": "COP", "formatted": "$ 2.142.000,00" } }
+ *     ],
+ *     "itemCount": 2,
+ *     "subtotal": { "amount": "2000000.00", "currency": "COP", "formatted": "$ 2.000.000,00" },
+ *     "discount": { "amount": "200000.00", "currency": "COP", "formatted": "$ 200.000,00" },
+ *     "tax": { "amount": "342000.00", "currency": "COP", "formatted": "$ 342.000,00" },
+ *     "taxInclusive": false,
+ *     "totalPrice": { "amount": "2142000.00", "currency": "COP", "formatted": "$ 2.142.000,00" },
+ *     "coupon": { "code": "WELCOME10", "description": null, "type": "percentage", "value": 10 }
+ *   }
  * }
  *
  * @apiError Cart Can't find the user with the given ID
@@ -45,10 +142,7 @@ const { catchAsync } = require("../utils/catchAsync");
  * }
  */
 exports.getUserCart = catchAsync(async (req, res, next) => {
-  const { currentUser } = req;
-
-  const cart = await Cart.findOne({
-    where: { status: "active", userId: currentUser.id },
+  const cart = await findActiveCart(req.cartOwner, {
     include: [
       {
         model: Product,
@@ -61,10 +155,13 @@ exports.getUserCart = catchAsync(async (req, res, next) => {
     return next(new AppError(404, "This user does not have a cart yet"));
   }
 
+  const summary = await cartSummary(cart);
+
   res.status(200).json({
     status: "success",
     data: {
-      cart
+      cart,
+      summary
     }
   });
 });
@@ -77,6 +174,7 @@ exports.getUserCart = catchAsync(async (req, res, next) => {
  * @apiPermission none
  *
  * @apiHeader {String} token Users unique access-key.
+ * @apiHeader {String} [X-Cart-Token] Instead of the token, the cart token of a guest.
  *
  * @apiHeaderExample {json} Header-Example:
  * {
@@ -91,6 +189,9 @@ exports.getUserCart = catchAsync(async (req, res, next) => {
  * @apiSuccess {Number} productId The product id.
  * @apiSuccess {Number} cartId The cart id.
  * @apiSuccess {Number} quantity The quantity to buy
+ * @apiSuccess {Number} reservedQuantity The quantity reserved for the cart, other carts can't take it.
+ * @apiSuccess {String} reservedUntil When the reservation expires (CART_RESERVATION_MINUTES, 15 by default).
+ * @apiSuccess {String} cartToken Only for the guests, the token of their cart. It's sent in the X-Cart-Token header and merged into the user's cart on login or signup.
  * @apiSuccess {String} updatedAt The update date of the cart.
  * @apiSuccess {String} createdAt The cart's creation date.
  *
@@ -102,6 +203,8 @@ exports.getUserCart = catchAsync(async (req, res, next) => {
  *   "productId": 1,
  *   "cartId": 2,
  *   "quantity": 1,
+ *   "reservedQuantity": 1,
+ *   "reservedUntil": "2022-05-23T03:54:19.653Z",
  *   "updatedAt": "2022-05-23T03:39:19.653Z",
  *   "createdAt": "2022-05-23T03:39:19.653Z"
  * }
@@ -114,12 +217,12 @@ exports.getUserCart = catchAsync(async (req, res, next) => {
  *   error: "Cant find the product with the given ID"
  * }
  *
- * @apiError QuantityNotAvailable This product only has ${product.quantityAvailable} items.
+ * @apiError QuantityNotAvailable This product only has ${sellable} items, the stock reserved by other carts is not counted.
  *
  * @apiErrorExample Error-Response:
  * HTTP/1.1 400 Not Found
  * {
- *   error: "This product only has ${product.quantityAvailable} items."
+ *   error: "This product only has ${sellable} items."
  * }
  *
  * @apiError ProductExistInCart This product is already in the cart
@@ -131,72 +234,65 @@ exports.getUserCart = catchAsync(async (req, res, next) => {
  * }
  */
 exports.addProductToCart = catchAsync(async (req, res, next) => {
-  const { currentUser } = req;
+  const { currentUser, cartOwner } = req;
   const { productId, quantity } = req.body;
 
-  const product = await Product.findOne({
-    where: { status: "active", id: productId }
-  });
-
-  if (!product) {
-    return next(new AppError(404, "Cant find the product with the given ID"));
-  }
-
-  if (quantity > product.quantityAvailable) {
-    return next(
-      new AppError(
-        400,
-        `This product only has ${product.quantityAvailable} items.`
-      )
-    );
-  }
+  const { cart, addNewProduct } = await database.transaction(
+    async (transaction) => {
+      // The product row is locked while its reservations are counted
+      const product = await Product.findOne({
+        where: { status: "active", id: productId },
+        lock: transaction.LOCK.UPDATE,
+        transaction
+      });
 
-  const cart = await Cart.findOne({
-    where: {
-      status: "active",
-      userId: currentUser.id
-    }
-  });
+      if (!product) {
+        throw new AppError(404, "Cant find the product with the given ID");
+      }
 
-  let addNewProduct;
+      // A guest gets a new cart and its token with the first product
+      const cart =
+        (await findActiveCart(cartOwner, { transaction })) ||
+        (await Cart.create(
+          { userId: currentUser ? currentUser.id : null },
+          { transaction }
+        ));
 
-  if (!cart) {
-    const newCart = await Cart.create({ userId: currentUser.id });
+      const productExists = await ProductInCart.findOne({
+        where: { cartId: cart.id, productId },
+        transaction
+      });
 
-    addNewProduct = await ProductInCart.create({
-      productId,
-      cartId: newCart.id,
-      quantity
-    });
-  } else {
-    const productExists = await ProductInCart.findOne({
-      where: { cartId: cart.id, productId }
-    });
+      if (productExists && productExists.status === "active") {
+        throw new AppError(400, "This product is already in the cart");
+      }
 
-    if (productExists && productExists.status === "active") {
-      return next(new AppError(400, "This product is already in the cart"));
-    }
+      await checkSellable(product, quantity, { cartId: cart.id, transaction });
 
-    if (productExists && productExists.status === "removed") {
-      addNewProduct = await productExists.update({
-        status: "active",
-        quantity
-      });
-    }
+      const addNewProduct = productExists
+        ? await productExists.update(
+            { status: "active", quantity, ...reservationFor(quantity) },
+            { transaction }
+          )
+        : await ProductInCart.create(
+            {
+              cartId: cart.id,
+              productId,
+              quantity,
+              ...reservationFor(quantity)
+            },
+            { transaction }
+          );
 
-    if (!productExists) {
-      addNewProduct = await ProductInCart.create({
-        cartId: cart.id,
-        productId,
-        quantity
-      });
+      return { cart, addNewProduct };
     }
-  }
+  );
 
   res.status(201).json({
     status: "success",
     data: {
-      addNewProduct
+      addNewProduct,
+      ...(cart.userId ? {} : { cartToken: signCartToken(cart) })
     }
   });
 });
@@ -209,6 +305,7 @@ exports.addProductToCart = catchAsync(async (req, res, next) => {
  * @apiPermission none
  *
  * @apiHeader {String} token Users unique access-key.
+ * @apiHeader {String} [X-Cart-Token] Instead of the token, the cart token of a guest.
  *
  * @apiHeaderExample {json} Header-Example:
  * {
@@ -216,7 +313,7 @@ exports.addProductToCart = catchAsync(async (req, res, next) => {
  * }
  *
  * @apiBody {Number} productId The unique id of each product
- * @apiBody {Number} quantity The quantity to buy
+ * @apiBody {Number} quantity The quantity to buy, 0 removes the product. The reservation starts again with the new quantity.
  *
  * @apiSuccess {String} status Success.
  *
@@ -234,12 +331,12 @@ exports.addProductToCart = catchAsync(async (req, res, next) => {
  *   error: "Cant find the product with the given ID"
  * }
  *
- * @apiError QuantityNotAvailable This product only has ${product.quantityAvailable} items.
+ * @apiError QuantityNotAvailable This product only has ${sellable} items, the stock reserved by other carts is not counted.
  *
  * @apiErrorExample Error-Response:
  * HTTP/1.1 400 Not Found
  * {
- *   error: "This product only has ${product.quantityAvailable} items."
+ *   error: "This product only has ${sellable} items."
  * }
  *
  * @apiError Cart This user does not have a cart yet
@@ -259,52 +356,54 @@ exports.addProductToCart = catchAsync(async (req, res, next) => {
  * }
  */
 exports.updateCartProduct = catchAsync(async (req, res, next) => {
-  const { currentUser } = req;
+  const { cartOwner } = req;
 
   const { productId, quantity } = req.body;
 
-  const product = await Product.findOne({
-    where: { status: "active", id: productId }
-  });
+  await database.transaction(async (transaction) => {
+    const product = await Product.findOne({
+      where: { status: "active", id: productId },
+      lock: transaction.LOCK.UPDATE,
+      transaction
+    });
 
-  if (!product) {
-    return next(new AppError(404, "Cant find the product with the given ID"));
-  }
+    if (!product) {
+      throw new AppError(404, "Cant find the product with the given ID");
+    }
 
-  if (quantity > product.quantityAvailable) {
-    return next(
-      new AppError(
-        400,
-        `This product only has ${product.quantityAvailable} items`
-      )
-    );
-  }
+    const cart = await findActiveCart(cartOwner, { transaction });
 
-  const cart = await Cart.findOne({
-    where: { status: "active", userId: currentUser.id }
-  });
+    if (!cart) {
+      throw new AppError(400, "This user does not have a cart yet");
+    }
 
-  if (!cart) {
-    return next(new AppError(400, "This user does not have a cart yet"));
-  }
+    const productInCart = await ProductInCart.findOne({
+      where: { status: "active", cartId: cart.id, productId },
+      transaction
+    });
 
-  const productInCart = await ProductInCart.findOne({
-    where: { status: "active", cartId: cart.id, productId }
-  });
+    if (!productInCart) {
+      throw new AppError(404, `Can't update product, is not in the cart yet`);
+    }
 
-  if (!productInCart) {
-    return next(
-      new AppError(404, `Can't update product, is not in the cart yet`)
-    );
-  }
+    // Removing the product releases its reservation
+    if (quantity === 0) {
+      await productInCart.update(
+        { quantity: 0, status: "removed", ...reservationFor(0) },
+        { transaction }
+      );
+    }
 
-  if (quantity === 0) {
-    await productInCart.update({ quantity: 0, status: "removed" });
-  }
+    // The TTL of the reservation starts again with the new quantity
+    if (quantity > 0) {
+      await checkSellable(product, quantity, { cartId: cart.id, transaction });
 
-  if (quantity > 0) {
-    await productInCart.update({ quantity });
-  }
+      await productInCart.update(
+        { quantity, ...reservationFor(quantity) },
+        { transaction }
+      );
+    }
+  });
 
   res.status(204).json({
     status: "success"
@@ -319,6 +418,7 @@ exports.updateCartProduct = catchAsync(async (req, res, next) => {
  * @apiPermission none
  *
  * @apiHeader {String} token Users unique access-key.
+ * @apiHeader {String} [X-Cart-Token] Instead of the token, the cart token of a guest.
  *
  * @apiHeaderExample {json} Header-Example:
  * {
@@ -352,16 +452,9 @@ exports.updateCartProduct = catchAsync(async (req, res, next) => {
  * }
  */
 exports.removeProductFromCart = catchAsync(async (req, res, next) => {
-  const { currentUser } = req;
-
   const { productId } = req.params;
 
-  const cart = await Cart.findOne({
-    where: {
-      status: "active",
-      userId: currentUser.id
-    }
-  });
+  const cart = await findActiveCart(req.cartOwner);
 
   if (!cart) {
     return next(new AppError(404, "This user does not have a cart yet"));
@@ -379,7 +472,11 @@ exports.removeProductFromCart = catchAsync(async (req, res, next) => {
     return next(new AppError(404, "This product does not exist in this cart"));
   }
 
-  await productInCart.update({ status: "removed", quantity: 0 });
+  await productInCart.update({
+    status: "removed",
+    quantity: 0,
+    ...reservationFor(0)
+  });
 
   res.status(204).json({
     status: "success"
@@ -394,6 +491,7 @@ exports.removeProductFromCart = catchAsync(async (req, res, next) => {
  * @apiPermission none
  *
  * @apiHeader {String} token Users unique access-key.
+ * @apiHeader {String} [Idempotency-Key] A unique key per purchase. A retry with the same key gets the first response again (Idempotent-Replayed header) instead of purchasing twice. The 4xx responses are replayed as well, e.g. a 409 for missing stock keeps being returned for that key, so the purchase is retried with a new key; the 5xx responses are not stored.
  *
  * @apiHeaderExample {json} Header-Example:
  * {
@@ -405,13 +503,31 @@ exports.removeProductFromCart = catchAsync(async (req, res, next) => {
  * @apiSuccessExample {json} Success-Response:
  * HTTP/1.1 201 OK
  * {
- *   "id": 2,
+ *   "id": 1,
  *   "userId": 2,
- *   "status": "purchased",
- *   "createdAt": "2022-05-23T03:39:19.649Z",
+ *   "cartId": 2,
+ *   "issuedAt": "Mon May 23 2022 03:58:59 GMT+0000 (Coordinated Universal Time)",
+ *   "subtotal": { "amount": "1000000.00", "currency": "COP", "formatted": "$ 1.000.000,00" },
+ *   "discount": { "amount": "100000.00", "currency": "COP", "formatted": "$ 100.000,00" },
+ *   "couponId": 1,
+ *   "couponCode": "WELCOME10",
+ *   "tax": { "amount": "171000.00", "currency": "COP", "formatted": "$ 171.000,00" },
+ *   "totalPrice": { "amount": "1071000.00", "currency": "COP", "formatted": "$ 1.071.000,00" },
+ *   "status": "pending",
+ *   "createdAt": "2022-05-23T03:58:59.072Z",
  *   "updatedAt": "2022-05-23T03:58:59.072Z",
- *   "user": {user details},
- *   "products": [products details]
+ *   "orderItems": [
+ *     {
+ *       "id": 1,
+ *       "orderId": 1,
+ *       "productId": 1,
+ *       "name": "Tv Sony",
+ *       "batchNumber": 1,
+ *       "unitPrice": { "amount": "1000000.00", "currency": "COP", "formatted": "$ 1.000.000,00" },
+ *       "quantity": 1,
+ *       "lineTotal": { "amount": "1000000.00", "currency": "COP", "formatted": "$ 1.000.000,00" }
+ *     }
+ *   ]
  * }
  *
  * @apiError Cart This user does not have a cart yet
@@ -421,54 +537,576 @@ exports.removeProductFromCart = catchAsync(async (req, res, next) => {
  * {
  *   error: "This user does not have a cart yet"
  * }
+ *
+ * @apiError EmptyCart The cart has no products
+ *
+ * @apiErrorExample Error-Response:
+ * HTTP/1.1 400 Bad Request
+ * {
+ *   error: "The cart is empty"
+ * }
+ *
+ * @apiError QuantityNotAvailable One or more products don't have enough stock, nothing is purchased
+ *
+ * @apiErrorExample Error-Response:
+ * HTTP/1.1 409 Conflict
+ * {
+ *   "code": "INSUFFICIENT_STOCK",
+ *   "message": "Tv Sony only has 2 items (requested 3). Tv Samsung is no longer available",
+ *   "details": [
+ *     { "productId": 1, "requested": 3, "available": 2, "message": "Tv Sony only has 2 items (requested 3)" },
+ *     { "productId": 2, "requested": 1, "available": 0, "message": "Tv Samsung is no longer available" }
+ *   ]
+ * }
+ *
+ * @apiError IdempotencyKey The key was already used with a different request (422), or its first request is still running (409)
+ *
+ * @apiErrorExample Error-Response:
+ * HTTP/1.1 422 Unprocessable Entity
+ * {
+ *   "code": "IDEMPOTENCY_KEY_REUSED",
+ *   "message": "The Idempotency-Key was already used with a different request"
+ * }
+ *
+ * @apiError Coupon The coupon of the cart can't be used anymore, nothing is purchased
+ *
+ * @apiErrorExample Error-Response:
+ * HTTP/1.1 409 Conflict
+ * {
+ *   "code": "COUPON_USAGE_LIMIT",
+ *   "message": "The coupon has reached its usage limit"
+ * }
  */
 exports.purchaseCart = catchAsync(async (req, res, next) => {
   const { currentUser } = req;
 
-  const cart = await Cart.findOne({
-    where: { status: "active", userId: currentUser.id },
-    include: [
-      { model: User, attributes: { exclude: ["password", "passwordConfirm"] } },
-      {
-        model: Product,
-        through: { where: { status: "active" } }
+  // Everything runs in one transaction, if any step fails nothing is purchased
+  const order = await database.transaction(async (transaction) => {
+    const cart = await Cart.findOne({
+      where: { status: "active", userId: currentUser.id },
+      lock: transaction.LOCK.UPDATE,
+      transaction
+    });
+
+    if (!cart) {
+      throw new AppError(404, "This user does not have a cart yet");
+    }
+
+    const productsInCart = await ProductInCart.findAll({
+      where: { status: "active", cartId: cart.id },
+      transaction
+    });
+
+    if (productsInCart.length === 0) {
+      throw new AppError(400, "The cart is empty");
+    }
+
+    // The rows are locked in id order so concurrent checkouts can't deadlock
+    const products = await Product.findAll({
+      where: { id: productsInCart.map((el) => el.productId) },
+      order: [["id", "ASC"]],
+      lock: transaction.LOCK.UPDATE,
+      transaction
+    });
+
+    // The expired lots can't be sold, their stock is taken out first
+    for (const product of products) {
+      await expireProductLots(product, { transaction });
+    }
+
+    // The units reserved by other carts can't be sold, the reservation of
+    // this cart may have expired but its quantity is still checked here
+    const reserved = await reservedQuantities(
+      products.map((el) => el.id),
+      { exceptCartId: cart.id, transaction }
+    );
+
+    const stockErrors = [];
+
+    productsInCart.forEach((productInCart) => {
+      const product = products.find((el) => el.id === productInCart.productId);
+      const { sellable } = product
+        ? availability(product, reserved)
+        : { sellable: 0 };
+
+      if (!product || product.status !== "active") {
+        stockErrors.push({
+          productId: productInCart.productId,
+          requested: productInCart.quantity,
+          available: 0,
+          message: `${
+            product ? product.name : "The product"
+          } is no longer available`
+        });
+      } else if (productInCart.quantity > sellable) {
+        stockErrors.push({
+          productId: product.id,
+          requested: productInCart.quantity,
+          available: sellable,
+          message: `${product.name} only has ${sellable} items (requested ${productInCart.quantity})`
+        });
       }
-    ]
+    });
+
+    if (stockErrors.length > 0) {
+      throw new AppError(409, stockErrors.map((el) => el.message).join(". "), {
+        code: "INSUFFICIENT_STOCK",
+        details: stockErrors
+      });
+    }
+
+    const items = productsInCart.map((productInCart) => {
+      const product = products.find((el) => el.id === productInCart.productId);
+
+      return {
+        productId: product.id,
+        name: product.name,
+        batchNumber: product.batchNumber,
+        unitPrice: product.price,
+        quantity: productInCart.quantity,
+        lineTotal: product.price.multiply(productInCart.quantity)
+      };
+    });
+
+    // The coupon is locked and checked again, it may have expired or run out
+    // of uses since it was applied to the cart
+    const coupon = cart.couponId
+      ? await findCoupon(
+          { id: cart.couponId },
+          { lock: transaction.LOCK.UPDATE, transaction }
+        )
+      : null;
+
+    // Priced like the cart summary, a coupon that can't be used fails here
+    const { subtotal, discount, tax, totalPrice } = await priceLines(items, {
+      coupon,
+      userId: currentUser.id,
+      transaction
+    });
+
+    // Every order starts its lifecycle as pending
+    const order = await Order.create(
+      {
+        userId: currentUser.id,
+        cartId: cart.id,
+        issuedAt: new Date().toString(),
+        subtotal,
+        discount,
+        couponId: coupon ? coupon.id : null,
+        couponCode: coupon ? coupon.code : null,
+        tax,
+        totalPrice,
+        orderItems: items,
+        orderStatusHistories: [
+          { fromStatus: null, toStatus: "pending", userId: currentUser.id }
+        ]
+      },
+      { include: [OrderItem, OrderStatusHistory], transaction }
+    );
+
+    if (coupon) {
+      await redeemCoupon(coupon, order, { transaction });
+    }
+
+    for (const productInCart of productsInCart) {
+      const product = products.find((el) => el.id === productInCart.productId);
+      const orderItem = order.orderItems.find(
+        (el) => el.productId === product.id
+      );
+
+      // The lots are drawn in the configured order (STOCK_ALLOCATION)
+      const allocations = await drawFromLots(product, productInCart.quantity, {
+        transaction
+      });
+
+      await OrderItemLot.bulkCreate(
+        allocations.map((el) => ({ ...el, orderItemId: orderItem.id })),
+        { transaction }
+      );
+
+      await moveStock(product, -productInCart.quantity, {
+        type: "sale",
+        userId: currentUser.id,
+        orderId: order.id,
+        transaction
+      });
+
+      // The stock is sold, the reservation is no longer needed
+      await productInCart.update(
+        { status: "purchased", ...reservationFor(0) },
+        { transaction }
+      );
+    }
+
+    await cart.update({ status: "purchased" }, { transaction });
+
+    return order;
+  });
+
+  res.status(201).json({
+    status: "success",
+    data: {
+      order
+    }
+  });
+});
+
+// Apply a coupon
+/**
+ * @api {post} https://prueba-tecnica-brm.herokuapp.com/api/v1/cart/coupon 6. Apply coupon
+ * @apiName ApplyCoupon
+ * @apiGroup Cart
+ * @apiPermission none
+ *
+ * @apiHeader {String} token Users unique access-key.
+ *
+ * @apiHeaderExample {json} Header-Example:
+ * {
+ *   "Authorization": "Bearer {{TOKEN_USER}}"
+ * }
+ *
+ * @apiBody {String} code The coupon code, case insensitive. It replaces the coupon applied before.
+ *
+ * @apiSuccess {Object} preview The cart priced with the coupon, it's checked again at checkout.
+ *
+ * @apiSuccessExample {json} Success-Response:
+ * HTTP/1.1 200 OK
+ * {
+ *   "status": "success",
+ *   "data": {
+ *     "preview": {
+ *       "items": [
+ *         { "productId": 1, "name": "Tv Sony", "unitPrice": { "amount": "1000000.00", "currency": "COP", "formatted": "$ 1.000.000,00" }, "quantity": 1, "lineTotal": { "amount": "1000000.00", "currency": "COP", "formatted": "$ 1.000.000,00" }, "couponApplies": true, "discount": { "amount": "100000.00", "currency": "COP", "formatted": "$ 100.000,00" }, "taxRate": 0, "tax": { "amount": "0.00", "currency": "COP", "formatted": "$ 0,00" }, "total": { "amount": "900000.00", "currency": "COP", "formatted": "$ 900.000,00" } }
+ *       ],
+ *       "itemCount": 1,
+ *       "subtotal": { "amount": "1000000.00", "currency": "COP", "formatted": "$ 1.000.000,00" },
+ *       "discount": { "amount": "100000.00", "currency": "COP", "formatted": "$ 100.000,00" },
+ *       "tax": { "amount": "0.00", "currency": "COP", "formatted": "$ 0,00" },
+ *       "taxInclusive": false,
+ *       "totalPrice": { "amount": "900000.00", "currency": "COP", "formatted": "$ 900.000,00" },
+ *       "coupon": { "code": "WELCOME10", "description": null, "type": "percentage", "value": 10 }
+ *     }
+ *   }
+ * }
+ *
+ * @apiError Coupon Can't find the coupon with the given code
+ *
+ * @apiErrorExample Error-Response:
+ * HTTP/1.1 404 Not Found
+ * {
+ *   "code": "COUPON_NOT_FOUND",
+ *   "message": "The coupon doesn't exist"
+ * }
+ *
+ * @apiError CouponNotValid The coupon can't be used with this cart (COUPON_NOT_STARTED, COUPON_EXPIRED, COUPON_USAGE_LIMIT, COUPON_USER_LIMIT, COUPON_MIN_CART_VALUE or COUPON_NOT_APPLICABLE)
+ *
+ * @apiErrorExample Error-Response:
+ * HTTP/1.1 409 Conflict
+ * {
+ *   "code": "COUPON_MIN_CART_VALUE",
+ *   "message": "The cart must be worth at least 2000000 to use this coupon"
+ * }
+ */
+exports.applyCoupon = catchAsync(async (req, res, next) => {
+  const { currentUser } = req;
+
+  const cart = await Cart.findOne({
+    where: { status: "active", userId: currentUser.id }
   });
 
   if (!cart) {
     return next(new AppError(404, "This user does not have a cart yet"));
   }
 
-  let totalPrice = 0;
+  const lines = await cartLines(cart);
 
-  const cartPromises = cart.products.map(async (product) => {
-    await product.productInCart.update({ status: "purchased" });
+  if (lines.length === 0) {
+    return next(new AppError(400, "The cart is empty"));
+  }
 
-    const productPrice = product.price * product.productInCart.quantity;
+  const coupon = await findCouponByCode(req.body.code);
 
-    totalPrice += productPrice;
+  // Throws if the coupon can't be used, the cart keeps its previous coupon
+  const preview = await priceLines(lines, { coupon, userId: currentUser.id });
 
-    const newQty = product.quantityAvailable - product.productInCart.quantity;
+  await cart.update({ couponId: coupon.id });
 
-    return await product.update({ quantityAvailable: newQty });
+  res.status(200).json({
+    status: "success",
+    data: {
+      preview
+    }
   });
+});
 
-  await Promise.all(cartPromises);
+// Remove the coupon
+/**
+ * @api {delete} https://prueba-tecnica-brm.herokuapp.com/api/v1/cart/coupon 7. Remove coupon
+ * @apiName RemoveCoupon
+ * @apiGroup Cart
+ * @apiPermission none
+ *
+ * @apiHeader {String} token Users unique access-key.
+ *
+ * @apiHeaderExample {json} Header-Example:
+ * {
+ *   "Authorization": "Bearer {{TOKEN_USER}}"
+ * }
+ *
+ * @apiSuccess {Object} preview The cart priced without the coupon.
+ *
+ * @apiSuccessExample {json} Success-Response:
+ * HTTP/1.1 200 OK
+ * {
+ *   "status": "success",
+ *   "data": {
+ *     "preview": {
+ *       "items": [
+ *         { "productId": 1, "name": "Tv Sony", "unitPrice": { "amount": "1000000.00", "currency": "COP", "formatted": "$ 1.000.000,00" }, "quantity": 1, "lineTotal": { "amount": "1000000.00", "currency": "COP", "formatted": "$ 1.000.000,00" }, "couponApplies": false, "discount": { "amount": "0.00", "currency": "COP", "formatted": "$ 0,00" }, "taxRate": 0, "tax": { "amount": "0.00", "currency": "COP", "formatted": "$ 0,00" }, "total": { "amount": "1000000.00", "currency": "COP", "formatted": "$ 1.000.000,00" } }
+ *       ],
+ *       "itemCount": 1,
+ *       "subtotal": { "amount": "1000000.00", "currency": "COP", "formatted": "$ 1.000.000,00" },
+ *       "discount": { "amount": "0.00", "currency": "COP", "formatted": "$ 0,00" },
+ *       "tax": { "amount": "0.00", "currency": "COP", "formatted": "$ 0,00" },
+ *       "taxInclusive": false,
+ *       "totalPrice": { "amount": "1000000.00", "currency": "COP", "formatted": "$ 1.000.000,00" },
+ *       "coupon": null
+ *     }
+ *   }
+ * }
+ *
+ * @apiError Coupon The cart has no coupon
+ *
+ * @apiErrorExample Error-Response:
+ * HTTP/1.1 404 Not Found
+ * {
+ *   error: "The cart has no coupon"
+ * }
+ */
+exports.removeCoupon = catchAsync(async (req, res, next) => {
+  const { currentUser } = req;
 
-  await cart.update({ status: "purchased" });
+  const cart = await Cart.findOne({
+    where: { status: "active", userId: currentUser.id }
+  });
 
-  await Order.create({
-    userId: currentUser.id,
-    cartId: cart.id,
-    issuedAt: new Date().toString(),
-    totalPrice
+  if (!cart) {
+    return next(new AppError(404, "This user does not have a cart yet"));
+  }
+
+  if (!cart.couponId) {
+    return next(new AppError(404, "The cart has no coupon"));
+  }
+
+  await cart.update({ couponId: null });
+
+  const preview = await priceLines(await cartLines(cart));
+
+  res.status(200).json({
+    status: "success",
+    data: {
+      preview
+    }
   });
+});
 
-  res.status(201).json({
+// Update many products in the cart
+/**
+ * @api {put} https://prueba-tecnica-brm.herokuapp.com/api/v1/cart 8. Update many products in Cart
+ * @apiName UpdateManyProductsInCart
+ * @apiGroup Cart
+ * @apiPermission none
+ *
+ * @apiHeader {String} token Users unique access-key.
+ * @apiHeader {String} [X-Cart-Token] Instead of the token, the cart token of a guest.
+ *
+ * @apiHeaderExample {json} Header-Example:
+ * {
+ *   "Authorization": "Bearer {{TOKEN_USER}}"
+ * }
+ *
+ * @apiBody {String} [mode=replace] replace leaves the cart with only the given lines, patch changes the given lines and keeps the rest.
+ * @apiBody {Object[]} items The lines, at most 100: { productId, quantity }. A quantity of 0 removes the product.
+ *
+ * @apiSuccess {Object} summary The cart priced like in Get user cart.
+ * @apiSuccess {String} cartToken Only for the guests, the token of their cart.
+ *
+ * @apiSuccessExample {json} Success-Response:
+ * HTTP/1.1 200 OK
+ * {
+ *   "status": "success",
+ *   "data": {
+ *     "summary": {
+ *       "items": [
+ *         { "productId": 1, "name": "Tv Sony", "unitPrice": { "amount": "1000000.00", "currency": "COP", "formatted": "$ 1.000.000,00" }, "quantity": 2, "lineTotal": { "amount": "2000000.00", "currency": "COP", "formatted": "$ 2.000.000,00" }, "couponApplies": false, "discount": { "amount": "0.00", "currency": "COP", "formatted": "$ 0,00" }, "taxRate": 0, "tax": { "amount": "0.00", "currency": "COP", "formatted": "$ 0,00" }, "total": { "amount": "2000000.00", "currency": "COP", "formatted": "$ 2.000.000,00" } }
+ *       ],
+ *       "itemCount": 2,
+ *       "subtotal": { "amount": "2000000.00", "currency": "COP", "formatted": "$ 2.000.000,00" },
+ *       "discount": { "amount": "0.00", "currency": "COP", "formatted": "$ 0,00" },
+ *       "tax": { "amount": "0.00", "currency": "COP", "formatted": "$ 0,00" },
+ *       "taxInclusive": false,
+ *       "totalPrice": { "amount": "2000000.00", "currency": "COP", "formatted": "$ 2.000.000,00" },
+ *       "coupon": null
+ *     }
+ *   }
+ * }
+ *
+ * @apiError DuplicatedProduct A product is more than once in the items
+ *
+ * @apiErrorExample Error-Response:
+ * HTTP/1.1 400 Bad Request
+ * {
+ *   error: "Every product can only be once in the items"
+ * }
+ *
+ * @apiError QuantityNotAvailable One or more lines can't be served, nothing is changed
+ *
+ * @apiErrorExample Error-Response:
+ * HTTP/1.1 409 Conflict
+ * {
+ *   "code": "INSUFFICIENT_STOCK",
+ *   "message": "Tv Sony only has 2 items (requested 3)",
+ *   "details": [
+ *     { "productId": 1, "requested": 3, "available": 2, "message": "Tv Sony only has 2 items (requested 3)" }
+ *   ]
+ * }
+ */
+exports.updateCart = catchAsync(async (req, res, next) => {
+  const { currentUser, cartOwner } = req;
+  const { mode = "replace", items } = req.body;
+
+  const productIds = items.map((item) => item.productId);
+
+  if (new Set(productIds).size !== productIds.length) {
+    return next(
+      new AppError(400, "Every product can only be once in the items")
+    );
+  }
+
+  // All the lines change together or none does
+  const { cart, summary } = await database.transaction(async (transaction) => {
+    let cart = await findActiveCart(cartOwner, {
+      lock: transaction.LOCK.UPDATE,
+      transaction
+    });
+
+    if (!cart && !items.some((item) => item.quantity > 0)) {
+      throw new AppError(404, "This user does not have a cart yet");
+    }
+
+    // A guest gets a new cart and its token like when adding a product
+    if (!cart) {
+      cart = await Cart.create(
+        { userId: currentUser ? currentUser.id : null },
+        { transaction }
+      );
+    }
+
+    // The rows are locked in id order so concurrent updates can't deadlock
+    const products = await Product.findAll({
+      where: { id: productIds },
+      order: [["id", "ASC"]],
+      lock: transaction.LOCK.UPDATE,
+      transaction
+    });
+
+    const reserved = await reservedQuantities(productIds, {
+      exceptCartId: cart.id,
+      transaction
+    });
+
+    const stockErrors = [];
+
+    items.forEach(({ productId, quantity }) => {
+      // Any product can be removed, even if it's no longer sold
+      if (quantity === 0) return;
+
+      const product = products.find((el) => el.id === productId);
+
+      if (!product || product.status !== "active") {
+        stockErrors.push({
+          productId,
+          requested: quantity,
+          available: 0,
+          message: product
+            ? `${product.name} is no longer available`
+            : `The product ${productId} doesn't exist`
+        });
+        return;
+      }
+
+      const { sellable } = availability(product, reserved);
+
+      if (quantity > sellable) {
+        stockErrors.push({
+          productId,
+          requested: quantity,
+          available: sellable,
+          message: `${product.name} only has ${sellable} items (requested ${quantity})`
+        });
+      }
+    });
+
+    if (stockErrors.length > 0) {
+      throw new AppError(409, stockErrors.map((el) => el.message).join(". "), {
+        code: "INSUFFICIENT_STOCK",
+        details: stockErrors
+      });
+    }
+
+    const productsInCart = await ProductInCart.findAll({
+      where: { cartId: cart.id },
+      transaction
+    });
+
+    // In replace mode the lines that weren't sent are removed
+    const lines =
+      mode === "replace"
+        ? [
+            ...items,
+            ...productsInCart
+              .filter(
+                (el) =>
+                  el.status === "active" && !productIds.includes(el.productId)
+              )
+              .map((el) => ({ productId: el.productId, quantity: 0 }))
+          ]
+        : items;
+
+    for (const { productId, quantity } of lines) {
+      const productInCart = productsInCart.find(
+        (el) => el.productId === productId
+      );
+
+      // Removing a product releases its reservation
+      if (quantity === 0) {
+        if (productInCart && productInCart.status === "active") {
+          await productInCart.update(
+            { status: "removed", quantity: 0, ...reservationFor(0) },
+            { transaction }
+          );
+        }
+      } else if (productInCart) {
+        await productInCart.update(
+          { status: "active", quantity, ...reservationFor(quantity) },
+          { transaction }
+        );
+      } else {
+        await ProductInCart.create(
+          { cartId: cart.id, productId, quantity, ...reservationFor(quantity) },
+          { transaction }
+        );
+      }
+    }
+
+    return { cart, summary: await cartSummary(cart, { transaction }) };
+  });
+
+  res.status(200).json({
     status: "success",
     data: {
-      cart
+      summary,
+      ...(cart.userId ? {} : { cartToken: signCartToken(cart) })
     }
   });
 });
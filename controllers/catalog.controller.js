@@ -0,0 +1,401 @@
+// Importing the required modules
+const { Op } = require("sequelize");
+
+// Import Models
+const { Product } = require("../models/product.model");
+const { ProductCategory } = require("../models/productCategory.model");
+
+// Import Utils
+const { AppError } = require("../utils/appError");
+const { catchAsync } = require("../utils/catchAsync");
+const { parseQuery, paginationInfo } = require("../utils/queryFeatures");
+const { productSearch, productSuggestions } = require("../utils/search");
+const {
+  categoriesInclude,
+  loadCategories,
+  resolveCategory,
+  descendantIds,
+  categoryTree,
+  withBreadcrumbs
+} = require("../utils/categories");
+const { imagesInclude } = require("../utils/images");
+const {
+  reservedQuantities,
+  availability,
+  withAvailability
+} = require("../utils/reservations");
+
+// Internal fields that must never be exposed to the clients
+const catalogAttributes = {
+  exclude: ["userId", "batchNumber", "status"]
+};
+
+// Only active products with stock are part of the catalog
+const catalogWhere = {
+  status: "active",
+  quantityAvailable: { [Op.gt]: 0 }
+};
+
+const catalogQueryOptions = {
+  filterFields: { price: "money", createdAt: "date" },
+  sortFields: ["id", "name", "price", "createdAt"]
+};
+
+// ?category=<id or slug> keeps the products of the category and of all its
+// subcategories
+const categoryFilter = async (query, categories) => {
+  if (query.category === undefined) return {};
+
+  const category = resolveCategory(categories, query.category);
+
+  const productCategories = await ProductCategory.findAll({
+    attributes: ["productId"],
+    where: { categoryId: descendantIds(categories, category.id) }
+  });
+
+  return { id: [...new Set(productCategories.map((el) => el.productId))] };
+};
+
+// Get all the products in the catalog
+/**
+ * @api {get} https://prueba-tecnica-brm.herokuapp.com/api/v1/catalog 1. Get catalog
+ * @apiName GetCatalog
+ * @apiGroup Catalog
+ * @apiPermission none
+ *
+ * @apiQuery {Number} [page=1] The page to return.
+ * @apiQuery {Number} [limit=20] The products per page (max 100).
+ * @apiQuery {String} [sort] Comma separated fields, prefix with - for descending (e.g. -price,name).
+ * @apiQuery {Number} [price[gte]] Range filters on price and createdAt (gt, gte, lt, lte, eq).
+ * @apiQuery {String} [category] Category id or slug, includes the products of its subcategories.
+ * @apiQuery {String} [currency] Adds the amounts converted to this currency in display, with the rates of EXCHANGE_RATES. The prices are still charged in the store currency.
+ *
+ * @apiSuccess {Array} products Get all the products available to buy, with the breadcrumb of each of their categories and their images.
+ * @apiSuccess {Object} products.availability onHand is the stock, reserved the units held in carts and sellable what can still be added to a cart.
+ * @apiSuccess {Object} pagination The total count, page, limit, and the next and previous links.
+ *
+ * @apiSuccessExample {json} Success-Response:
+ * HTTP/1.1 200 OK
+ * [
+ *   {
+ *     "id": 1,
+ *     "name": "Tv Sony",
+ *     "price": { "amount": "1000000.00", "currency": "COP", "formatted": "$ 1.000.000,00" },
+ *     "quantityAvailable": 10,
+ *     "createdAt": "2022-05-23T02:44:23.359Z",
+ *     "updatedAt": "2022-05-23T02:44:23.359Z",
+ *     "categories": [
+ *       {
+ *         "id": 2,
+ *         "name": "Televisores",
+ *         "slug": "televisores",
+ *         "breadcrumb": [
+ *           { "id": 1, "name": "Electrónica", "slug": "electronica" },
+ *           { "id": 2, "name": "Televisores", "slug": "televisores" }
+ *         ]
+ *       }
+ *     ],
+ *     "images": [
+ *       {
+ *         "id": 1,
+ *         "position": 1,
+ *         "isPrimary": true,
+ *         "url": "/uploads/products/1/5b0c8f7e-...-e1.jpg",
+ *         "thumbnailUrl": "/uploads/products/1/5b0c8f7e-...-e1-thumb.webp"
+ *       }
+ *     ]
+ *   },
+ *   {
+ *     "id": 2,
+ *     "name": "Tv Samsung",
+ *     "price": { "amount": "1200000.00", "currency": "COP", "formatted": "$ 1.200.000,00" },
+ *     "quantityAvailable": 15,
+ *     "createdAt": "2022-05-23T02:44:23.359Z",
+ *     "updatedAt": "2022-05-23T02:44:23.359Z"
+ *   }
+ * ]
+ */
+exports.getCatalog = catchAsync(async (req, res, next) => {
+  const { page, limit, offset, where, order } = parseQuery(
+    req.query,
+    catalogQueryOptions
+  );
+
+  const categories = await loadCategories();
+
+  const { count, rows: products } = await Product.findAndCountAll({
+    where: {
+      ...where,
+      ...catalogWhere,
+      ...(await categoryFilter(req.query, categories))
+    },
+    attributes: catalogAttributes,
+    include: [categoriesInclude, imagesInclude],
+    distinct: true,
+    order,
+    limit,
+    offset
+  });
+
+  res.status(200).json({
+    status: "success",
+    data: {
+      products: await withAvailability(
+        products.map((el) => withBreadcrumbs(el, categories))
+      )
+    },
+    pagination: paginationInfo(req, { count, page, limit })
+  });
+});
+
+// Search products in the catalog
+/**
+ * @api {get} https://prueba-tecnica-brm.herokuapp.com/api/v1/catalog/search?q=:term 2. Search catalog
+ * @apiName SearchCatalog
+ * @apiGroup Catalog
+ * @apiPermission none
+ * @apiDescription On Postgres it's a full text search over the product name and its category names, sorted by relevance, that also finds names with a similar word to tolerate typos (pg_trgm). On other databases every word must be in the name or in a category name.
+ *
+ * @apiQuery {String} q The text to search in the product's name and categories.
+ * @apiQuery {String} [category] Category id or slug, includes the products of its subcategories.
+ * @apiQuery {String} [currency] Adds the amounts converted to this currency in display, with the rates of EXCHANGE_RATES. The prices are still charged in the store currency.
+ * @apiQuery {Number} [page=1] The page to return.
+ * @apiQuery {Number} [limit=20] The products per page (max 100).
+ * @apiQuery {String} [sort] Comma separated fields instead of the relevance, prefix with - for descending (e.g. -price).
+ *
+ * @apiSuccess {Array} products The products that match the search, the most relevant first, with their categories and images.
+ * @apiSuccess {Object} products.availability onHand is the stock, reserved the units held in carts and sellable what can still be added to a cart.
+ * @apiSuccess {Object} pagination The total count, page, limit, and the next and previous links.
+ *
+ * @apiSuccessExample {json} Success-Response:
+ * HTTP/1.1 200 OK
+ * [
+ *   {
+ *     "id": 1,
+ *     "name": "Tv Sony",
+ *     "price": { "amount": "1000000.00", "currency": "COP", "formatted": "$ 1.000.000,00" },
+ *     "quantityAvailable": 10,
+ *     "createdAt": "2022-05-23T02:44:23.359Z",
+ *     "updatedAt": "2022-05-23T02:44:23.359Z"
+ *   }
+ * ]
+ *
+ * @apiError Catalog The search term is empty
+ *
+ * @apiErrorExample Error-Response:
+ * HTTP/1.1 400 Bad Request
+ * {
+ *   error: "Must provide a search term"
+ * }
+ */
+exports.searchCatalog = catchAsync(async (req, res, next) => {
+  const q = typeof req.query.q === "string" ? req.query.q.trim() : "";
+
+  if (!q) {
+    return next(new AppError(400, "Must provide a search term"));
+  }
+
+  const { page, limit, offset, where, order } = parseQuery(
+    req.query,
+    catalogQueryOptions
+  );
+
+  const categories = await loadCategories();
+
+  const search = productSearch(q);
+
+  // The page is found first by relevance, then its products are loaded with
+  // their categories and images
+  const { count, rows: matches } = await Product.findAndCountAll({
+    where: {
+      ...where,
+      ...catalogWhere,
+      ...(await categoryFilter(req.query, categories)),
+      [Op.and]: [search.where]
+    },
+    attributes: ["id"],
+    order: req.query.sort
+      ? order
+      : [
+          [search.rank, "DESC"],
+          ["id", "ASC"]
+        ],
+    limit,
+    offset
+  });
+
+  const ids = matches.map((el) => el.id);
+
+  const products = await Product.findAll({
+    where: { id: ids },
+    attributes: catalogAttributes,
+    include: [categoriesInclude, imagesInclude]
+  });
+
+  products.sort((a, b) => ids.indexOf(a.id) - ids.indexOf(b.id));
+
+  res.status(200).json({
+    status: "success",
+    data: {
+      products: await withAvailability(
+        products.map((el) => withBreadcrumbs(el, categories))
+      )
+    },
+    pagination: paginationInfo(req, { count, page, limit })
+  });
+});
+
+// Suggest product names while typing
+/**
+ * @api {get} https://prueba-tecnica-brm.herokuapp.com/api/v1/catalog/search/suggest?q=:term 3. Suggest products
+ * @apiName SuggestCatalog
+ * @apiGroup Catalog
+ * @apiPermission none
+ * @apiDescription Autocomplete for the search box, the names that start with the text or that have a word starting with it.
+ *
+ * @apiQuery {String} q What the user has typed so far.
+ * @apiQuery {Number} [limit=10] How many suggestions to return (max 20).
+ *
+ * @apiSuccess {Array} suggestions The id and name of the products, the best matches first.
+ *
+ * @apiSuccessExample {json} Success-Response:
+ * HTTP/1.1 200 OK
+ * [
+ *   { "id": 1, "name": "Tv Sony" },
+ *   { "id": 2, "name": "Tv Samsung" }
+ * ]
+ *
+ * @apiError Catalog The search term is empty
+ *
+ * @apiErrorExample Error-Response:
+ * HTTP/1.1 400 Bad Request
+ * {
+ *   error: "Must provide a search term"
+ * }
+ */
+exports.suggestCatalog = catchAsync(async (req, res, next) => {
+  const q = typeof req.query.q === "string" ? req.query.q.trim() : "";
+
+  if (!q) {
+    return next(new AppError(400, "Must provide a search term"));
+  }
+
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 10, 1), 20);
+
+  const suggestions = productSuggestions(q);
+
+  const products = await Product.findAll({
+    where: { ...catalogWhere, [Op.and]: [suggestions.where] },
+    attributes: ["id", "name"],
+    order: [
+      [suggestions.rank, "DESC"],
+      ["name", "ASC"]
+    ],
+    limit
+  });
+
+  res.status(200).json({
+    status: "success",
+    data: {
+      suggestions: products
+    }
+  });
+});
+
+// Get a product of the catalog by id
+/**
+ * @api {get} https://prueba-tecnica-brm.herokuapp.com/api/v1/catalog/:id 4. Get catalog product by id
+ * @apiName GetCatalogProductById
+ * @apiGroup Catalog
+ * @apiPermission none
+ *
+ * @apiParam {Number} id Product id
+ *
+ * @apiSuccess {Object} product Get product by id, with the breadcrumb of each of its categories and its images.
+ * @apiSuccess {Object} product.availability onHand is the stock, reserved the units held in carts and sellable what can still be added to a cart.
+ *
+ * @apiSuccessExample {json} Success-Response:
+ * HTTP/1.1 200 OK
+ * {
+ *   "id": 1,
+ *   "name": "Tv Sony",
+ *   "price": { "amount": "1000000.00", "currency": "COP", "formatted": "$ 1.000.000,00" },
+ *   "quantityAvailable": 10,
+ *   "createdAt": "2022-05-23T02:44:23.359Z",
+ *   "updatedAt": "2022-05-23T02:44:23.359Z"
+ * }
+ *
+ * @apiError Catalog No product found
+ *
+ * @apiErrorExample Error-Response:
+ * HTTP/1.1 404 Not Found
+ * {
+ *   error: "No product found"
+ * }
+ */
+exports.getCatalogProductById = catchAsync(async (req, res, next) => {
+  const { id } = req.params;
+
+  const product = await Product.findOne({
+    where: { ...catalogWhere, id },
+    attributes: catalogAttributes,
+    include: [categoriesInclude, imagesInclude]
+  });
+
+  if (!product) {
+    return next(new AppError(404, "No product found"));
+  }
+
+  const categories = await loadCategories();
+  const reserved = await reservedQuantities([product.id]);
+
+  res.status(200).json({
+    status: "success",
+    data: {
+      product: {
+        ...withBreadcrumbs(product, categories),
+        availability: availability(product, reserved)
+      }
+    }
+  });
+});
+
+// Get the category tree
+/**
+ * @api {get} https://prueba-tecnica-brm.herokuapp.com/api/v1/catalog/categories 5. Get catalog categories
+ * @apiName GetCatalogCategories
+ * @apiGroup Catalog
+ * @apiPermission none
+ *
+ * @apiSuccess {Array} categories The top level categories with their subcategories nested in children.
+ *
+ * @apiSuccessExample {json} Success-Response:
+ * HTTP/1.1 200 OK
+ * [
+ *   {
+ *     "id": 1,
+ *     "name": "Electrónica",
+ *     "slug": "electronica",
+ *     "parentId": null,
+ *     "children": [
+ *       {
+ *         "id": 2,
+ *         "name": "Televisores",
+ *         "slug": "televisores",
+ *         "parentId": 1,
+ *         "children": []
+ *       }
+ *     ]
+ *   }
+ * ]
+ */
+exports.getCatalogCategories = catchAsync(async (req, res, next) => {
+  const categories = await loadCategories();
+
+  res.status(200).json({
+    status: "success",
+    data: {
+      categories: categoryTree(categories)
+    }
+  });
+});
@@ -0,0 +1,365 @@
+// Import Database
+const { database } = require("../database/database");
+
+// Import Models
+const { Category } = require("../models/category.model");
+const { ProductCategory } = require("../models/productCategory.model");
+
+// Import Utils
+const { catchAsync } = require("../utils/catchAsync");
+const { AppError } = require("../utils/appError");
+const { filterObj } = require("../utils/filterObj");
+const {
+  slugify,
+  loadCategories,
+  descendantIds,
+  breadcrumb
+} = require("../utils/categories");
+
+const findCategory = async (id, options = {}) => {
+  const category = await Category.findOne({
+    where: { id, status: "active" },
+    ...options
+  });
+
+  if (!category) {
+    throw new AppError(404, "No category found");
+  }
+
+  return category;
+};
+
+// The parent must be an active category and can't be the category itself or
+// one of its subcategories
+const checkParent = async (parentId, categoryId) => {
+  if (parentId === undefined || parentId === null) return;
+
+  const categories = await loadCategories();
+
+  if (!categories.has(+parentId)) {
+    throw new AppError(404, "No parent category found");
+  }
+
+  if (
+    categoryId &&
+    descendantIds(categories, +categoryId).includes(+parentId)
+  ) {
+    throw new AppError(
+      409,
+      "A category can't be nested under itself or its subcategories"
+    );
+  }
+};
+
+const checkSlug = async (slug, categoryId) => {
+  const category = await Category.findOne({ where: { slug } });
+
+  if (category && category.id !== +categoryId) {
+    throw new AppError(409, "The category slug already exists");
+  }
+};
+
+const categoryWithBreadcrumb = async (id) => {
+  const category = await findCategory(id, {
+    include: [
+      {
+        model: Category,
+        as: "children",
+        attributes: ["id", "name", "slug"],
+        where: { status: "active" },
+        required: false
+      }
+    ]
+  });
+
+  const categories = await loadCategories();
+
+  const products = await ProductCategory.count({
+    where: { categoryId: category.id }
+  });
+
+  return {
+    ...category.toJSON(),
+    breadcrumb: breadcrumb(categories, category.id),
+    products
+  };
+};
+
+// Get all the categories
+/**
+ * @api {get} https://prueba-tecnica-brm.herokuapp.com/api/v1/admin/categories 1. Get all categories
+ * @apiName GetAllCategories
+ * @apiGroup Category
+ * @apiPermission products:read
+ *
+ * @apiHeader {String} token Users unique access-key.
+ *
+ * @apiHeaderExample {json} Header-Example:
+ * {
+ *   "Authorization": "Bearer {{TOKEN_USER}}"
+ * }
+ *
+ * @apiSuccess {Array} categories The active categories with their breadcrumb, sorted by name.
+ *
+ * @apiSuccessExample {json} Success-Response:
+ * HTTP/1.1 200 OK
+ * [
+ *   {
+ *     "id": 2,
+ *     "name": "Televisores",
+ *     "slug": "televisores",
+ *     "parentId": 1,
+ *     "taxRate": null,
+ *     "breadcrumb": [
+ *       { "id": 1, "name": "Electrónica", "slug": "electronica" },
+ *       { "id": 2, "name": "Televisores", "slug": "televisores" }
+ *     ]
+ *   }
+ * ]
+ */
+exports.getAllCategories = catchAsync(async (req, res, next) => {
+  const categories = await loadCategories({
+    attributes: ["id", "name", "slug", "parentId", "taxRate"]
+  });
+
+  res.status(200).json({
+    status: "success",
+    data: {
+      categories: [...categories.values()].map((category) => ({
+        ...category,
+        breadcrumb: breadcrumb(categories, category.id)
+      }))
+    }
+  });
+});
+
+// Get category by Id
+/**
+ * @api {get} https://prueba-tecnica-brm.herokuapp.com/api/v1/admin/categories/:id 2. Get category by id
+ * @apiName GetCategoryById
+ * @apiGroup Category
+ * @apiPermission products:read
+ *
+ * @apiHeader {String} token Users unique access-key.
+ *
+ * @apiHeaderExample {json} Header-Example:
+ * {
+ *   "Authorization": "Bearer {{TOKEN_USER}}"
+ * }
+ *
+ * @apiParam {Number} id Category id
+ *
+ * @apiSuccess {Object} category The category with its breadcrumb, its subcategories and how many products it has.
+ *
+ * @apiSuccessExample {json} Success-Response:
+ * HTTP/1.1 200 OK
+ * {
+ *   "id": 1,
+ *   "name": "Electrónica",
+ *   "slug": "electronica",
+ *   "parentId": null,
+ *   "status": "active",
+ *   "children": [{ "id": 2, "name": "Televisores", "slug": "televisores" }],
+ *   "breadcrumb": [{ "id": 1, "name": "Electrónica", "slug": "electronica" }],
+ *   "products": 3
+ * }
+ *
+ * @apiError Category No category found
+ *
+ * @apiErrorExample Error-Response:
+ * HTTP/1.1 404 Not Found
+ * {
+ *   error: "No category found"
+ * }
+ */
+exports.getCategoryById = catchAsync(async (req, res, next) => {
+  const category = await categoryWithBreadcrumb(req.params.id);
+
+  res.status(200).json({
+    status: "success",
+    data: {
+      category
+    }
+  });
+});
+
+// Create new category
+/**
+ * @api {post} https://prueba-tecnica-brm.herokuapp.com/api/v1/admin/categories 3. Create new category
+ * @apiName CreateCategory
+ * @apiGroup Category
+ * @apiPermission products:write
+ *
+ * @apiHeader {String} token Users unique access-key.
+ *
+ * @apiHeaderExample {json} Header-Example:
+ * {
+ *   "Authorization": "Bearer {{TOKEN_USER}}"
+ * }
+ *
+ * @apiBody {String} name The category's name.
+ * @apiBody {String} [slug] The unique slug, taken from the name by default.
+ * @apiBody {Number} [parentId] The parent category, empty for a top level category.
+ * @apiBody {Number} [taxRate] The tax percent of its products, empty to use the parent's rate or the global TAX_RATE.
+ *
+ * @apiSuccess {Object} category The new category.
+ *
+ * @apiSuccessExample {json} Success-Response:
+ * HTTP/1.1 201 OK
+ * {
+ *   "id": 2,
+ *   "name": "Televisores",
+ *   "slug": "televisores",
+ *   "parentId": 1,
+ *   "status": "active",
+ *   "children": [],
+ *   "breadcrumb": [
+ *     { "id": 1, "name": "Electrónica", "slug": "electronica" },
+ *     { "id": 2, "name": "Televisores", "slug": "televisores" }
+ *   ],
+ *   "products": 0
+ * }
+ *
+ * @apiError Category The category slug already exists
+ *
+ * @apiErrorExample Error-Response:
+ * HTTP/1.1 409 Conflict
+ * {
+ *   error: "The category slug already exists"
+ * }
+ */
+exports.createCategory = catchAsync(async (req, res, next) => {
+  const { name, parentId, taxRate } = req.body;
+
+  const slug = req.body.slug || slugify(name);
+
+  await checkSlug(slug);
+
+  await checkParent(parentId);
+
+  const category = await Category.create({ name, slug, parentId, taxRate });
+
+  res.status(201).json({
+    status: "success",
+    data: {
+      category: await categoryWithBreadcrumb(category.id)
+    }
+  });
+});
+
+// Update category
+/**
+ * @api {patch} https://prueba-tecnica-brm.herokuapp.com/api/v1/admin/categories/:id 4. Update category
+ * @apiName UpdateCategory
+ * @apiGroup Category
+ * @apiPermission products:write
+ *
+ * @apiHeader {String} token Users unique access-key.
+ *
+ * @apiHeaderExample {json} Header-Example:
+ * {
+ *   "Authorization": "Bearer {{TOKEN_USER}}"
+ * }
+ *
+ * @apiParam {Number} id Category id
+ *
+ * @apiBody {String} [name] The category's name.
+ * @apiBody {String} [slug] The unique slug.
+ * @apiBody {Number} [parentId] The new parent category, null to move it to the top level.
+ * @apiBody {Number} [taxRate] The tax percent, null to use the parent's rate or the global TAX_RATE.
+ *
+ * @apiSuccess {Object} category The updated category.
+ *
+ * @apiError Category A category can't be nested under itself or its subcategories
+ *
+ * @apiErrorExample Error-Response:
+ * HTTP/1.1 409 Conflict
+ * {
+ *   error: "A category can't be nested under itself or its subcategories"
+ * }
+ */
+exports.updateCategory = catchAsync(async (req, res, next) => {
+  const { id } = req.params;
+
+  const { slug, parentId } = req.body;
+
+  const data = filterObj(req.body, "name", "slug", "parentId", "taxRate");
+
+  const category = await findCategory(id);
+
+  if (slug !== undefined) {
+    await checkSlug(slug, category.id);
+  }
+
+  await checkParent(parentId, category.id);
+
+  await category.update({ ...data });
+
+  res.status(200).json({
+    status: "success",
+    data: {
+      category: await categoryWithBreadcrumb(category.id)
+    }
+  });
+});
+
+// Delete category
+/**
+ * @api {delete} https://prueba-tecnica-brm.herokuapp.com/api/v1/admin/categories/:id 5. Delete category
+ * @apiName DeleteCategory
+ * @apiGroup Category
+ * @apiPermission products:write
+ *
+ * @apiHeader {String} token Users unique access-key.
+ *
+ * @apiHeaderExample {json} Header-Example:
+ * {
+ *   "Authorization": "Bearer {{TOKEN_USER}}"
+ * }
+ *
+ * @apiParam {Number} id Category id
+ *
+ * @apiSuccess {String} status Success.
+ *
+ * @apiSuccessExample {json} Success-Response:
+ * HTTP/1.1 204 OK
+ * {
+ *   "status": "success"
+ * }
+ *
+ * @apiError Category The category has subcategories
+ *
+ * @apiErrorExample Error-Response:
+ * HTTP/1.1 409 Conflict
+ * {
+ *   error: "The category has 2 subcategories"
+ * }
+ */
+exports.deleteCategory = catchAsync(async (req, res, next) => {
+  const category = await findCategory(req.params.id);
+
+  const children = await Category.count({
+    where: { parentId: category.id, status: "active" }
+  });
+
+  if (children > 0) {
+    return next(
+      new AppError(409, `The category has ${children} subcategories`)
+    );
+  }
+
+  await database.transaction(async (transaction) => {
+    // The products are no longer in the category
+    await ProductCategory.destroy({
+      where: { categoryId: category.id },
+      transaction
+    });
+
+    // This is a soft delete technical
+    await category.update({ status: "deleted" }, { transaction });
+  });
+
+  res.status(204).json({
+    status: "success"
+  });
+});
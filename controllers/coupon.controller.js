@@ -0,0 +1,473 @@
+// Import Database
+const { database } = require("../database/database");
+
+// Importing the required modules
+const { Op } = require("sequelize");
+
+// Import Models
+const { Coupon } = require("../models/coupon.model");
+const { CouponRedemption } = require("../models/couponRedemption.model");
+const { Product } = require("../models/product.model");
+const { Category } = require("../models/category.model");
+
+// Import Utils
+const { catchAsync } = require("../utils/catchAsync");
+const { AppError } = require("../utils/appError");
+const { filterObj } = require("../utils/filterObj");
+const { loadCategories } = require("../utils/categories");
+const { parseQuery, paginationInfo } = require("../utils/queryFeatures");
+const { Money } = require("../utils/money");
+
+const couponFields = [
+  "code",
+  "description",
+  "type",
+  "value",
+  "minCartValue",
+  "startsAt",
+  "endsAt",
+  "maxUses",
+  "maxUsesPerUser"
+];
+
+const couponQueryOptions = {
+  filterFields: {
+    code: "string",
+    type: "string",
+    status: "string",
+    timesUsed: "number",
+    endsAt: "date"
+  },
+  sortFields: ["id", "code", "timesUsed", "startsAt", "endsAt", "createdAt"]
+};
+
+const findCoupon = async (id, options = {}) => {
+  const coupon = await Coupon.findOne({
+    where: { id, status: { [Op.ne]: "deleted" } },
+    ...options
+  });
+
+  if (!coupon) {
+    throw new AppError(404, "No coupon found");
+  }
+
+  return coupon;
+};
+
+const couponWithRestrictions = async (id) => {
+  const coupon = await findCoupon(id, {
+    include: [
+      {
+        model: Product,
+        attributes: ["id", "name"],
+        through: { attributes: [] }
+      },
+      {
+        model: Category,
+        attributes: ["id", "name", "slug"],
+        through: { attributes: [] }
+      }
+    ]
+  });
+
+  const redemptions = await CouponRedemption.count({
+    where: { couponId: coupon.id, status: "active" }
+  });
+
+  return { ...coupon.toJSON(), redemptions };
+};
+
+// The value of a fixed coupon is an amount of money, of a percentage coupon
+// the percent off
+const couponValue = (type, value) => {
+  return type === "fixed" ? Money.of(value) : Number(value);
+};
+
+// The checks that depend on more than one field, run on the merged values
+const checkCoupon = async (data, couponId) => {
+  if (
+    data.type === "percentage" &&
+    (!Number.isInteger(data.value) || data.value > 100)
+  ) {
+    throw new AppError(
+      400,
+      "A percentage coupon must be a whole percent up to 100"
+    );
+  }
+
+  if (
+    data.startsAt &&
+    data.endsAt &&
+    new Date(data.endsAt) <= new Date(data.startsAt)
+  ) {
+    throw new AppError(400, "The coupon must end after it starts");
+  }
+
+  const coupon = await Coupon.findOne({ where: { code: data.code } });
+
+  if (coupon && coupon.id !== +couponId) {
+    throw new AppError(409, "The coupon code already exists");
+  }
+};
+
+// The products and categories the coupon is restricted to
+const restrictionIds = async ({ productIds, categoryIds }) => {
+  const restrictions = {};
+
+  if (productIds !== undefined) {
+    restrictions.productIds = [...new Set(productIds.map(Number))];
+
+    const products = await Product.findAll({
+      where: { id: restrictions.productIds, status: "active" },
+      attributes: ["id"]
+    });
+
+    const missingIds = restrictions.productIds.filter(
+      (id) => !products.some((el) => el.id === id)
+    );
+
+    if (missingIds.length > 0) {
+      throw new AppError(
+        404,
+        `No product found with the ids ${missingIds.join(", ")}`
+      );
+    }
+  }
+
+  if (categoryIds !== undefined) {
+    restrictions.categoryIds = [...new Set(categoryIds.map(Number))];
+
+    const categories = await loadCategories();
+
+    const missingIds = restrictions.categoryIds.filter(
+      (id) => !categories.has(id)
+    );
+
+    if (missingIds.length > 0) {
+      throw new AppError(
+        404,
+        `No category found with the ids ${missingIds.join(", ")}`
+      );
+    }
+  }
+
+  return restrictions;
+};
+
+const setRestrictions = async (
+  coupon,
+  { productIds, categoryIds },
+  { transaction }
+) => {
+  if (productIds) {
+    await coupon.setProducts(productIds, { transaction });
+  }
+
+  if (categoryIds) {
+    await coupon.setCategories(categoryIds, { transaction });
+  }
+};
+
+// Get all the coupons
+/**
+ * @api {get} https://prueba-tecnica-brm.herokuapp.com/api/v1/admin/coupons 1. Get all coupons
+ * @apiName GetAllCoupons
+ * @apiGroup Coupon
+ * @apiPermission products:read
+ *
+ * @apiHeader {String} token Users unique access-key.
+ *
+ * @apiHeaderExample {json} Header-Example:
+ * {
+ *   "Authorization": "Bearer {{TOKEN_USER}}"
+ * }
+ *
+ * @apiQuery {Number} [page=1] The page to get.
+ * @apiQuery {Number} [limit=20] The coupons per page, at most 100.
+ * @apiQuery {String} [sort] Sort by id, code, timesUsed, startsAt, endsAt or createdAt, prefix with - for descending order.
+ * @apiQuery {String} [code] Filter by code.
+ * @apiQuery {String} [type] Filter by type, percentage or fixed.
+ * @apiQuery {String} [status] Filter by status, active or inactive.
+ * @apiQuery {Number} [timesUsed] Filter by uses, e.g. timesUsed[gte]=10.
+ * @apiQuery {String} [endsAt] Filter by end date, e.g. endsAt[lt]=2022-06-01.
+ *
+ * @apiSuccess {Array} coupons The coupons that are not deleted.
+ *
+ * @apiSuccessExample {json} Success-Response:
+ * HTTP/1.1 200 OK
+ * {
+ *   "status": "success",
+ *   "data": {
+ *     "coupons": [
+ *       {
+ *         "id": 1,
+ *         "code": "WELCOME10",
+ *         "description": "10% off the first purchase",
+ *         "type": "percentage",
+ *         "value": 10,
+ *         "minCartValue": { "amount": "0.00", "currency": "COP", "formatted": "$ 0,00" },
+ *         "currency": "COP",
+ *         "startsAt": null,
+ *         "endsAt": "2022-12-31T23:59:59.000Z",
+ *         "maxUses": 100,
+ *         "maxUsesPerUser": 1,
+ *         "timesUsed": 12,
+ *         "status": "active"
+ *       }
+ *     ]
+ *   },
+ *   "pagination": { "total": 1, "page": 1, "limit": 20, "totalPages": 1, "next": null, "prev": null }
+ * }
+ */
+exports.getAllCoupons = catchAsync(async (req, res, next) => {
+  const { page, limit, offset, where, order } = parseQuery(
+    req.query,
+    couponQueryOptions
+  );
+
+  if (typeof where.code === "string") {
+    where.code = where.code.toUpperCase();
+  }
+
+  const { count, rows: coupons } = await Coupon.findAndCountAll({
+    where: { status: { [Op.ne]: "deleted" }, ...where },
+    order,
+    limit,
+    offset
+  });
+
+  res.status(200).json({
+    status: "success",
+    data: {
+      coupons
+    },
+    pagination: paginationInfo(req, { count, page, limit })
+  });
+});
+
+// Get coupon by Id
+/**
+ * @api {get} https://prueba-tecnica-brm.herokuapp.com/api/v1/admin/coupons/:id 2. Get coupon by id
+ * @apiName GetCouponById
+ * @apiGroup Coupon
+ * @apiPermission products:read
+ *
+ * @apiHeader {String} token Users unique access-key.
+ *
+ * @apiHeaderExample {json} Header-Example:
+ * {
+ *   "Authorization": "Bearer {{TOKEN_USER}}"
+ * }
+ *
+ * @apiParam {Number} id Coupon id
+ *
+ * @apiSuccess {Object} coupon The coupon with the products and categories it's restricted to and how many orders used it.
+ *
+ * @apiSuccessExample {json} Success-Response:
+ * HTTP/1.1 200 OK
+ * {
+ *   "id": 2,
+ *   "code": "TVS50K",
+ *   "type": "fixed",
+ *   "value": { "amount": "50000.00", "currency": "COP", "formatted": "$ 50.000,00" },
+ *   "minCartValue": { "amount": "500000.00", "currency": "COP", "formatted": "$ 500.000,00" },
+ *   "currency": "COP",
+ *   "timesUsed": 3,
+ *   "status": "active",
+ *   "products": [],
+ *   "categories": [{ "id": 2, "name": "Televisores", "slug": "televisores" }],
+ *   "redemptions": 3
+ * }
+ *
+ * @apiError Coupon No coupon found
+ *
+ * @apiErrorExample Error-Response:
+ * HTTP/1.1 404 Not Found
+ * {
+ *   error: "No coupon found"
+ * }
+ */
+exports.getCouponById = catchAsync(async (req, res, next) => {
+  const coupon = await couponWithRestrictions(req.params.id);
+
+  res.status(200).json({
+    status: "success",
+    data: {
+      coupon
+    }
+  });
+});
+
+// Create new coupon
+/**
+ * @api {post} https://prueba-tecnica-brm.herokuapp.com/api/v1/admin/coupons 3. Create new coupon
+ * @apiName CreateCoupon
+ * @apiGroup Coupon
+ * @apiPermission products:write
+ *
+ * @apiHeader {String} token Users unique access-key.
+ *
+ * @apiHeaderExample {json} Header-Example:
+ * {
+ *   "Authorization": "Bearer {{TOKEN_USER}}"
+ * }
+ *
+ * @apiBody {String} code The unique code, letters, numbers, - and _. It's stored in uppercase.
+ * @apiBody {String} [description] What the coupon is for.
+ * @apiBody {String} type percentage or fixed.
+ * @apiBody {Number} value The percent off (1 to 100) or the amount off, in the store currency (CURRENCY).
+ * @apiBody {Number} [minCartValue=0] The cart subtotal needed to use the coupon, in the store currency.
+ * @apiBody {String} [startsAt] When the coupon can start being used.
+ * @apiBody {String} [endsAt] When the coupon expires.
+ * @apiBody {Number} [maxUses] How many orders can use the coupon, unlimited by default.
+ * @apiBody {Number} [maxUsesPerUser] How many orders of the same user can use the coupon, unlimited by default.
+ * @apiBody {Number[]} [productIds] The products the discount applies to.
+ * @apiBody {Number[]} [categoryIds] The categories the discount applies to, with their subcategories. Without products nor categories it applies to the whole cart.
+ *
+ * @apiSuccess {Object} coupon The new coupon.
+ *
+ * @apiError Coupon The coupon code already exists
+ *
+ * @apiErrorExample Error-Response:
+ * HTTP/1.1 409 Conflict
+ * {
+ *   error: "The coupon code already exists"
+ * }
+ */
+exports.createCoupon = catchAsync(async (req, res, next) => {
+  const data = filterObj(req.body, ...couponFields);
+
+  data.value = couponValue(data.type, data.value);
+
+  await checkCoupon(data);
+
+  const restrictions = await restrictionIds(req.body);
+
+  const coupon = await database.transaction(async (transaction) => {
+    const coupon = await Coupon.create(data, { transaction });
+
+    await setRestrictions(coupon, restrictions, { transaction });
+
+    return coupon;
+  });
+
+  res.status(201).json({
+    status: "success",
+    data: {
+      coupon: await couponWithRestrictions(coupon.id)
+    }
+  });
+});
+
+// Update coupon
+/**
+ * @api {patch} https://prueba-tecnica-brm.herokuapp.com/api/v1/admin/coupons/:id 4. Update coupon
+ * @apiName UpdateCoupon
+ * @apiGroup Coupon
+ * @apiPermission products:write
+ *
+ * @apiHeader {String} token Users unique access-key.
+ *
+ * @apiHeaderExample {json} Header-Example:
+ * {
+ *   "Authorization": "Bearer {{TOKEN_USER}}"
+ * }
+ *
+ * @apiParam {Number} id Coupon id
+ *
+ * @apiBody {String} [code] The unique code.
+ * @apiBody {String} [description] What the coupon is for.
+ * @apiBody {String} [type] percentage or fixed.
+ * @apiBody {Number} [value] The percent off or the amount off, required when the type changes.
+ * @apiBody {Number} [minCartValue] The cart subtotal needed to use the coupon.
+ * @apiBody {String} [startsAt] When the coupon can start being used, null to remove it.
+ * @apiBody {String} [endsAt] When the coupon expires, null to remove it.
+ * @apiBody {Number} [maxUses] The total limit, null to remove it.
+ * @apiBody {Number} [maxUsesPerUser] The per user limit, null to remove it.
+ * @apiBody {Number[]} [productIds] Replaces the products the discount applies to.
+ * @apiBody {Number[]} [categoryIds] Replaces the categories the discount applies to.
+ * @apiBody {String} [status] active or inactive, an inactive coupon can't be applied nor used at checkout.
+ *
+ * @apiSuccess {Object} coupon The updated coupon.
+ *
+ * @apiError Coupon A percentage coupon can't be over 100
+ *
+ * @apiErrorExample Error-Response:
+ * HTTP/1.1 400 Bad Request
+ * {
+ *   error: "A percentage coupon can't be over 100"
+ * }
+ */
+exports.updateCoupon = catchAsync(async (req, res, next) => {
+  const data = filterObj(req.body, ...couponFields, "status");
+
+  const coupon = await findCoupon(req.params.id);
+
+  if (data.type && data.type !== coupon.type && data.value === undefined) {
+    return next(new AppError(400, "Must provide the value of the new type"));
+  }
+
+  if (data.value !== undefined) {
+    data.value = couponValue(data.type || coupon.type, data.value);
+  }
+
+  await checkCoupon({ ...coupon.toJSON(), ...data }, coupon.id);
+
+  const restrictions = await restrictionIds(req.body);
+
+  await database.transaction(async (transaction) => {
+    await coupon.update(data, { transaction });
+
+    await setRestrictions(coupon, restrictions, { transaction });
+  });
+
+  res.status(200).json({
+    status: "success",
+    data: {
+      coupon: await couponWithRestrictions(coupon.id)
+    }
+  });
+});
+
+// Delete coupon
+/**
+ * @api {delete} https://prueba-tecnica-brm.herokuapp.com/api/v1/admin/coupons/:id 5. Delete coupon
+ * @apiName DeleteCoupon
+ * @apiGroup Coupon
+ * @apiPermission products:write
+ *
+ * @apiHeader {String} token Users unique access-key.
+ *
+ * @apiHeaderExample {json} Header-Example:
+ * {
+ *   "Authorization": "Bearer {{TOKEN_USER}}"
+ * }
+ *
+ * @apiParam {Number} id Coupon id
+ *
+ * @apiSuccess {String} status Success.
+ *
+ * @apiSuccessExample {json} Success-Response:
+ * HTTP/1.1 204 OK
+ * {
+ *   "status": "success"
+ * }
+ *
+ * @apiError Coupon No coupon found
+ *
+ * @apiErrorExample Error-Response:
+ * HTTP/1.1 404 Not Found
+ * {
+ *   error: "No coupon found"
+ * }
+ */
+exports.deleteCoupon = catchAsync(async (req, res, next) => {
+  const coupon = await findCoupon(req.params.id);
+
+  // This is a soft delete technical, the orders keep the coupon code
+  await coupon.update({ status: "deleted" });
+
+  res.status(204).json({
+    status: "success"
+  });
+});
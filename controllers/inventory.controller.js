@@ -0,0 +1,362 @@
+// Importing the required modules
+const { once } = require("events");
+const { Op } = require("sequelize");
+const { stringify } = require("csv-stringify");
+
+// Import Database
+const { database } = require("../database/database");
+
+// Import Models
+const { Product } = require("../models/product.model");
+
+// Import Utils
+const { AppError } = require("../utils/appError");
+const { catchAsync } = require("../utils/catchAsync");
+const { parseImportRows, validateRow } = require("../utils/productImport");
+const { Money } = require("../utils/money");
+const {
+  createProductWithStock,
+  adjustProductStock
+} = require("../utils/inventory");
+
+const EXPORT_BATCH_SIZE = 500;
+
+// The columns of the first lot, only the new products take them
+const lotFields = ["entryDate", "expiryDate", "cost"];
+
+const exportColumns = [
+  "id",
+  "batchNumber",
+  "name",
+  "price",
+  "currency",
+  "quantityAvailable",
+  "createdAt",
+  "updatedAt"
+];
+
+// The amounts of a valid row, in the store currency
+const rowValues = (data) => ({
+  ...data,
+  price: Money.of(data.price),
+  ...(data.cost === undefined ? {} : { cost: Money.of(data.cost) })
+});
+
+// Decides what the import does with each row: create, update or unchanged.
+// The rows with errors have no action
+const planImport = async (rows, options = {}) => {
+  const batchNumbers = rows
+    .map((el) => Number(el.data.batchNumber))
+    .filter((el) => Number.isFinite(el));
+
+  const products = await Product.findAll({
+    where: { status: "active", batchNumber: batchNumbers },
+    order: [["id", "ASC"]],
+    ...options
+  });
+
+  const seenRows = new Map();
+
+  const plan = [];
+
+  for (const { row, data } of rows) {
+    const errors = await validateRow(data);
+    const batchNumber = Number(data.batchNumber);
+
+    if (errors.length === 0 && seenRows.has(batchNumber)) {
+      errors.push({
+        field: "batchNumber",
+        message: `The batch number is repeated in row ${seenRows.get(
+          batchNumber
+        )}`
+      });
+    }
+
+    seenRows.set(batchNumber, seenRows.get(batchNumber) || row);
+
+    const matches = products.filter((el) => el.batchNumber === batchNumber);
+
+    if (errors.length === 0 && matches.length > 1) {
+      errors.push({
+        field: "batchNumber",
+        message: `${matches.length} products have this batch number`
+      });
+    }
+
+    const [product] = matches;
+
+    // The stock added to an existing product goes to its newest lot, a new
+    // lot with its own dates and cost is received from its lots
+    if (errors.length === 0 && product) {
+      lotFields
+        .filter((field) => data[field] !== undefined)
+        .forEach((field) => {
+          errors.push({
+            field,
+            message: `${field} only applies to new products, receive a lot to add stock with it`
+          });
+        });
+    }
+
+    let action = null;
+
+    if (errors.length === 0 && !product) {
+      action = "create";
+    } else if (errors.length === 0) {
+      action =
+        product.name === data.name &&
+        product.price.equals(Money.of(data.price)) &&
+        product.quantityAvailable === +data.quantityAvailable
+          ? "unchanged"
+          : "update";
+    }
+
+    plan.push({
+      row,
+      batchNumber: data.batchNumber,
+      action,
+      productId: product ? product.id : null,
+      product,
+      data,
+      errors
+    });
+  }
+
+  return plan;
+};
+
+const importSummary = (plan) => {
+  const count = (action) => plan.filter((el) => el.action === action).length;
+
+  return {
+    rows: plan.length,
+    invalid: plan.filter((el) => el.errors.length > 0).length,
+    create: count("create"),
+    update: count("update"),
+    unchanged: count("unchanged")
+  };
+};
+
+const importReport = (plan) => {
+  return plan.map(({ row, batchNumber, action, productId, errors }) => ({
+    row,
+    batchNumber,
+    action,
+    productId,
+    errors
+  }));
+};
+
+// Import products
+/**
+ * @api {post} https://prueba-tecnica-brm.herokuapp.com/api/v1/products/import 10. Import products
+ * @apiName ImportProducts
+ * @apiGroup Product
+ * @apiPermission products:write
+ * @apiDescription The products are sent as a CSV or JSON file in the file field (multipart/form-data), as a text/csv body, or as a JSON body with an array of products. The columns are batchNumber, name, price, quantityAvailable and, only for the new products, entryDate, expiryDate and cost (a row of an existing product with them is invalid, its lots are received with POST /products/:id/lots). Every row is checked with the same rules as a new product. The products are matched by batch number: the existing ones are updated (a stock change is recorded as an adjustment) and the rest are created. If any row is invalid nothing is imported.
+ *
+ * @apiHeader {String} token Users unique access-key.
+ *
+ * @apiHeaderExample {json} Header-Example:
+ * {
+ *   "Authorization": "Bearer {{TOKEN_USER}}"
+ * }
+ *
+ * @apiQuery {Boolean} [dryRun=false] true only checks the rows and reports what would be done.
+ *
+ * @apiSuccess {Boolean} dryRun Whether the import was only checked.
+ * @apiSuccess {Object} summary How many rows are invalid, created, updated and unchanged.
+ * @apiSuccess {Array} rows The action and the errors of each row, by line of the CSV or position in the JSON.
+ *
+ * @apiSuccessExample {json} Success-Response:
+ * HTTP/1.1 200 OK
+ * {
+ *   "dryRun": true,
+ *   "summary": { "rows": 2, "invalid": 1, "create": 0, "update": 1, "unchanged": 0 },
+ *   "rows": [
+ *     { "row": 2, "batchNumber": "1", "action": "update", "productId": 1, "errors": [] },
+ *     {
+ *       "row": 3,
+ *       "batchNumber": "9",
+ *       "action": null,
+ *       "productId": null,
+ *       "errors": [{ "field": "price", "message": "Price must be a Number" }]
+ *     }
+ *   ]
+ * }
+ *
+ * @apiError Import Some rows are not valid, nothing is imported
+ *
+ * @apiErrorExample Error-Response:
+ * HTTP/1.1 400 Bad Request
+ * {
+ *   "code": "VALIDATION_ERROR",
+ *   "message": "1 of 2 rows are not valid, nothing was imported",
+ *   "details": [{ "row": 3, "field": "price", "message": "Price must be a Number" }]
+ * }
+ */
+exports.importProducts = catchAsync(async (req, res, next) => {
+  const dryRun = req.query.dryRun === "true";
+
+  const rows = parseImportRows(req);
+
+  if (dryRun) {
+    const plan = await planImport(rows);
+
+    return res.status(200).json({
+      status: "success",
+      data: {
+        dryRun,
+        summary: importSummary(plan),
+        rows: importReport(plan)
+      }
+    });
+  }
+
+  const plan = await database.transaction(async (transaction) => {
+    // The rows are checked again with the products locked, in id order
+    const plan = await planImport(rows, {
+      lock: transaction.LOCK.UPDATE,
+      transaction
+    });
+
+    const invalidRows = plan.filter((el) => el.errors.length > 0);
+
+    if (invalidRows.length > 0) {
+      throw new AppError(
+        400,
+        `${invalidRows.length} of ${plan.length} rows are not valid, nothing was imported`,
+        {
+          code: "VALIDATION_ERROR",
+          details: invalidRows.flatMap(({ row, errors }) =>
+            errors.map((error) => ({ row, ...error }))
+          )
+        }
+      );
+    }
+
+    for (const item of plan) {
+      const data = rowValues(item.data);
+
+      if (item.action === "create") {
+        const product = await createProductWithStock(data, {
+          userId: req.currentUser.id,
+          transaction
+        });
+
+        item.productId = product.id;
+      }
+
+      if (item.action === "update") {
+        await item.product.update(
+          { name: data.name, price: data.price },
+          { transaction }
+        );
+
+        await adjustProductStock(item.product, +data.quantityAvailable, {
+          userId: req.currentUser.id,
+          reason: "Bulk import",
+          transaction
+        });
+      }
+    }
+
+    return plan;
+  });
+
+  res.status(200).json({
+    status: "success",
+    data: {
+      dryRun,
+      summary: importSummary(plan),
+      rows: importReport(plan)
+    }
+  });
+});
+
+// Export products
+/**
+ * @api {get} https://prueba-tecnica-brm.herokuapp.com/api/v1/products/export 11. Export products
+ * @apiName ExportProducts
+ * @apiGroup Product
+ * @apiPermission products:read
+ * @apiDescription The active products as a CSV file, sent as it is read so large inventories aren't loaded in memory. The file can be imported back.
+ *
+ * @apiHeader {String} token Users unique access-key.
+ *
+ * @apiHeaderExample {json} Header-Example:
+ * {
+ *   "Authorization": "Bearer {{TOKEN_USER}}"
+ * }
+ *
+ * @apiSuccessExample {text} Success-Response:
+ * HTTP/1.1 200 OK
+ * Content-Type: text/csv; charset=utf-8
+ * Content-Disposition: attachment; filename="products.csv"
+ *
+ * id,batchNumber,name,price,currency,quantityAvailable,createdAt,updatedAt
+ * 1,1,Tv Sony,1000000.00,COP,10,2022-05-23T02:44:23.359Z,2022-05-23T02:44:23.359Z
+ */
+exports.exportProducts = catchAsync(async (req, res, next) => {
+  const csv = stringify({
+    header: true,
+    columns: exportColumns,
+    cast: {
+      date: (value) => value.toISOString(),
+      // The prices are written like they are imported, in major units
+      object: (value) =>
+        value instanceof Money ? value.toDecimal() : JSON.stringify(value)
+    }
+  });
+
+  res.status(200).set({
+    "Content-Type": "text/csv; charset=utf-8",
+    "Content-Disposition": 'attachment; filename="products.csv"'
+  });
+
+  csv.pipe(res);
+
+  // A client that disconnects stops the export, the wait for drain included
+  const disconnected = new AbortController();
+
+  res.on("close", () => disconnected.abort());
+
+  try {
+    let lastId = 0;
+
+    // The products are read by pages of ids, only one page is in memory
+    while (!disconnected.signal.aborted) {
+      const products = await Product.findAll({
+        where: { status: "active", id: { [Op.gt]: lastId } },
+        attributes: exportColumns,
+        order: [["id", "ASC"]],
+        limit: EXPORT_BATCH_SIZE
+      });
+
+      if (products.length === 0) break;
+
+      for (const product of products) {
+        if (!csv.write(product.get({ plain: true }))) {
+          await once(csv, "drain", { signal: disconnected.signal });
+        }
+      }
+
+      lastId = products[products.length - 1].id;
+    }
+
+    if (disconnected.signal.aborted) {
+      csv.destroy();
+    } else {
+      csv.end();
+    }
+  } catch (err) {
+    csv.destroy();
+
+    if (disconnected.signal.aborted) return;
+
+    // The headers are already sent, the client gets a cut file
+    console.log(err);
+
+    res.destroy(err);
+  }
+});
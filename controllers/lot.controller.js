@@ -0,0 +1,374 @@
+// Importing the required modules
+const { Op } = require("sequelize");
+
+// Import Database
+const { database } = require("../database/database");
+
+// Import Models
+const { Lot } = require("../models/lot.model");
+const { Product } = require("../models/product.model");
+
+// Import Utils
+const { AppError } = require("../utils/appError");
+const { catchAsync } = require("../utils/catchAsync");
+const { parseQuery, paginationInfo } = require("../utils/queryFeatures");
+const { moveStock } = require("../utils/stockLedger");
+const { today, expireProductLots } = require("../utils/lots");
+
+const DEFAULT_EXPIRING_DAYS = 30;
+
+// Get the lots of a product
+/**
+ * @api {get} https://prueba-tecnica-brm.herokuapp.com/api/v1/products/:id/lots 1. Get product lots
+ * @apiName GetProductLots
+ * @apiGroup Lot
+ * @apiPermission products:read
+ *
+ * @apiHeader {String} token Users unique access-key.
+ *
+ * @apiHeaderExample {json} Header-Example:
+ * {
+ *   "Authorization": "Bearer {{TOKEN_USER}}"
+ * }
+ *
+ * @apiParam {Number} id Product id
+ *
+ * @apiQuery {Number} [page=1] The page to return.
+ * @apiQuery {Number} [limit=20] The lots per page (max 100).
+ * @apiQuery {String} [status] Filter by status (active or expired).
+ * @apiQuery {String} [sort] Comma separated fields, prefix with - for descending (e.g. expiryDate).
+ *
+ * @apiSuccess {Array} lots The lots of the product, oldest first.
+ * @apiSuccess {Object} pagination The total count, page, limit, and the next and previous links.
+ *
+ * @apiSuccessExample {json} Success-Response:
+ * HTTP/1.1 200 OK
+ * [
+ *   {
+ *     "id": 1,
+ *     "productId": 1,
+ *     "batchNumber": 1,
+ *     "entryDate": "2022-05-23",
+ *     "expiryDate": "2023-05-23",
+ *     "cost": { "amount": "700000.00", "currency": "COP", "formatted": "$ 700.000,00" },
+ *     "receivedQuantity": 10,
+ *     "quantity": 8,
+ *     "status": "active"
+ *   }
+ * ]
+ *
+ * @apiError Product No product found
+ *
+ * @apiErrorExample Error-Response:
+ * HTTP/1.1 404 Not Found
+ * {
+ *   error: "No product found"
+ * }
+ */
+exports.getProductLots = catchAsync(async (req, res, next) => {
+  const { id } = req.params;
+
+  const product = await Product.findOne({ where: { id } });
+
+  if (!product) {
+    return next(new AppError(404, "No product found"));
+  }
+
+  const { page, limit, offset, where, order } = parseQuery(req.query, {
+    filterFields: { status: "string", batchNumber: "number" },
+    sortFields: ["id", "entryDate", "expiryDate", "quantity"],
+    defaultSort: [
+      ["entryDate", "ASC"],
+      ["id", "ASC"]
+    ]
+  });
+
+  const { count, rows: lots } = await Lot.findAndCountAll({
+    where: { ...where, productId: product.id },
+    order,
+    limit,
+    offset
+  });
+
+  res.status(200).json({
+    status: "success",
+    data: {
+      lots
+    },
+    pagination: paginationInfo(req, { count, page, limit })
+  });
+});
+
+// Receive a new lot of a product
+/**
+ * @api {post} https://prueba-tecnica-brm.herokuapp.com/api/v1/products/:id/lots 2. Receive lot
+ * @apiName ReceiveLot
+ * @apiGroup Lot
+ * @apiPermission products:write
+ *
+ * @apiHeader {String} token Users unique access-key.
+ *
+ * @apiHeaderExample {json} Header-Example:
+ * {
+ *   "Authorization": "Bearer {{TOKEN_USER}}"
+ * }
+ *
+ * @apiParam {Number} id Product id
+ *
+ * @apiBody {Number} batchNumber The batch number of the lot.
+ * @apiBody {Number} quantity The received quantity.
+ * @apiBody {String} [entryDate] The entry date (YYYY-MM-DD), today by default.
+ * @apiBody {String} [expiryDate] The expiry date (YYYY-MM-DD), can't be in the past.
+ * @apiBody {Number} [cost] The unit cost of the lot, in the store currency.
+ *
+ * @apiSuccess {Object} lot The new lot, its quantity is added to the product stock.
+ *
+ * @apiSuccessExample {json} Success-Response:
+ * HTTP/1.1 201 OK
+ * {
+ *   "id": 6,
+ *   "productId": 1,
+ *   "batchNumber": 6,
+ *   "entryDate": "2022-06-01",
+ *   "expiryDate": "2023-06-01",
+ *   "cost": { "amount": "650000.00", "currency": "COP", "formatted": "$ 650.000,00" },
+ *   "receivedQuantity": 20,
+ *   "quantity": 20,
+ *   "status": "active"
+ * }
+ *
+ * @apiError Product No product found
+ *
+ * @apiErrorExample Error-Response:
+ * HTTP/1.1 404 Not Found
+ * {
+ *   error: "No product found"
+ * }
+ */
+exports.receiveLot = catchAsync(async (req, res, next) => {
+  const { id } = req.params;
+
+  const { batchNumber, quantity, entryDate, expiryDate, cost } = req.body;
+
+  const lot = await database.transaction(async (transaction) => {
+    const product = await Product.findOne({
+      where: { status: "active", id },
+      lock: transaction.LOCK.UPDATE,
+      transaction
+    });
+
+    if (!product) {
+      throw new AppError(404, "No product found");
+    }
+
+    await expireProductLots(product, { transaction });
+
+    const lot = await Lot.create(
+      {
+        productId: product.id,
+        batchNumber,
+        entryDate: entryDate || today(),
+        expiryDate,
+        cost,
+        receivedQuantity: quantity,
+        quantity
+      },
+      { transaction }
+    );
+
+    await moveStock(product, +quantity, {
+      type: "receipt",
+      userId: req.currentUser.id,
+      reason: `Lot ${batchNumber} received`,
+      transaction
+    });
+
+    return lot;
+  });
+
+  res.status(201).json({
+    status: "success",
+    data: {
+      lot
+    }
+  });
+});
+
+// Adjust the quantity of a lot
+/**
+ * @api {patch} https://prueba-tecnica-brm.herokuapp.com/api/v1/products/:id/lots/:lotId 3. Adjust lot
+ * @apiName AdjustLot
+ * @apiGroup Lot
+ * @apiPermission products:write
+ * @apiDescription The change is recorded in the stock ledger, unless the lot is expired because its stock is no longer available.
+ *
+ * @apiHeader {String} token Users unique access-key.
+ *
+ * @apiHeaderExample {json} Header-Example:
+ * {
+ *   "Authorization": "Bearer {{TOKEN_USER}}"
+ * }
+ *
+ * @apiParam {Number} id Product id
+ * @apiParam {Number} lotId Lot id
+ *
+ * @apiBody {Number} quantity The counted quantity of the lot.
+ * @apiBody {String} reason Why the lot is adjusted.
+ *
+ * @apiSuccess {Object} lot The adjusted lot.
+ *
+ * @apiSuccessExample {json} Success-Response:
+ * HTTP/1.1 200 OK
+ * {
+ *   "id": 1,
+ *   "productId": 1,
+ *   "batchNumber": 1,
+ *   "quantity": 7,
+ *   "status": "active"
+ * }
+ *
+ * @apiError Lot No lot found
+ *
+ * @apiErrorExample Error-Response:
+ * HTTP/1.1 404 Not Found
+ * {
+ *   error: "No lot found"
+ * }
+ */
+exports.adjustLot = catchAsync(async (req, res, next) => {
+  const { id, lotId } = req.params;
+
+  const { quantity, reason } = req.body;
+
+  const lot = await database.transaction(async (transaction) => {
+    const product = await Product.findOne({
+      where: { status: "active", id },
+      lock: transaction.LOCK.UPDATE,
+      transaction
+    });
+
+    if (!product) {
+      throw new AppError(404, "No product found");
+    }
+
+    await expireProductLots(product, { transaction });
+
+    const lot = await Lot.findOne({
+      where: { id: lotId, productId: product.id },
+      lock: transaction.LOCK.UPDATE,
+      transaction
+    });
+
+    if (!lot) {
+      throw new AppError(404, "No lot found");
+    }
+
+    const delta = quantity - lot.quantity;
+
+    await lot.update({ quantity }, { transaction });
+
+    if (delta !== 0 && lot.status === "active") {
+      await moveStock(product, delta, {
+        type: "adjustment",
+        userId: req.currentUser.id,
+        reason: `Lot ${lot.batchNumber}: ${reason}`,
+        transaction
+      });
+    }
+
+    return lot;
+  });
+
+  res.status(200).json({
+    status: "success",
+    data: {
+      lot
+    }
+  });
+});
+
+// Get the lots that expire soon
+/**
+ * @api {get} https://prueba-tecnica-brm.herokuapp.com/api/v1/products/lots/expiring 4. Get lots expiring soon
+ * @apiName GetExpiringLots
+ * @apiGroup Lot
+ * @apiPermission products:read
+ *
+ * @apiHeader {String} token Users unique access-key.
+ *
+ * @apiHeaderExample {json} Header-Example:
+ * {
+ *   "Authorization": "Bearer {{TOKEN_USER}}"
+ * }
+ *
+ * @apiQuery {Number} [days=30] How many days ahead to look.
+ * @apiQuery {Number} [page=1] The page to return.
+ * @apiQuery {Number} [limit=20] The lots per page (max 100).
+ *
+ * @apiSuccess {Array} lots The active lots with stock that expire within the days, the first to expire first.
+ * @apiSuccess {Object} pagination The total count, page, limit, and the next and previous links.
+ *
+ * @apiSuccessExample {json} Success-Response:
+ * HTTP/1.1 200 OK
+ * [
+ *   {
+ *     "id": 1,
+ *     "productId": 1,
+ *     "batchNumber": 1,
+ *     "expiryDate": "2022-06-10",
+ *     "quantity": 8,
+ *     "status": "active",
+ *     "product": { "id": 1, "name": "Tv Sony" }
+ *   }
+ * ]
+ *
+ * @apiError Days The days must be a positive integer
+ *
+ * @apiErrorExample Error-Response:
+ * HTTP/1.1 400 Bad Request
+ * {
+ *   error: "The days must be a positive integer"
+ * }
+ */
+exports.getExpiringLots = catchAsync(async (req, res, next) => {
+  const days =
+    req.query.days === undefined
+      ? DEFAULT_EXPIRING_DAYS
+      : Number(req.query.days);
+
+  if (!Number.isInteger(days) || days < 1) {
+    return next(new AppError(400, "The days must be a positive integer"));
+  }
+
+  const { page, limit, offset, order } = parseQuery(req.query, {
+    sortFields: ["expiryDate", "quantity"],
+    defaultSort: [
+      ["expiryDate", "ASC"],
+      ["id", "ASC"]
+    ]
+  });
+
+  const until = new Date(Date.now() + days * 24 * 60 * 60 * 1000)
+    .toISOString()
+    .slice(0, 10);
+
+  const { count, rows: lots } = await Lot.findAndCountAll({
+    where: {
+      status: "active",
+      quantity: { [Op.gt]: 0 },
+      expiryDate: { [Op.between]: [today(), until] }
+    },
+    include: [{ model: Product, attributes: ["id", "name", "batchNumber"] }],
+    order,
+    limit,
+    offset
+  });
+
+  res.status(200).json({
+    status: "success",
+    data: {
+      lots
+    },
+    pagination: paginationInfo(req, { count, page, limit })
+  });
+});
@@ -1,19 +1,55 @@
 // Import Models
-const { Cart } = require("../models/cart.model");
 const { Order } = require("../models/order.model");
-const { Product } = require("../models/product.model");
+const { OrderItem } = require("../models/orderItem.model");
+const { OrderStatusHistory } = require("../models/orderStatusHistory.model");
 const { User } = require("../models/user.model");
 
 // Import Utils
 const { catchAsync } = require("../utils/catchAsync");
 const { AppError } = require("../utils/appError");
+const { parseQuery, paginationInfo } = require("../utils/queryFeatures");
+const { transitionOrder } = require("../utils/orderStatus");
+
+// Import Database
+const { database } = require("../database/database");
+
+// Query string options shared by the order collections
+const orderQueryOptions = {
+  filterFields: { totalPrice: "money", createdAt: "date", status: "string" },
+  sortFields: ["id", "totalPrice", "createdAt"]
+};
+
+// Cancels the order inside a transaction, restocking its products
+const cancelOrderById = (id, currentUser, { note, ownerOnly }) => {
+  return database.transaction(async (transaction) => {
+    const order = await Order.findOne({
+      where: { id },
+      lock: transaction.LOCK.UPDATE,
+      transaction
+    });
+
+    if (!order) {
+      throw new AppError(404, "No order found with that Id");
+    }
+
+    if (ownerOnly && order.userId !== currentUser.id) {
+      throw new AppError(403, "You can't cancel other users' purchases");
+    }
+
+    return await transitionOrder(order, "cancelled", {
+      userId: currentUser.id,
+      note,
+      transaction
+    });
+  });
+};
 
 // Get all the orders
 /**
  * @api {get} https://prueba-tecnica-brm.herokuapp.com/api/v1/orders/ 1. Get all orders
  * @apiName GetAllOrders
  * @apiGroup Order
- * @apiPermission admin
+ * @apiPermission orders:read:any
  *
  * @apiHeader {String} token Users unique access-key.
  *
@@ -22,7 +58,14 @@ const { AppError } = require("../utils/appError");
  *   "Authorization": "Bearer {{TOKEN_USER}}"
  * }
  *
+ * @apiQuery {Number} [page=1] The page to return.
+ * @apiQuery {Number} [limit=20] The orders per page (max 100).
+ * @apiQuery {String} [sort] Comma separated fields, prefix with - for descending (e.g. -totalPrice).
+ * @apiQuery {Number} [userId] Filter by the buyer.
+ * @apiQuery {Number} [totalPrice[gt]] Range filters on totalPrice and createdAt (gt, gte, lt, lte, eq).
+ *
  * @apiSuccess {Array} orders Get all the orders
+ * @apiSuccess {Object} pagination The total count, page, limit, and the next and previous links.
  *
  * @apiSuccessExample {json} Success-Response:
  * HTTP/1.1 201 OK
@@ -32,11 +75,11 @@ const { AppError } = require("../utils/appError");
  *     "userId": 2,
  *     "cartId": 1,
  *     "issuedAt": "Mon May 23 2022 03:12:04 GMT+0000 (Coordinated Universal Time)",
- *     "totalPrice": 1000000,
- *     "status": "active",
+ *     "totalPrice": { "amount": "1000000.00", "currency": "COP", "formatted": "$ 1.000.000,00" },
+ *     "status": "pending",
  *     "createdAt": "2022-05-23T03:12:04.529Z",
  *     "updatedAt": "2022-05-23T03:12:04.529Z",
- *     "cart": [Array with details]
+ *     "orderItems": [Array with the purchased products]
  *     "user": [Array with details]
  *   },
  *   {
@@ -44,11 +87,11 @@ const { AppError } = require("../utils/appError");
  *     "userId": 2,
  *     "cartId": 1,
  *     "issuedAt": "Mon May 23 2022 03:12:04 GMT+0000 (Coordinated Universal Time)",
- *     "totalPrice": 1000000,
- *     "status": "active",
+ *     "totalPrice": { "amount": "1000000.00", "currency": "COP", "formatted": "$ 1.000.000,00" },
+ *     "status": "pending",
  *     "createdAt": "2022-05-23T03:12:04.529Z",
  *     "updatedAt": "2022-05-23T03:12:04.529Z",
- *     "cart": [Array with details]
+ *     "orderItems": [Array with the purchased products]
  *     "user": [Array with details]
  *   },
  * ]
@@ -62,14 +105,19 @@ const { AppError } = require("../utils/appError");
  * }
  */
 exports.getAllOrders = catchAsync(async (req, res, next) => {
-  const orders = await Order.findAll({
+  const { page, limit, offset, where, order } = parseQuery(req.query, {
+    ...orderQueryOptions,
+    filterFields: { ...orderQueryOptions.filterFields, userId: "number" }
+  });
+
+  const { count, rows: orders } = await Order.findAndCountAll({
+    where,
+    order,
+    limit,
+    offset,
+    distinct: true,
     include: [
-      {
-        model: Cart,
-        include: [
-          { model: Product, through: { where: { status: "purchased" } } }
-        ]
-      },
+      { model: OrderItem },
       { model: User, attributes: { exclude: ["password", "passwordConfirm"] } }
     ]
   });
@@ -78,7 +126,8 @@ exports.getAllOrders = catchAsync(async (req, res, next) => {
     status: "success",
     data: {
       orders
-    }
+    },
+    pagination: paginationInfo(req, { count, page, limit })
   });
 });
 
@@ -87,7 +136,7 @@ exports.getAllOrders = catchAsync(async (req, res, next) => {
  * @api {get} https://prueba-tecnica-brm.herokuapp.com/api/v1/orders/:id 2. Get order by id
  * @apiName GetOrderById
  * @apiGroup Order
- * @apiPermission admin
+ * @apiPermission orders:read:any
  *
  * @apiHeader {String} token Users unique access-key.
  *
@@ -107,11 +156,11 @@ exports.getAllOrders = catchAsync(async (req, res, next) => {
  *   "userId": 2,
  *   "cartId": 1,
  *   "issuedAt": "Mon May 23 2022 03:12:04 GMT+0000 (Coordinated Universal Time)",
- *   "totalPrice": 1000000,
- *   "status": "active",
+ *   "totalPrice": { "amount": "1000000.00", "currency": "COP", "formatted": "$ 1.000.000,00" },
+ *   "status": "pending",
  *   "createdAt": "2022-05-23T03:12:04.529Z",
  *   "updatedAt": "2022-05-23T03:12:04.529Z",
- *   "cart": [Array with details]
+ *   "orderItems": [Array with the purchased products]
  *   "user": [Array with details]
  * }
  *
@@ -135,16 +184,16 @@ exports.getOrderById = catchAsync(async (req, res, next) => {
   const { id } = req.params;
 
   const order = await Order.findOne({
-    where: { status: "active", id },
+    where: { id },
     include: [
+      { model: OrderItem },
+      { model: User, attributes: { exclude: ["password", "passwordConfirm"] } },
       {
-        model: Cart,
-        include: [
-          { model: Product, through: { where: { status: "purchased" } } }
-        ]
-      },
-      { model: User, attributes: { exclude: ["password", "passwordConfirm"] } }
-    ]
+        model: OrderStatusHistory,
+        include: [{ model: User, attributes: ["id", "username", "role"] }]
+      }
+    ],
+    order: [[OrderStatusHistory, "createdAt", "ASC"]]
   });
 
   if (!order) {
@@ -173,7 +222,13 @@ exports.getOrderById = catchAsync(async (req, res, next) => {
  *   "Authorization": "Bearer {{TOKEN_USER}}"
  * }
  *
+ * @apiQuery {Number} [page=1] The page to return.
+ * @apiQuery {Number} [limit=20] The orders per page (max 100).
+ * @apiQuery {String} [sort] Comma separated fields, prefix with - for descending (e.g. -createdAt).
+ * @apiQuery {String} [createdAt[gte]] Range filters on createdAt and totalPrice (gt, gte, lt, lte, eq).
+ *
  * @apiSuccess {Array} orders Get all the own orders
+ * @apiSuccess {Object} pagination The total count, page, limit, and the next and previous links.
  *
  * @apiSuccessExample {json} Success-Response:
  * HTTP/1.1 201 OK
@@ -183,45 +238,48 @@ exports.getOrderById = catchAsync(async (req, res, next) => {
  *     "userId": 2,
  *     "cartId": 1,
  *     "issuedAt": "Mon May 23 2022 03:12:04 GMT+0000 (Coordinated Universal Time)",
- *     "totalPrice": 1000000,
- *     "status": "active",
+ *     "totalPrice": { "amount": "1000000.00", "currency": "COP", "formatted": "$ 1.000.000,00" },
+ *     "status": "pending",
  *     "createdAt": "2022-05-23T03:12:04.529Z",
  *     "updatedAt": "2022-05-23T03:12:04.529Z",
- *     "cart": [Array with details]
+ *     "orderItems": [Array with the purchased products]
  *   },
  *   {
  *     "id": 1,
  *     "userId": 2,
  *     "cartId": 1,
  *     "issuedAt": "Mon May 23 2022 03:12:04 GMT+0000 (Coordinated Universal Time)",
- *     "totalPrice": 1000000,
- *     "status": "active",
+ *     "totalPrice": { "amount": "1000000.00", "currency": "COP", "formatted": "$ 1.000.000,00" },
+ *     "status": "pending",
  *     "createdAt": "2022-05-23T03:12:04.529Z",
  *     "updatedAt": "2022-05-23T03:12:04.529Z",
- *     "cart": [Array with details]
+ *     "orderItems": [Array with the purchased products]
  *   },
  * ]
  */
 exports.getAllOwnOrders = catchAsync(async (req, res, next) => {
   const { currentUser } = req;
 
-  const orders = await Order.findAll({
-    where: { userId: currentUser.id },
-    include: [
-      {
-        model: Cart,
-        include: [
-          { model: Product, through: { where: { status: "purchased" } } }
-        ]
-      }
-    ]
+  const { page, limit, offset, where, order } = parseQuery(
+    req.query,
+    orderQueryOptions
+  );
+
+  const { count, rows: orders } = await Order.findAndCountAll({
+    where: { ...where, userId: currentUser.id },
+    order,
+    limit,
+    offset,
+    distinct: true,
+    include: [{ model: OrderItem }]
   });
 
   res.status(200).json({
     status: "success",
     data: {
       orders
-    }
+    },
+    pagination: paginationInfo(req, { count, page, limit })
   });
 });
 
@@ -250,11 +308,19 @@ exports.getAllOwnOrders = catchAsync(async (req, res, next) => {
  *   "userId": 2,
  *   "cartId": 1,
  *   "issuedAt": "Mon May 23 2022 03:12:04 GMT+0000 (Coordinated Universal Time)",
- *   "totalPrice": 1000000,
- *   "status": "active",
+ *   "totalPrice": { "amount": "1000000.00", "currency": "COP", "formatted": "$ 1.000.000,00" },
+ *   "status": "pending",
  *   "createdAt": "2022-05-23T03:12:04.529Z",
  *   "updatedAt": "2022-05-23T03:12:04.529Z",
- *   "cart": [Array with details]
+ *   "orderItems": [Array with the purchased products],
+ *   "orderStatusHistories": [
+ *     {
+ *       "fromStatus": null,
+ *       "toStatus": "pending",
+ *       "note": null,
+ *       "createdAt": "2022-05-23T03:12:04.529Z"
+ *     }
+ *   ]
  * }
  *
  * @apiError Order No order found with that Id
@@ -281,13 +347,13 @@ exports.getOwnOrderById = catchAsync(async (req, res, next) => {
   const order = await Order.findOne({
     where: { id },
     include: [
+      { model: OrderItem },
       {
-        model: Cart,
-        include: [
-          { model: Product, through: { where: { status: "purchased" } } }
-        ]
+        model: OrderStatusHistory,
+        attributes: ["fromStatus", "toStatus", "note", "createdAt"]
       }
-    ]
+    ],
+    order: [[OrderStatusHistory, "createdAt", "ASC"]]
   });
 
   if (!order) {
@@ -305,3 +371,248 @@ exports.getOwnOrderById = catchAsync(async (req, res, next) => {
     }
   });
 });
+
+// Update order status
+/**
+ * @api {patch} https://prueba-tecnica-brm.herokuapp.com/api/v1/orders/:id/status 5. Update order status
+ * @apiName UpdateOrderStatus
+ * @apiGroup Order
+ * @apiPermission orders:update:any
+ *
+ * @apiHeader {String} token Users unique access-key.
+ *
+ * @apiHeaderExample {json} Header-Example:
+ * {
+ *   "Authorization": "Bearer {{TOKEN_USER}}"
+ * }
+ *
+ * @apiParam {Number} id Order id
+ *
+ * @apiBody {String} status The new status (pending, paid, preparing, shipped, delivered, cancelled or refunded).
+ * @apiBody {String} [note] Why the status changed, moving it to refunded also requires the orders:refund permission.
+ *
+ * @apiSuccess {Object} order The order with its new status.
+ *
+ * @apiSuccessExample {json} Success-Response:
+ * HTTP/1.1 200 OK
+ * {
+ *   "id": 1,
+ *   "userId": 2,
+ *   "cartId": 1,
+ *   "issuedAt": "Mon May 23 2022 03:12:04 GMT+0000 (Coordinated Universal Time)",
+ *   "totalPrice": { "amount": "1000000.00", "currency": "COP", "formatted": "$ 1.000.000,00" },
+ *   "status": "paid",
+ *   "createdAt": "2022-05-23T03:12:04.529Z",
+ *   "updatedAt": "2022-05-23T03:20:10.112Z"
+ * }
+ *
+ * @apiError Order No order found with that Id
+ *
+ * @apiErrorExample Error-Response:
+ * HTTP/1.1 404 Not Found
+ * {
+ *   error: "No order found with that Id"
+ * }
+ *
+ * @apiError Order The transition is not allowed
+ *
+ * @apiErrorExample Error-Response:
+ * HTTP/1.1 409 Conflict
+ * {
+ *   error: "Can't change the order status from delivered to paid"
+ * }
+ *
+ * @apiError Order Protect Admin
+ *
+ * @apiErrorExample Error-Response:
+ * HTTP/1.1 403 Not Found
+ * {
+ *   error: "Access denied"
+ * }
+ */
+exports.updateOrderStatus = catchAsync(async (req, res, next) => {
+  const { id } = req.params;
+
+  const { status, note } = req.body;
+
+  const { currentUser, currentPermissions } = req;
+
+  if (status === "refunded" && !currentPermissions.includes("orders:refund")) {
+    return next(new AppError(403, "Access denied"));
+  }
+
+  const order = await database.transaction(async (transaction) => {
+    const order = await Order.findOne({
+      where: { id },
+      lock: transaction.LOCK.UPDATE,
+      transaction
+    });
+
+    if (!order) {
+      throw new AppError(404, "No order found with that Id");
+    }
+
+    return await transitionOrder(order, status, {
+      userId: currentUser.id,
+      note,
+      transaction
+    });
+  });
+
+  res.status(200).json({
+    status: "success",
+    data: {
+      order
+    }
+  });
+});
+
+// Cancel own order
+/**
+ * @api {patch} https://prueba-tecnica-brm.herokuapp.com/api/v1/orders/get-all-own-orders/:id/cancel 6. Cancel own order
+ * @apiName CancelOwnOrder
+ * @apiGroup Order
+ * @apiPermission UserOwner
+ *
+ * @apiHeader {String} token Users unique access-key.
+ *
+ * @apiHeaderExample {json} Header-Example:
+ * {
+ *   "Authorization": "Bearer {{TOKEN_USER}}"
+ * }
+ *
+ * @apiParam {Number} id Order id
+ *
+ * @apiBody {String} [note] Why the order is cancelled.
+ *
+ * @apiSuccess {Object} order The cancelled order, its products are back in stock.
+ *
+ * @apiSuccessExample {json} Success-Response:
+ * HTTP/1.1 200 OK
+ * {
+ *   "id": 1,
+ *   "userId": 2,
+ *   "cartId": 1,
+ *   "issuedAt": "Mon May 23 2022 03:12:04 GMT+0000 (Coordinated Universal Time)",
+ *   "totalPrice": { "amount": "1000000.00", "currency": "COP", "formatted": "$ 1.000.000,00" },
+ *   "status": "cancelled",
+ *   "createdAt": "2022-05-23T03:12:04.529Z",
+ *   "updatedAt": "2022-05-23T03:20:10.112Z"
+ * }
+ *
+ * @apiError Order No order found with that Id
+ *
+ * @apiErrorExample Error-Response:
+ * HTTP/1.1 404 Not Found
+ * {
+ *   error: "No order found with that Id"
+ * }
+ *
+ * @apiError Order You can't cancel other users' purchases
+ *
+ * @apiErrorExample Error-Response:
+ * HTTP/1.1 403 Forbidden
+ * {
+ *   error: "You can't cancel other users' purchases"
+ * }
+ *
+ * @apiError Order The order was already shipped
+ *
+ * @apiErrorExample Error-Response:
+ * HTTP/1.1 409 Conflict
+ * {
+ *   error: "Can't change the order status from shipped to cancelled"
+ * }
+ */
+exports.cancelOwnOrder = catchAsync(async (req, res, next) => {
+  const { id } = req.params;
+
+  const { currentUser } = req;
+
+  const order = await cancelOrderById(id, currentUser, {
+    note: req.body.note,
+    ownerOnly: true
+  });
+
+  res.status(200).json({
+    status: "success",
+    data: {
+      order
+    }
+  });
+});
+
+// Cancel any order
+/**
+ * @api {patch} https://prueba-tecnica-brm.herokuapp.com/api/v1/orders/:id/cancel 7. Cancel order
+ * @apiName CancelOrder
+ * @apiGroup Order
+ * @apiPermission orders:update:any
+ *
+ * @apiHeader {String} token Users unique access-key.
+ *
+ * @apiHeaderExample {json} Header-Example:
+ * {
+ *   "Authorization": "Bearer {{TOKEN_USER}}"
+ * }
+ *
+ * @apiParam {Number} id Order id
+ *
+ * @apiBody {String} [note] Why the order is cancelled.
+ *
+ * @apiSuccess {Object} order The cancelled order, its products are back in stock.
+ *
+ * @apiSuccessExample {json} Success-Response:
+ * HTTP/1.1 200 OK
+ * {
+ *   "id": 1,
+ *   "userId": 2,
+ *   "cartId": 1,
+ *   "issuedAt": "Mon May 23 2022 03:12:04 GMT+0000 (Coordinated Universal Time)",
+ *   "totalPrice": { "amount": "1000000.00", "currency": "COP", "formatted": "$ 1.000.000,00" },
+ *   "status": "cancelled",
+ *   "createdAt": "2022-05-23T03:12:04.529Z",
+ *   "updatedAt": "2022-05-23T03:20:10.112Z"
+ * }
+ *
+ * @apiError Order No order found with that Id
+ *
+ * @apiErrorExample Error-Response:
+ * HTTP/1.1 404 Not Found
+ * {
+ *   error: "No order found with that Id"
+ * }
+ *
+ * @apiError Order The order can't be cancelled in its current status
+ *
+ * @apiErrorExample Error-Response:
+ * HTTP/1.1 409 Conflict
+ * {
+ *   error: "Can't change the order status from delivered to cancelled"
+ * }
+ *
+ * @apiError Order Protect Admin
+ *
+ * @apiErrorExample Error-Response:
+ * HTTP/1.1 403 Not Found
+ * {
+ *   error: "Access denied"
+ * }
+ */
+exports.cancelOrder = catchAsync(async (req, res, next) => {
+  const { id } = req.params;
+
+  const { currentUser } = req;
+
+  const order = await cancelOrderById(id, currentUser, {
+    note: req.body.note,
+    ownerOnly: false
+  });
+
+  res.status(200).json({
+    status: "success",
+    data: {
+      order
+    }
+  });
+});
@@ -1,17 +1,50 @@
+// Import Database
+const { database } = require("../database/database");
+
 // Import Models
 const { Product } = require("../models/product.model");
+const { StockMovement } = require("../models/stockMovement.model");
+const { User } = require("../models/user.model");
 
 // Import Utils
 const { AppError } = require("../utils/appError");
 const { catchAsync } = require("../utils/catchAsync");
 const { filterObj } = require("../utils/filterObj");
+const { parseQuery, paginationInfo } = require("../utils/queryFeatures");
+const { reconcileStock } = require("../utils/stockLedger");
+const {
+  createProductWithStock,
+  adjustProductStock
+} = require("../utils/inventory");
+const {
+  categoriesInclude,
+  loadCategories,
+  withBreadcrumbs
+} = require("../utils/categories");
+const { imagesInclude } = require("../utils/images");
+const {
+  reservedQuantities,
+  availability,
+  withAvailability
+} = require("../utils/reservations");
+
+// Query string options shared by the product collections
+const productQueryOptions = {
+  filterFields: {
+    batchNumber: "number",
+    price: "money",
+    quantityAvailable: "number",
+    createdAt: "date"
+  },
+  sortFields: ["id", "name", "price", "quantityAvailable", "createdAt"]
+};
 
 // Create new product
 /**
  * @api {post} https://prueba-tecnica-brm.herokuapp.com/api/v1/products/create-product 1. Create New Product
  * @apiName CreateNewProduct
  * @apiGroup Product
- * @apiPermission admin
+ * @apiPermission products:write
  *
  * @apiHeader {String} token Users unique access-key.
  *
@@ -20,10 +53,13 @@ const { filterObj } = require("../utils/filterObj");
  *   "Authorization": "Bearer {{TOKEN_USER}}"
  * }
  *
- * @apiBody {Number} batchNumber The batch number of the product.
+ * @apiBody {Number} batchNumber The batch number of the product, unique among the active products.
  * @apiBody {String} name The product's name.
- * @apiBody {Number} price The product's price.
+ * @apiBody {Number} price The product's price in the store currency (CURRENCY), with up to its decimals (e.g. 1500.50).
  * @apiBody {Number} quantityAvailable The product's quantity available.
+ * @apiBody {String} [entryDate] The entry date of the first lot (YYYY-MM-DD), today by default.
+ * @apiBody {String} [expiryDate] The expiry date of the first lot (YYYY-MM-DD).
+ * @apiBody {Number} [cost] The unit cost of the first lot, in the store currency.
  *
  * @apiSuccess {String} status The default product status is active.
  * @apiSuccess {Number} id The product id.
@@ -42,7 +78,7 @@ const { filterObj } = require("../utils/filterObj");
  *   "id": 1,
  *   "batchNumber": 1,
  *   "name": "Tv Sony",
- *   "price": 1000000,
+ *   "price": { "amount": "1000000.00", "currency": "COP", "formatted": "$ 1.000.000,00" },
  *   "quantityAvailable": 10,
  *   "userId": 2,
  *   "updatedAt": "2022-05-23T02:44:23.359Z",
@@ -58,16 +94,31 @@ const { filterObj } = require("../utils/filterObj");
  * }
  */
 exports.createProduct = catchAsync(async (req, res, next) => {
-  const { batchNumber, name, price, quantityAvailable } = req.body;
-
-  const { id } = req.currentUser;
-
-  const newProduct = await Product.create({
+  const {
     batchNumber,
     name,
     price,
     quantityAvailable,
-    userId: id
+    entryDate,
+    expiryDate,
+    cost
+  } = req.body;
+
+  const { id } = req.currentUser;
+
+  const newProduct = await database.transaction(async (transaction) => {
+    return await createProductWithStock(
+      {
+        batchNumber,
+        name,
+        price,
+        quantityAvailable,
+        entryDate,
+        expiryDate,
+        cost
+      },
+      { userId: id, transaction }
+    );
   });
 
   res.status(201).json({
@@ -83,7 +134,7 @@ exports.createProduct = catchAsync(async (req, res, next) => {
  * @api {get} https://prueba-tecnica-brm.herokuapp.com/api/v1/products 2. Get all Products
  * @apiName GetAllProducts
  * @apiGroup Product
- * @apiPermission admin
+ * @apiPermission products:read
  *
  * @apiHeader {String} token Users unique access-key.
  *
@@ -92,7 +143,14 @@ exports.createProduct = catchAsync(async (req, res, next) => {
  *   "Authorization": "Bearer {{TOKEN_USER}}"
  * }
  *
- * @apiSuccess {Array} products Get all the products.
+ * @apiQuery {Number} [page=1] The page to return.
+ * @apiQuery {Number} [limit=20] The products per page (max 100).
+ * @apiQuery {String} [sort] Comma separated fields, prefix with - for descending (e.g. -price,name).
+ * @apiQuery {Number} [price[gte]] Range filters on price, quantityAvailable, batchNumber and createdAt (gt, gte, lt, lte, eq).
+ *
+ * @apiSuccess {Array} products Get all the products with the urls of their images.
+ * @apiSuccess {Object} products.availability onHand is the stock, reserved the units held in carts and sellable what can still be added to a cart.
+ * @apiSuccess {Object} pagination The total count, page, limit, and the next and previous links.
  *
  * @apiSuccessExample {json} Success-Response:
  * HTTP/1.1 200 OK
@@ -101,7 +159,7 @@ exports.createProduct = catchAsync(async (req, res, next) => {
  *     "id": 1,
  *     "batchNumber": 1,
  *     "name": "Tv Sony",
- *     "price": 1000000,
+ *     "price": { "amount": "1000000.00", "currency": "COP", "formatted": "$ 1.000.000,00" },
  *     "quantityAvailable": 10,
  *     "userId": 1,
  *     "status": "active",
@@ -112,7 +170,7 @@ exports.createProduct = catchAsync(async (req, res, next) => {
  *     "id": 1,
  *     "batchNumber": 2,
  *     "name": "Tv Samsung",
- *     "price": 1200000,
+ *     "price": { "amount": "1200000.00", "currency": "COP", "formatted": "$ 1.200.000,00" },
  *     "quantityAvailable": 15,
  *     "userId": 1,
  *     "status": "active",
@@ -130,13 +188,25 @@ exports.createProduct = catchAsync(async (req, res, next) => {
  * }
  */
 exports.getAllProducts = catchAsync(async (req, res, next) => {
-  const products = await Product.findAll({ where: { status: "active" } });
+  const { page, limit, offset, where, order } = parseQuery(
+    req.query,
+    productQueryOptions
+  );
+
+  const { count, rows: products } = await Product.findAndCountAll({
+    where: { ...where, status: "active" },
+    include: [imagesInclude],
+    order,
+    limit,
+    offset
+  });
 
   res.status(200).json({
     status: "success",
     data: {
-      products
-    }
+      products: await withAvailability(products)
+    },
+    pagination: paginationInfo(req, { count, page, limit })
   });
 });
 
@@ -145,7 +215,7 @@ exports.getAllProducts = catchAsync(async (req, res, next) => {
  * @api {get} https://prueba-tecnica-brm.herokuapp.com/api/v1/products/:id 3. Get product by id
  * @apiName GetProductById
  * @apiGroup Product
- * @apiPermission admin
+ * @apiPermission products:read
  *
  * @apiHeader {String} token Users unique access-key.
  *
@@ -156,7 +226,8 @@ exports.getAllProducts = catchAsync(async (req, res, next) => {
  *
  * @apiParam {Number} id Product id
  *
- * @apiSuccess {Object} user Get product by id.
+ * @apiSuccess {Object} user Get product by id, with the breadcrumb of each of its categories and the urls of its images.
+ * @apiSuccess {Object} product.availability onHand is the stock, reserved the units held in carts and sellable what can still be added to a cart.
  *
  * @apiSuccessExample {json} Success-Response:
  * HTTP/1.1 200 OK
@@ -164,12 +235,23 @@ exports.getAllProducts = catchAsync(async (req, res, next) => {
  *   "id": 1,
  *   "batchNumber": 2,
  *   "name": "Tv Samsung",
- *   "price": 1200000,
+ *   "price": { "amount": "1200000.00", "currency": "COP", "formatted": "$ 1.200.000,00" },
  *   "quantityAvailable": 15,
  *   "userId": 1,
  *   "status": "active",
  *   "createdAt": "2022-05-23T02:44:23.359Z",
- *   "updatedAt": "2022-05-23T02:44:23.359Z"
+ *   "updatedAt": "2022-05-23T02:44:23.359Z",
+ *   "categories": [
+ *     {
+ *       "id": 2,
+ *       "name": "Televisores",
+ *       "slug": "televisores",
+ *       "breadcrumb": [
+ *         { "id": 1, "name": "Electrónica", "slug": "electronica" },
+ *         { "id": 2, "name": "Televisores", "slug": "televisores" }
+ *       ]
+ *     }
+ *   ]
  * }
  *
  * @apiError Product No product found
@@ -191,16 +273,25 @@ exports.getAllProducts = catchAsync(async (req, res, next) => {
 exports.productById = catchAsync(async (req, res, next) => {
   const { id } = req.params;
 
-  const product = await Product.findOne({ where: { status: "active", id } });
+  const product = await Product.findOne({
+    where: { status: "active", id },
+    include: [categoriesInclude, imagesInclude]
+  });
 
   if (!product) {
     return next(new AppError(404, "No product found"));
   }
 
+  const categories = await loadCategories();
+  const reserved = await reservedQuantities([product.id]);
+
   res.status(200).json({
     status: "success",
     data: {
-      product
+      product: {
+        ...withBreadcrumbs(product, categories),
+        availability: availability(product, reserved)
+      }
     }
   });
 });
@@ -210,7 +301,8 @@ exports.productById = catchAsync(async (req, res, next) => {
  * @api {patch} https://prueba-tecnica-brm.herokuapp.com/api/v1/products/update-product/:id 4. Update product by id
  * @apiName UpdateProductById
  * @apiGroup Product
- * @apiPermission admin
+ * @apiPermission products:write
+ * @apiDescription A decrease is taken from the lots in the order they are sold, an increase goes to the newest lot.
  *
  * @apiHeader {String} token Users unique access-key.
  *
@@ -223,8 +315,9 @@ exports.productById = catchAsync(async (req, res, next) => {
  *
  * @apiBody {Number} batchNumber The batch number of the product.
  * @apiBody {String} name The product's name.
- * @apiBody {Number} price The product's price.
+ * @apiBody {Number} price The product's price in the store currency (CURRENCY), with up to its decimals (e.g. 1500.50).
  * @apiBody {Number} quantityAvailable The product's quantity available.
+ * @apiBody {String} reason Why the stock is adjusted, required when quantityAvailable changes.
  *
  * @apiSuccess {String} status Success.
  *
@@ -253,21 +346,32 @@ exports.productById = catchAsync(async (req, res, next) => {
 exports.updateProduct = catchAsync(async (req, res, next) => {
   const { id } = req.params;
 
-  const product = await Product.findOne({ where: { status: "active", id } });
+  const { quantityAvailable, reason } = req.body;
 
-  if (!product) {
-    return next(new AppError(404, "No product found"));
-  }
+  const data = filterObj(req.body, "batchNumber", "name", "price");
 
-  const data = filterObj(
-    req.body,
-    "batchNumber",
-    "name",
-    "price",
-    "quantityAvailable"
-  );
+  await database.transaction(async (transaction) => {
+    const product = await Product.findOne({
+      where: { status: "active", id },
+      lock: transaction.LOCK.UPDATE,
+      transaction
+    });
+
+    if (!product) {
+      throw new AppError(404, "No product found");
+    }
+
+    await product.update({ ...data }, { transaction });
 
-  await product.update({ ...data });
+    // Stock changes go through the lots and the ledger as adjustments
+    if (quantityAvailable !== undefined) {
+      await adjustProductStock(product, +quantityAvailable, {
+        userId: req.currentUser.id,
+        reason,
+        transaction
+      });
+    }
+  });
 
   res.status(204).json({
     status: "success"
@@ -279,7 +383,7 @@ exports.updateProduct = catchAsync(async (req, res, next) => {
  * @api {delete} https://prueba-tecnica-brm.herokuapp.com/api/v1/products/delete-product/:id 5. Delete product by id
  * @apiName DeleteProductById
  * @apiGroup Product
- * @apiPermission admin
+ * @apiPermission products:write
  *
  * @apiHeader {String} token Users unique access-key.
  *
@@ -330,3 +434,321 @@ exports.deleteUser = catchAsync(async (req, res, next) => {
     status: "success"
   });
 });
+
+// Get the stock ledger of a product
+/**
+ * @api {get} https://prueba-tecnica-brm.herokuapp.com/api/v1/products/:id/stock-movements 6. Get product stock movements
+ * @apiName GetStockMovements
+ * @apiGroup Product
+ * @apiPermission products:read
+ *
+ * @apiHeader {String} token Users unique access-key.
+ *
+ * @apiHeaderExample {json} Header-Example:
+ * {
+ *   "Authorization": "Bearer {{TOKEN_USER}}"
+ * }
+ *
+ * @apiParam {Number} id Product id
+ *
+ * @apiQuery {Number} [page=1] The page to return.
+ * @apiQuery {Number} [limit=20] The movements per page (max 100).
+ * @apiQuery {String} [type] Filter by type (initial, receipt, adjustment, sale, restock, expiry or reconciliation).
+ * @apiQuery {String} [createdAt[gte]] Range filter on the date (gt, gte, lt, lte, eq).
+ *
+ * @apiSuccess {Array} stockMovements Every change of the product stock, newest first.
+ * @apiSuccess {Object} pagination The total count, page, limit, and the next and previous links.
+ *
+ * @apiSuccessExample {json} Success-Response:
+ * HTTP/1.1 200 OK
+ * [
+ *   {
+ *     "id": 3,
+ *     "productId": 1,
+ *     "type": "sale",
+ *     "delta": -2,
+ *     "balance": 8,
+ *     "userId": 2,
+ *     "orderId": 1,
+ *     "reason": null,
+ *     "createdAt": "2022-05-23T03:12:04.529Z",
+ *     "user": { "id": 2, "username": "juan" }
+ *   }
+ * ]
+ *
+ * @apiError Product No product found
+ *
+ * @apiErrorExample Error-Response:
+ * HTTP/1.1 404 Not Found
+ * {
+ *   error: "No product found"
+ * }
+ */
+exports.getStockMovements = catchAsync(async (req, res, next) => {
+  const { id } = req.params;
+
+  const product = await Product.findOne({ where: { id } });
+
+  if (!product) {
+    return next(new AppError(404, "No product found"));
+  }
+
+  const { page, limit, offset, where, order } = parseQuery(req.query, {
+    filterFields: { type: "string", createdAt: "date" },
+    sortFields: ["id", "createdAt"],
+    defaultSort: [["id", "DESC"]]
+  });
+
+  const { count, rows: stockMovements } = await StockMovement.findAndCountAll({
+    where: { ...where, productId: product.id },
+    include: [{ model: User, attributes: ["id", "username"] }],
+    order,
+    limit,
+    offset
+  });
+
+  res.status(200).json({
+    status: "success",
+    data: {
+      stockMovements
+    },
+    pagination: paginationInfo(req, { count, page, limit })
+  });
+});
+
+// Compare the stock against the ledger
+/**
+ * @api {get} https://prueba-tecnica-brm.herokuapp.com/api/v1/products/:id/stock-reconciliation 7. Get product stock reconciliation
+ * @apiName GetStockReconciliation
+ * @apiGroup Product
+ * @apiPermission products:read
+ *
+ * @apiHeader {String} token Users unique access-key.
+ *
+ * @apiHeaderExample {json} Header-Example:
+ * {
+ *   "Authorization": "Bearer {{TOKEN_USER}}"
+ * }
+ *
+ * @apiParam {Number} id Product id
+ *
+ * @apiSuccess {Object} reconciliation The current stock, the sum of the ledger and their difference.
+ *
+ * @apiSuccessExample {json} Success-Response:
+ * HTTP/1.1 200 OK
+ * {
+ *   "productId": 1,
+ *   "quantityAvailable": 8,
+ *   "ledgerBalance": 8,
+ *   "difference": 0,
+ *   "isReconciled": true
+ * }
+ *
+ * @apiError Product No product found
+ *
+ * @apiErrorExample Error-Response:
+ * HTTP/1.1 404 Not Found
+ * {
+ *   error: "No product found"
+ * }
+ */
+exports.getStockReconciliation = catchAsync(async (req, res, next) => {
+  const { id } = req.params;
+
+  const product = await Product.findOne({ where: { id } });
+
+  if (!product) {
+    return next(new AppError(404, "No product found"));
+  }
+
+  const reconciliation = await reconcileStock(product);
+
+  res.status(200).json({
+    status: "success",
+    data: {
+      reconciliation
+    }
+  });
+});
+
+// Record the difference between the stock and the ledger
+/**
+ * @api {post} https://prueba-tecnica-brm.herokuapp.com/api/v1/products/:id/stock-reconciliation 8. Reconcile product stock
+ * @apiName ReconcileStock
+ * @apiGroup Product
+ * @apiPermission products:write
+ *
+ * @apiHeader {String} token Users unique access-key.
+ *
+ * @apiHeaderExample {json} Header-Example:
+ * {
+ *   "Authorization": "Bearer {{TOKEN_USER}}"
+ * }
+ *
+ * @apiParam {Number} id Product id
+ *
+ * @apiBody {String} reason Why the stock and the ledger differ.
+ *
+ * @apiSuccess {Object} reconciliation The reconciliation after recording the difference.
+ * @apiSuccess {Object} stockMovement The reconciliation movement, null when there was no difference.
+ *
+ * @apiSuccessExample {json} Success-Response:
+ * HTTP/1.1 200 OK
+ * {
+ *   "reconciliation": {
+ *     "productId": 1,
+ *     "quantityAvailable": 10,
+ *     "ledgerBalance": 10,
+ *     "difference": 0,
+ *     "isReconciled": true
+ *   },
+ *   "stockMovement": {
+ *     "id": 4,
+ *     "productId": 1,
+ *     "type": "reconciliation",
+ *     "delta": 10,
+ *     "balance": 10,
+ *     "userId": 1,
+ *     "reason": "Stock before the ledger existed"
+ *   }
+ * }
+ *
+ * @apiError Product No product found
+ *
+ * @apiErrorExample Error-Response:
+ * HTTP/1.1 404 Not Found
+ * {
+ *   error: "No product found"
+ * }
+ */
+exports.reconcileProductStock = catchAsync(async (req, res, next) => {
+  const { id } = req.params;
+
+  const { reason } = req.body;
+
+  const result = await database.transaction(async (transaction) => {
+    const product = await Product.findOne({
+      where: { id },
+      lock: transaction.LOCK.UPDATE,
+      transaction
+    });
+
+    if (!product) {
+      throw new AppError(404, "No product found");
+    }
+
+    const { difference } = await reconcileStock(product, { transaction });
+
+    let stockMovement = null;
+
+    // The stock doesn't change, the movement only brings the ledger up to it
+    if (difference !== 0) {
+      stockMovement = await StockMovement.create(
+        {
+          productId: product.id,
+          type: "reconciliation",
+          delta: difference,
+          balance: product.quantityAvailable,
+          userId: req.currentUser.id,
+          reason
+        },
+        { transaction }
+      );
+    }
+
+    return {
+      reconciliation: await reconcileStock(product, { transaction }),
+      stockMovement
+    };
+  });
+
+  res.status(200).json({
+    status: "success",
+    data: result
+  });
+});
+
+// Assign the categories of a product
+/**
+ * @api {put} https://prueba-tecnica-brm.herokuapp.com/api/v1/products/:id/categories 9. Set product categories
+ * @apiName SetProductCategories
+ * @apiGroup Product
+ * @apiPermission products:write
+ *
+ * @apiHeader {String} token Users unique access-key.
+ *
+ * @apiHeaderExample {json} Header-Example:
+ * {
+ *   "Authorization": "Bearer {{TOKEN_USER}}"
+ * }
+ *
+ * @apiParam {Number} id Product id
+ *
+ * @apiBody {Number[]} categoryIds The categories of the product, they replace the current ones.
+ *
+ * @apiSuccess {Object} product The product with the breadcrumb of each of its categories.
+ *
+ * @apiSuccessExample {json} Success-Response:
+ * HTTP/1.1 200 OK
+ * {
+ *   "id": 1,
+ *   "name": "Tv Sony",
+ *   "categories": [
+ *     {
+ *       "id": 2,
+ *       "name": "Televisores",
+ *       "slug": "televisores",
+ *       "breadcrumb": [
+ *         { "id": 1, "name": "Electrónica", "slug": "electronica" },
+ *         { "id": 2, "name": "Televisores", "slug": "televisores" }
+ *       ]
+ *     }
+ *   ]
+ * }
+ *
+ * @apiError Category No category found
+ *
+ * @apiErrorExample Error-Response:
+ * HTTP/1.1 404 Not Found
+ * {
+ *   error: "No category found with the ids 7"
+ * }
+ */
+exports.setProductCategories = catchAsync(async (req, res, next) => {
+  const { id } = req.params;
+
+  const categoryIds = [...new Set(req.body.categoryIds.map(Number))];
+
+  const product = await Product.findOne({ where: { status: "active", id } });
+
+  if (!product) {
+    return next(new AppError(404, "No product found"));
+  }
+
+  const categories = await loadCategories();
+
+  const missingIds = categoryIds.filter((el) => !categories.has(el));
+
+  if (missingIds.length > 0) {
+    return next(
+      new AppError(
+        404,
+        `No category found with the ids ${missingIds.join(", ")}`
+      )
+    );
+  }
+
+  await product.setCategories(categoryIds);
+
+  const updatedProduct = await Product.findOne({
+    where: { id: product.id },
+    include: [categoriesInclude, imagesInclude]
+  });
+
+  res.status(200).json({
+    status: "success",
+    data: {
+      product: withBreadcrumbs(updatedProduct, categories)
+    }
+  });
+});
@@ -0,0 +1,387 @@
+// Import Database
+const { database } = require("../database/database");
+
+// Import Models
+const { Product } = require("../models/product.model");
+const { ProductImage } = require("../models/productImage.model");
+
+// Import Utils
+const { AppError } = require("../utils/appError");
+const { catchAsync } = require("../utils/catchAsync");
+const { processImage, imageKeys } = require("../utils/images");
+const { getStorage } = require("../utils/storage");
+
+const findProduct = async (id, options = {}) => {
+  const product = await Product.findOne({
+    where: { status: "active", id },
+    ...options
+  });
+
+  if (!product) {
+    throw new AppError(404, "No product found");
+  }
+
+  return product;
+};
+
+const productImages = (productId, options = {}) => {
+  return ProductImage.findAll({
+    where: { productId },
+    order: [
+      ["position", "ASC"],
+      ["id", "ASC"]
+    ],
+    ...options
+  });
+};
+
+// Stores the positions 1..n following the order of the list
+const savePositions = async (images, transaction) => {
+  for (const [index, image] of images.entries()) {
+    if (image.position !== index + 1) {
+      await image.update({ position: index + 1 }, { transaction });
+    }
+  }
+};
+
+// Get the images of a product
+/**
+ * @api {get} https://prueba-tecnica-brm.herokuapp.com/api/v1/products/:id/images 1. Get product images
+ * @apiName GetProductImages
+ * @apiGroup ProductImage
+ * @apiPermission products:read
+ *
+ * @apiHeader {String} token Users unique access-key.
+ *
+ * @apiHeaderExample {json} Header-Example:
+ * {
+ *   "Authorization": "Bearer {{TOKEN_USER}}"
+ * }
+ *
+ * @apiParam {Number} id Product id
+ *
+ * @apiSuccess {Array} images The images of the product sorted by position.
+ *
+ * @apiSuccessExample {json} Success-Response:
+ * HTTP/1.1 200 OK
+ * [
+ *   {
+ *     "id": 1,
+ *     "productId": 1,
+ *     "mimeType": "image/jpeg",
+ *     "size": 183204,
+ *     "width": 1200,
+ *     "height": 800,
+ *     "position": 1,
+ *     "isPrimary": true,
+ *     "url": "/uploads/products/1/5b0c8f7e-...-e1.jpg",
+ *     "thumbnailUrl": "/uploads/products/1/5b0c8f7e-...-e1-thumb.webp"
+ *   }
+ * ]
+ *
+ * @apiError Product No product found
+ *
+ * @apiErrorExample Error-Response:
+ * HTTP/1.1 404 Not Found
+ * {
+ *   error: "No product found"
+ * }
+ */
+exports.getProductImages = catchAsync(async (req, res, next) => {
+  const product = await findProduct(req.params.id);
+
+  const images = await productImages(product.id);
+
+  res.status(200).json({
+    status: "success",
+    data: {
+      images
+    }
+  });
+});
+
+// Upload images of a product
+/**
+ * @api {post} https://prueba-tecnica-brm.herokuapp.com/api/v1/products/:id/images 2. Upload product images
+ * @apiName UploadProductImages
+ * @apiGroup ProductImage
+ * @apiPermission products:write
+ * @apiDescription multipart/form-data with up to 10 files in the images field. JPEG, PNG or WebP up to IMAGE_MAX_SIZE_MB (5 MB by default), a thumbnail is created for each one. The first image of a product becomes its primary image.
+ *
+ * @apiHeader {String} token Users unique access-key.
+ *
+ * @apiHeaderExample {json} Header-Example:
+ * {
+ *   "Authorization": "Bearer {{TOKEN_USER}}"
+ * }
+ *
+ * @apiParam {Number} id Product id
+ *
+ * @apiBody {File[]} images The image files.
+ *
+ * @apiSuccess {Array} images The new images, added after the current ones.
+ *
+ * @apiSuccessExample {json} Success-Response:
+ * HTTP/1.1 201 OK
+ * [
+ *   {
+ *     "id": 2,
+ *     "productId": 1,
+ *     "mimeType": "image/png",
+ *     "position": 2,
+ *     "isPrimary": false,
+ *     "url": "/uploads/products/1/7f1d2a90-...-4c.png",
+ *     "thumbnailUrl": "/uploads/products/1/7f1d2a90-...-4c-thumb.webp"
+ *   }
+ * ]
+ *
+ * @apiError Image The file is not a valid image
+ *
+ * @apiErrorExample Error-Response:
+ * HTTP/1.1 400 Bad Request
+ * {
+ *   "code": "INVALID_IMAGE",
+ *   "message": "photo.gif must be one of: image/jpeg, image/png, image/webp"
+ * }
+ *
+ * @apiError Image The file is too large
+ *
+ * @apiErrorExample Error-Response:
+ * HTTP/1.1 413 Payload Too Large
+ * {
+ *   "code": "FILE_TOO_LARGE",
+ *   "message": "The file is too large"
+ * }
+ */
+exports.uploadProductImages = catchAsync(async (req, res, next) => {
+  const files = req.files || [];
+
+  if (files.length === 0) {
+    return next(new AppError(400, "Must upload at least one image"));
+  }
+
+  const product = await findProduct(req.params.id);
+
+  // Every file is checked before anything is stored
+  const processedImages = [];
+
+  for (const file of files) {
+    processedImages.push(await processImage(file));
+  }
+
+  const storage = getStorage();
+  const storedKeys = [];
+
+  try {
+    const newImages = processedImages.map((image) => ({
+      ...image,
+      ...imageKeys(product.id, image.extension)
+    }));
+
+    for (const image of newImages) {
+      await storage.put(image.key, image.buffer, image.mimeType);
+      storedKeys.push(image.key);
+
+      await storage.put(image.thumbnailKey, image.thumbnail, "image/webp");
+      storedKeys.push(image.thumbnailKey);
+    }
+
+    const images = await database.transaction(async (transaction) => {
+      // The product row serializes the uploads, so the positions don't repeat
+      await findProduct(product.id, {
+        lock: transaction.LOCK.UPDATE,
+        transaction
+      });
+
+      const currentImages = await productImages(product.id, { transaction });
+
+      const hasPrimary = currentImages.some((el) => el.isPrimary);
+
+      return await ProductImage.bulkCreate(
+        newImages.map((image, index) => ({
+          productId: product.id,
+          key: image.key,
+          thumbnailKey: image.thumbnailKey,
+          mimeType: image.mimeType,
+          size: image.size,
+          width: image.width,
+          height: image.height,
+          position: currentImages.length + index + 1,
+          isPrimary: !hasPrimary && index === 0
+        })),
+        { transaction }
+      );
+    });
+
+    res.status(201).json({
+      status: "success",
+      data: {
+        images
+      }
+    });
+  } catch (err) {
+    // Nothing is left in the storage when the images can't be saved
+    await Promise.all(
+      storedKeys.map((key) => storage.remove(key).catch(() => {}))
+    );
+
+    throw err;
+  }
+});
+
+// Update the position or the primary flag of an image
+/**
+ * @api {patch} https://prueba-tecnica-brm.herokuapp.com/api/v1/products/:id/images/:imageId 3. Update product image
+ * @apiName UpdateProductImage
+ * @apiGroup ProductImage
+ * @apiPermission products:write
+ *
+ * @apiHeader {String} token Users unique access-key.
+ *
+ * @apiHeaderExample {json} Header-Example:
+ * {
+ *   "Authorization": "Bearer {{TOKEN_USER}}"
+ * }
+ *
+ * @apiParam {Number} id Product id
+ * @apiParam {Number} imageId Image id
+ *
+ * @apiBody {Number} [position] The new position, the other images are moved to make room.
+ * @apiBody {Boolean} [isPrimary] true makes it the primary image of the product.
+ *
+ * @apiSuccess {Array} images All the images of the product after the change.
+ *
+ * @apiError Image No image found
+ *
+ * @apiErrorExample Error-Response:
+ * HTTP/1.1 404 Not Found
+ * {
+ *   error: "No image found"
+ * }
+ */
+exports.updateProductImage = catchAsync(async (req, res, next) => {
+  const { id, imageId } = req.params;
+
+  const { position, isPrimary } = req.body;
+
+  const images = await database.transaction(async (transaction) => {
+    const product = await findProduct(id, {
+      lock: transaction.LOCK.UPDATE,
+      transaction
+    });
+
+    const images = await productImages(product.id, { transaction });
+
+    const image = images.find((el) => el.id === +imageId);
+
+    if (!image) {
+      throw new AppError(404, "No image found");
+    }
+
+    if (position !== undefined) {
+      const others = images.filter((el) => el !== image);
+      const index = Math.min(+position, images.length) - 1;
+
+      others.splice(index, 0, image);
+
+      await savePositions(others, transaction);
+    }
+
+    // A product has one primary image, it can only be replaced by another
+    if (isPrimary === true && !image.isPrimary) {
+      await ProductImage.update(
+        { isPrimary: false },
+        { where: { productId: product.id }, transaction }
+      );
+
+      await image.update({ isPrimary: true }, { transaction });
+    }
+
+    return await productImages(product.id, { transaction });
+  });
+
+  res.status(200).json({
+    status: "success",
+    data: {
+      images
+    }
+  });
+});
+
+// Delete an image
+/**
+ * @api {delete} https://prueba-tecnica-brm.herokuapp.com/api/v1/products/:id/images/:imageId 4. Delete product image
+ * @apiName DeleteProductImage
+ * @apiGroup ProductImage
+ * @apiPermission products:write
+ * @apiDescription The files are removed from the storage. When the primary image is deleted, the first of the remaining images takes its place.
+ *
+ * @apiHeader {String} token Users unique access-key.
+ *
+ * @apiHeaderExample {json} Header-Example:
+ * {
+ *   "Authorization": "Bearer {{TOKEN_USER}}"
+ * }
+ *
+ * @apiParam {Number} id Product id
+ * @apiParam {Number} imageId Image id
+ *
+ * @apiSuccess {String} status Success.
+ *
+ * @apiSuccessExample {json} Success-Response:
+ * HTTP/1.1 204 OK
+ * {
+ *   "status": "success"
+ * }
+ *
+ * @apiError Image No image found
+ *
+ * @apiErrorExample Error-Response:
+ * HTTP/1.1 404 Not Found
+ * {
+ *   error: "No image found"
+ * }
+ */
+exports.deleteProductImage = catchAsync(async (req, res, next) => {
+  const { id, imageId } = req.params;
+
+  const image = await database.transaction(async (transaction) => {
+    const product = await findProduct(id, {
+      lock: transaction.LOCK.UPDATE,
+      transaction
+    });
+
+    const images = await productImages(product.id, { transaction });
+
+    const image = images.find((el) => el.id === +imageId);
+
+    if (!image) {
+      throw new AppError(404, "No image found");
+    }
+
+    await image.destroy({ transaction });
+
+    const remaining = images.filter((el) => el !== image);
+
+    await savePositions(remaining, transaction);
+
+    if (image.isPrimary && remaining.length > 0) {
+      await remaining[0].update({ isPrimary: true }, { transaction });
+    }
+
+    return image;
+  });
+
+  // The row is already gone, a file that can't be removed is only logged
+  const storage = getStorage();
+
+  await Promise.all(
+    [image.key, image.thumbnailKey].map((key) =>
+      storage.remove(key).catch((err) => console.log(err))
+    )
+  );
+
+  res.status(204).json({
+    status: "success"
+  });
+});
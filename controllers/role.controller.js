@@ -0,0 +1,312 @@
+// Import Database
+const { database } = require("../database/database");
+
+// Import Models
+const { Role } = require("../models/role.model");
+const { Permission } = require("../models/permission.model");
+const { User } = require("../models/user.model");
+
+// Import Utils
+const { catchAsync } = require("../utils/catchAsync");
+const { AppError } = require("../utils/appError");
+const { permissions } = require("../utils/permissions");
+
+const permissionsInclude = {
+  model: Permission,
+  attributes: ["name", "description"],
+  through: { attributes: [] }
+};
+
+const findRole = async (id, options = {}) => {
+  const role = await Role.findOne({
+    where: { id, status: "active" },
+    ...options
+  });
+
+  if (!role) {
+    throw new AppError(404, "No role found");
+  }
+
+  return role;
+};
+
+// Get all the roles
+/**
+ * @api {get} https://prueba-tecnica-brm.herokuapp.com/api/v1/admin/roles 1. Get all roles
+ * @apiName GetAllRoles
+ * @apiGroup Role
+ * @apiPermission roles:manage
+ *
+ * @apiHeader {String} token Users unique access-key.
+ *
+ * @apiHeaderExample {json} Header-Example:
+ * {
+ *   "Authorization": "Bearer {{TOKEN_USER}}"
+ * }
+ *
+ * @apiSuccess {Array} roles Get all the roles with their permissions.
+ *
+ * @apiSuccessExample {json} Success-Response:
+ * HTTP/1.1 200 OK
+ * [
+ *   {
+ *     "id": 3,
+ *     "name": "inventory_manager",
+ *     "description": "Manages the products",
+ *     "isSystem": false,
+ *     "status": "active",
+ *     "permissions": [
+ *       { "name": "products:read", "description": "See the whole inventory, including internal fields" },
+ *       { "name": "products:write", "description": "Create, update and delete products" }
+ *     ]
+ *   }
+ * ]
+ */
+exports.getAllRoles = catchAsync(async (req, res, next) => {
+  const roles = await Role.findAll({
+    where: { status: "active" },
+    include: [permissionsInclude],
+    order: [["id", "ASC"]]
+  });
+
+  res.status(200).json({
+    status: "success",
+    data: {
+      roles
+    }
+  });
+});
+
+// Get all the permissions
+/**
+ * @api {get} https://prueba-tecnica-brm.herokuapp.com/api/v1/admin/roles/permissions 2. Get all permissions
+ * @apiName GetAllPermissions
+ * @apiGroup Role
+ * @apiPermission roles:manage
+ *
+ * @apiHeader {String} token Users unique access-key.
+ *
+ * @apiHeaderExample {json} Header-Example:
+ * {
+ *   "Authorization": "Bearer {{TOKEN_USER}}"
+ * }
+ *
+ * @apiSuccess {Object} permissions Every permission that can be given to a role.
+ *
+ * @apiSuccessExample {json} Success-Response:
+ * HTTP/1.1 200 OK
+ * {
+ *   "products:read": "See the whole inventory, including internal fields",
+ *   "products:write": "Create, update and delete products"
+ * }
+ */
+exports.getAllPermissions = catchAsync(async (req, res, next) => {
+  res.status(200).json({
+    status: "success",
+    data: {
+      permissions
+    }
+  });
+});
+
+// Create new role
+/**
+ * @api {post} https://prueba-tecnica-brm.herokuapp.com/api/v1/admin/roles 3. Create new role
+ * @apiName CreateRole
+ * @apiGroup Role
+ * @apiPermission roles:manage
+ *
+ * @apiHeader {String} token Users unique access-key.
+ *
+ * @apiHeaderExample {json} Header-Example:
+ * {
+ *   "Authorization": "Bearer {{TOKEN_USER}}"
+ * }
+ *
+ * @apiBody {String} name The role name (lowercase letters and underscores).
+ * @apiBody {String} [description] What the role is for.
+ * @apiBody {String[]} permissions The permissions of the role.
+ *
+ * @apiSuccess {Object} role The new role with its permissions.
+ *
+ * @apiSuccessExample {json} Success-Response:
+ * HTTP/1.1 201 OK
+ * {
+ *   "id": 6,
+ *   "name": "warehouse",
+ *   "description": "Sees the inventory",
+ *   "isSystem": false,
+ *   "status": "active",
+ *   "permissions": [
+ *     { "name": "products:read", "description": "See the whole inventory, including internal fields" }
+ *   ]
+ * }
+ *
+ * @apiError Role The role already exists
+ *
+ * @apiErrorExample Error-Response:
+ * HTTP/1.1 409 Conflict
+ * {
+ *   error: "The role already exists"
+ * }
+ */
+exports.createRole = catchAsync(async (req, res, next) => {
+  const { name, description } = req.body;
+
+  const roleExists = await Role.findOne({ where: { name } });
+
+  if (roleExists) {
+    return next(new AppError(409, "The role already exists"));
+  }
+
+  const role = await database.transaction(async (transaction) => {
+    const role = await Role.create({ name, description }, { transaction });
+
+    const rolePermissions = await Permission.findAll({
+      where: { name: req.body.permissions },
+      transaction
+    });
+
+    await role.setPermissions(rolePermissions, { transaction });
+
+    return role;
+  });
+
+  const newRole = await findRole(role.id, { include: [permissionsInclude] });
+
+  res.status(201).json({
+    status: "success",
+    data: {
+      role: newRole
+    }
+  });
+});
+
+// Update role
+/**
+ * @api {patch} https://prueba-tecnica-brm.herokuapp.com/api/v1/admin/roles/:id 4. Update role
+ * @apiName UpdateRole
+ * @apiGroup Role
+ * @apiPermission roles:manage
+ *
+ * @apiHeader {String} token Users unique access-key.
+ *
+ * @apiHeaderExample {json} Header-Example:
+ * {
+ *   "Authorization": "Bearer {{TOKEN_USER}}"
+ * }
+ *
+ * @apiParam {Number} id Role id
+ *
+ * @apiBody {String} [description] What the role is for.
+ * @apiBody {String[]} [permissions] The permissions of the role, they replace the current ones.
+ *
+ * @apiSuccess {Object} role The role with its permissions.
+ *
+ * @apiSuccessExample {json} Success-Response:
+ * HTTP/1.1 200 OK
+ * {
+ *   "id": 6,
+ *   "name": "warehouse",
+ *   "description": "Sees and updates the inventory",
+ *   "isSystem": false,
+ *   "status": "active",
+ *   "permissions": [Array with the permissions]
+ * }
+ *
+ * @apiError Role The built-in roles can't be changed
+ *
+ * @apiErrorExample Error-Response:
+ * HTTP/1.1 403 Forbidden
+ * {
+ *   error: "The built-in roles can't be changed"
+ * }
+ */
+exports.updateRole = catchAsync(async (req, res, next) => {
+  const { id } = req.params;
+
+  const { description, permissions } = req.body;
+
+  const role = await findRole(id);
+
+  if (role.isSystem) {
+    return next(new AppError(403, "The built-in roles can't be changed"));
+  }
+
+  await database.transaction(async (transaction) => {
+    if (description !== undefined) {
+      await role.update({ description }, { transaction });
+    }
+
+    if (permissions) {
+      const rolePermissions = await Permission.findAll({
+        where: { name: permissions },
+        transaction
+      });
+
+      await role.setPermissions(rolePermissions, { transaction });
+    }
+  });
+
+  const updatedRole = await findRole(id, { include: [permissionsInclude] });
+
+  res.status(200).json({
+    status: "success",
+    data: {
+      role: updatedRole
+    }
+  });
+});
+
+// Delete role
+/**
+ * @api {delete} https://prueba-tecnica-brm.herokuapp.com/api/v1/admin/roles/:id 5. Delete role
+ * @apiName DeleteRole
+ * @apiGroup Role
+ * @apiPermission roles:manage
+ *
+ * @apiHeader {String} token Users unique access-key.
+ *
+ * @apiHeaderExample {json} Header-Example:
+ * {
+ *   "Authorization": "Bearer {{TOKEN_USER}}"
+ * }
+ *
+ * @apiParam {Number} id Role id
+ *
+ * @apiSuccess {String} status Success.
+ *
+ * @apiSuccessExample {json} Success-Response:
+ * HTTP/1.1 204 OK
+ * {
+ *   "status": "success"
+ * }
+ *
+ * @apiError Role The role is still assigned to some users
+ *
+ * @apiErrorExample Error-Response:
+ * HTTP/1.1 409 Conflict
+ * {
+ *   error: "The role is assigned to 3 users"
+ * }
+ */
+exports.deleteRole = catchAsync(async (req, res, next) => {
+  const role = await findRole(req.params.id);
+
+  if (role.isSystem) {
+    return next(new AppError(403, "The built-in roles can't be deleted"));
+  }
+
+  const users = await User.count({ where: { role: role.name } });
+
+  if (users > 0) {
+    return next(new AppError(409, `The role is assigned to ${users} users`));
+  }
+
+  // This is a soft delete technical
+  await role.update({ status: "deleted" });
+
+  res.status(204).json({
+    status: "success"
+  });
+});
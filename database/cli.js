@@ -0,0 +1,46 @@
+// Usage: node database/cli.js <command>
+//   migrate, rollback, status, seed, seed:rollback, seed:status
+const { database } = require("./database");
+const { initModels } = require("./initModels");
+const { migrator, seeder } = require("./migrator");
+
+const printStatus = async (umzug) => {
+  const executed = await umzug.executed();
+  const pending = await umzug.pending();
+
+  executed.forEach((el) => console.log(`up      ${el.name}`));
+  pending.forEach((el) => console.log(`pending ${el.name}`));
+};
+
+const commands = {
+  migrate: () => migrator.up(),
+  rollback: () => migrator.down(),
+  status: () => printStatus(migrator),
+  seed: () => seeder.up(),
+  "seed:rollback": () => seeder.down(),
+  "seed:status": () => printStatus(seeder)
+};
+
+const run = async () => {
+  const command = commands[process.argv[2]];
+
+  if (!command) {
+    console.log(`Available commands: ${Object.keys(commands).join(", ")}`);
+    process.exitCode = 1;
+    return;
+  }
+
+  // The seeders use the models and their associations
+  initModels();
+
+  try {
+    await command();
+  } catch (err) {
+    console.log(err);
+    process.exitCode = 1;
+  } finally {
+    await database.close();
+  }
+};
+
+run();
@@ -4,6 +4,25 @@ const { Product } = require("../models/product.model");
 const { Cart } = require("../models/cart.model");
 const { ProductInCart } = require("../models/productsInCart.model");
 const { Order } = require("../models/order.model");
+const { OrderItem } = require("../models/orderItem.model");
+const { OrderStatusHistory } = require("../models/orderStatusHistory.model");
+const { Session } = require("../models/session.model");
+const { PasswordReset } = require("../models/passwordReset.model");
+const { RoleChange } = require("../models/roleChange.model");
+const { Role } = require("../models/role.model");
+const { Permission } = require("../models/permission.model");
+const { RolePermission } = require("../models/rolePermission.model");
+const { StockMovement } = require("../models/stockMovement.model");
+const { Lot } = require("../models/lot.model");
+const { OrderItemLot } = require("../models/orderItemLot.model");
+const { Category } = require("../models/category.model");
+const { ProductCategory } = require("../models/productCategory.model");
+const { ProductImage } = require("../models/productImage.model");
+const { Coupon } = require("../models/coupon.model");
+const { CouponProduct } = require("../models/couponProduct.model");
+const { CouponCategory } = require("../models/couponCategory.model");
+const { CouponRedemption } = require("../models/couponRedemption.model");
+const { IdempotencyKey } = require("../models/idempotencyKey.model");
 
 const initModels = () => {
   // 1 User <--> M Product
@@ -25,6 +44,95 @@ const initModels = () => {
   // 1 Order <--> 1 Cart
   Cart.hasOne(Order);
   Order.belongsTo(Cart);
+
+  // 1 Order <--> M OrderItem
+  Order.hasMany(OrderItem);
+  OrderItem.belongsTo(Order);
+
+  // 1 Product <--> M OrderItem
+  Product.hasMany(OrderItem);
+  OrderItem.belongsTo(Product);
+
+  // 1 Order <--> M OrderStatusHistory
+  Order.hasMany(OrderStatusHistory);
+  OrderStatusHistory.belongsTo(Order);
+
+  // 1 User <--> M OrderStatusHistory (who made the change)
+  User.hasMany(OrderStatusHistory);
+  OrderStatusHistory.belongsTo(User);
+
+  // 1 User <--> M Session
+  User.hasMany(Session);
+  Session.belongsTo(User);
+
+  // 1 User <--> M IdempotencyKey
+  User.hasMany(IdempotencyKey);
+  IdempotencyKey.belongsTo(User);
+
+  // 1 User <--> M PasswordReset
+  User.hasMany(PasswordReset);
+  PasswordReset.belongsTo(User);
+
+  // 1 User <--> M RoleChange (the user whose role changed and the admin)
+  User.hasMany(RoleChange);
+  RoleChange.belongsTo(User);
+  RoleChange.belongsTo(User, { as: "admin", foreignKey: "adminId" });
+
+  // M Role <--> M Permission
+  Role.belongsToMany(Permission, { through: RolePermission });
+  Permission.belongsToMany(Role, { through: RolePermission });
+
+  // 1 Product <--> M StockMovement
+  Product.hasMany(StockMovement);
+  StockMovement.belongsTo(Product);
+
+  // 1 User <--> M StockMovement (who made the change)
+  User.hasMany(StockMovement);
+  StockMovement.belongsTo(User);
+
+  // 1 Order <--> M StockMovement (sales and restocks)
+  Order.hasMany(StockMovement);
+  StockMovement.belongsTo(Order);
+
+  // 1 Product <--> M Lot
+  Product.hasMany(Lot);
+  Lot.belongsTo(Product);
+
+  // M OrderItem <--> M Lot
+  OrderItem.belongsToMany(Lot, { through: OrderItemLot });
+  Lot.belongsToMany(OrderItem, { through: OrderItemLot });
+
+  // 1 Category <--> M Category (subcategories)
+  Category.hasMany(Category, { as: "children", foreignKey: "parentId" });
+  Category.belongsTo(Category, { as: "parent", foreignKey: "parentId" });
+
+  // M Product <--> M Category
+  Product.belongsToMany(Category, { through: ProductCategory });
+  Category.belongsToMany(Product, { through: ProductCategory });
+
+  // 1 Product <--> M ProductImage
+  Product.hasMany(ProductImage, { as: "images" });
+  ProductImage.belongsTo(Product);
+
+  // M Coupon <--> M Product and M Coupon <--> M Category (restrictions)
+  Coupon.belongsToMany(Product, { through: CouponProduct });
+  Product.belongsToMany(Coupon, { through: CouponProduct });
+  Coupon.belongsToMany(Category, { through: CouponCategory });
+  Category.belongsToMany(Coupon, { through: CouponCategory });
+
+  // 1 Coupon <--> M CouponRedemption
+  Coupon.hasMany(CouponRedemption);
+  CouponRedemption.belongsTo(Coupon);
+  User.hasMany(CouponRedemption);
+  CouponRedemption.belongsTo(User);
+  Order.hasOne(CouponRedemption);
+  CouponRedemption.belongsTo(Order);
+
+  // 1 Coupon <--> M Cart and 1 Coupon <--> M Order
+  Coupon.hasMany(Cart);
+  Cart.belongsTo(Coupon);
+  Coupon.hasMany(Order);
+  Order.belongsTo(Coupon);
 };
 
 module.exports = { initModels };
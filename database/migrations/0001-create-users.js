@@ -0,0 +1,60 @@
+const { DataTypes } = require("sequelize");
+
+// The tables users, products, carts, productInCarts and orders are created as
+// database.sync created them before the migrations, so a database that already
+// has them is left as it is. Their later changes have their own migrations
+module.exports = {
+  up: async ({ context: queryInterface }) => {
+    await queryInterface.createTable("users", {
+      id: {
+        primaryKey: true,
+        type: DataTypes.INTEGER,
+        unique: true,
+        autoIncrement: true,
+        allowNull: false
+      },
+      username: {
+        type: DataTypes.STRING(100),
+        allowNull: false,
+        unique: true
+      },
+      email: {
+        type: DataTypes.STRING(100),
+        allowNull: false,
+        unique: true
+      },
+      password: {
+        type: DataTypes.STRING(255),
+        allowNull: false,
+        unique: true
+      },
+      passwordConfirm: {
+        type: DataTypes.STRING(255),
+        allowNull: false,
+        unique: true
+      },
+      role: {
+        type: DataTypes.STRING(10),
+        allowNull: false,
+        defaultValue: "client"
+      },
+      status: {
+        type: DataTypes.STRING(10),
+        allowNull: false,
+        defaultValue: "active"
+      },
+      createdAt: {
+        type: DataTypes.DATE,
+        allowNull: false
+      },
+      updatedAt: {
+        type: DataTypes.DATE,
+        allowNull: false
+      }
+    });
+  },
+
+  down: async ({ context: queryInterface }) => {
+    await queryInterface.dropTable("users");
+  }
+};
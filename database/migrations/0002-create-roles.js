@@ -0,0 +1,46 @@
+const { DataTypes } = require("sequelize");
+
+module.exports = {
+  up: async ({ context: queryInterface }) => {
+    await queryInterface.createTable("roles", {
+      id: {
+        primaryKey: true,
+        type: DataTypes.INTEGER,
+        unique: true,
+        autoIncrement: true,
+        allowNull: false
+      },
+      name: {
+        type: DataTypes.STRING(30),
+        allowNull: false,
+        unique: true
+      },
+      description: {
+        type: DataTypes.STRING(255),
+        allowNull: true
+      },
+      isSystem: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: false
+      },
+      status: {
+        type: DataTypes.STRING(10),
+        allowNull: false,
+        defaultValue: "active"
+      },
+      createdAt: {
+        type: DataTypes.DATE,
+        allowNull: false
+      },
+      updatedAt: {
+        type: DataTypes.DATE,
+        allowNull: false
+      }
+    });
+  },
+
+  down: async ({ context: queryInterface }) => {
+    await queryInterface.dropTable("roles");
+  }
+};
@@ -0,0 +1,36 @@
+const { DataTypes } = require("sequelize");
+
+module.exports = {
+  up: async ({ context: queryInterface }) => {
+    await queryInterface.createTable("permissions", {
+      id: {
+        primaryKey: true,
+        type: DataTypes.INTEGER,
+        unique: true,
+        autoIncrement: true,
+        allowNull: false
+      },
+      name: {
+        type: DataTypes.STRING(50),
+        allowNull: false,
+        unique: true
+      },
+      description: {
+        type: DataTypes.STRING(255),
+        allowNull: true
+      },
+      createdAt: {
+        type: DataTypes.DATE,
+        allowNull: false
+      },
+      updatedAt: {
+        type: DataTypes.DATE,
+        allowNull: false
+      }
+    });
+  },
+
+  down: async ({ context: queryInterface }) => {
+    await queryInterface.dropTable("permissions");
+  }
+};
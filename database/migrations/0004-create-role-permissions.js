@@ -0,0 +1,46 @@
+const { DataTypes } = require("sequelize");
+
+module.exports = {
+  up: async ({ context: queryInterface }) => {
+    await queryInterface.createTable("rolePermissions", {
+      id: {
+        primaryKey: true,
+        type: DataTypes.INTEGER,
+        unique: true,
+        autoIncrement: true,
+        allowNull: false
+      },
+      roleId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: { model: "roles", key: "id" },
+        onUpdate: "CASCADE",
+        onDelete: "CASCADE"
+      },
+      permissionId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: { model: "permissions", key: "id" },
+        onUpdate: "CASCADE",
+        onDelete: "CASCADE"
+      },
+      createdAt: {
+        type: DataTypes.DATE,
+        allowNull: false
+      },
+      updatedAt: {
+        type: DataTypes.DATE,
+        allowNull: false
+      }
+    });
+
+    await queryInterface.addConstraint("rolePermissions", {
+      type: "unique",
+      fields: ["roleId", "permissionId"]
+    });
+  },
+
+  down: async ({ context: queryInterface }) => {
+    await queryInterface.dropTable("rolePermissions");
+  }
+};
@@ -0,0 +1,60 @@
+const { DataTypes } = require("sequelize");
+
+module.exports = {
+  up: async ({ context: queryInterface }) => {
+    await queryInterface.createTable(
+      "productInCarts",
+      {
+        id: {
+          primaryKey: true,
+          type: DataTypes.INTEGER,
+          autoIncrement: true,
+          allowNull: false
+        },
+        productId: {
+          type: DataTypes.INTEGER,
+          allowNull: false,
+          references: { model: "products", key: "id" },
+          onUpdate: "CASCADE",
+          onDelete: "CASCADE"
+        },
+        cartId: {
+          type: DataTypes.INTEGER,
+          allowNull: false,
+          references: { model: "carts", key: "id" },
+          onUpdate: "CASCADE",
+          onDelete: "CASCADE"
+        },
+        quantity: {
+          type: DataTypes.INTEGER,
+          allowNull: false
+        },
+        status: {
+          type: DataTypes.STRING(10),
+          allowNull: false,
+          defaultValue: "active"
+        },
+        createdAt: {
+          type: DataTypes.DATE,
+          allowNull: false
+        },
+        updatedAt: {
+          type: DataTypes.DATE,
+          allowNull: false
+        }
+      },
+      {
+        uniqueKeys: {
+          productInCarts_productId_cartId_unique: {
+            fields: ["productId", "cartId"],
+            customIndex: true
+          }
+        }
+      }
+    );
+  },
+
+  down: async ({ context: queryInterface }) => {
+    await queryInterface.dropTable("productInCarts");
+  }
+};
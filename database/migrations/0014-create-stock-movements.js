@@ -0,0 +1,66 @@
+const { DataTypes } = require("sequelize");
+
+module.exports = {
+  up: async ({ context: queryInterface }) => {
+    await queryInterface.createTable("stockMovements", {
+      id: {
+        primaryKey: true,
+        type: DataTypes.INTEGER,
+        unique: true,
+        autoIncrement: true,
+        allowNull: false
+      },
+      productId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: { model: "products", key: "id" },
+        onUpdate: "CASCADE",
+        onDelete: "CASCADE"
+      },
+      type: {
+        type: DataTypes.STRING(20),
+        allowNull: false
+      },
+      delta: {
+        type: DataTypes.INTEGER,
+        allowNull: false
+      },
+      balance: {
+        type: DataTypes.INTEGER,
+        allowNull: false
+      },
+      userId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: { model: "users", key: "id" },
+        onUpdate: "CASCADE",
+        onDelete: "CASCADE"
+      },
+      orderId: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        references: { model: "orders", key: "id" },
+        onUpdate: "CASCADE",
+        onDelete: "SET NULL"
+      },
+      reason: {
+        type: DataTypes.STRING(255),
+        allowNull: true
+      },
+      createdAt: {
+        type: DataTypes.DATE,
+        allowNull: false
+      },
+      updatedAt: {
+        type: DataTypes.DATE,
+        allowNull: false
+      }
+    });
+
+    await queryInterface.addIndex("stockMovements", ["productId", "id"]);
+  },
+
+  down: async ({ context: queryInterface }) => {
+    await queryInterface.dropTable("stockMovements");
+  }
+};
@@ -0,0 +1,93 @@
+const { DataTypes, QueryTypes } = require("sequelize");
+
+module.exports = {
+  up: async ({ context: queryInterface }) => {
+    await queryInterface.createTable("lots", {
+      id: {
+        primaryKey: true,
+        type: DataTypes.INTEGER,
+        unique: true,
+        autoIncrement: true,
+        allowNull: false
+      },
+      productId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: { model: "products", key: "id" },
+        onUpdate: "CASCADE",
+        onDelete: "CASCADE"
+      },
+      batchNumber: {
+        type: DataTypes.INTEGER,
+        allowNull: false
+      },
+      entryDate: {
+        type: DataTypes.DATEONLY,
+        allowNull: false
+      },
+      expiryDate: {
+        type: DataTypes.DATEONLY,
+        allowNull: true
+      },
+      cost: {
+        type: DataTypes.INTEGER,
+        allowNull: true
+      },
+      receivedQuantity: {
+        type: DataTypes.INTEGER,
+        allowNull: false
+      },
+      quantity: {
+        type: DataTypes.INTEGER,
+        allowNull: false
+      },
+      status: {
+        type: DataTypes.STRING(10),
+        allowNull: false,
+        defaultValue: "active"
+      },
+      createdAt: {
+        type: DataTypes.DATE,
+        allowNull: false
+      },
+      updatedAt: {
+        type: DataTypes.DATE,
+        allowNull: false
+      }
+    });
+
+    await queryInterface.addIndex("lots", ["productId", "status"]);
+
+    // The stock of the existing products becomes their first lot
+    const q = (name) => queryInterface.quoteIdentifier(name);
+
+    const products = await queryInterface.sequelize.query(
+      `SELECT ${q("id")}, ${q("batchNumber")}, ${q("quantityAvailable")}, ${q(
+        "createdAt"
+      )} FROM ${q("products")}`,
+      { type: QueryTypes.SELECT }
+    );
+
+    if (products.length > 0) {
+      const now = new Date();
+
+      await queryInterface.bulkInsert(
+        "lots",
+        products.map((product) => ({
+          productId: product.id,
+          batchNumber: product.batchNumber,
+          entryDate: new Date(product.createdAt).toISOString().slice(0, 10),
+          receivedQuantity: product.quantityAvailable,
+          quantity: product.quantityAvailable,
+          status: "active",
+          createdAt: now,
+          updatedAt: now
+        }))
+      );
+    }
+  },
+
+  down: async ({ context: queryInterface }) => {
+    await queryInterface.dropTable("lots");
+  }
+};
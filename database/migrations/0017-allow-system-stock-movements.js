@@ -0,0 +1,24 @@
+const { DataTypes } = require("sequelize");
+
+// Expired lots are written off by the system, without a user
+module.exports = {
+  up: async ({ context: queryInterface }) => {
+    await queryInterface.changeColumn("stockMovements", "userId", {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: { model: "users", key: "id" },
+      onUpdate: "CASCADE",
+      onDelete: "CASCADE"
+    });
+  },
+
+  down: async ({ context: queryInterface }) => {
+    await queryInterface.changeColumn("stockMovements", "userId", {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: { model: "users", key: "id" },
+      onUpdate: "CASCADE",
+      onDelete: "CASCADE"
+    });
+  }
+};
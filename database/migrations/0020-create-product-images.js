@@ -0,0 +1,69 @@
+const { DataTypes } = require("sequelize");
+
+module.exports = {
+  up: async ({ context: queryInterface }) => {
+    await queryInterface.createTable("productImages", {
+      id: {
+        primaryKey: true,
+        type: DataTypes.INTEGER,
+        unique: true,
+        autoIncrement: true,
+        allowNull: false
+      },
+      productId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: { model: "products", key: "id" },
+        onUpdate: "CASCADE",
+        onDelete: "CASCADE"
+      },
+      key: {
+        type: DataTypes.STRING(255),
+        allowNull: false
+      },
+      thumbnailKey: {
+        type: DataTypes.STRING(255),
+        allowNull: false
+      },
+      mimeType: {
+        type: DataTypes.STRING(30),
+        allowNull: false
+      },
+      size: {
+        type: DataTypes.INTEGER,
+        allowNull: false
+      },
+      width: {
+        type: DataTypes.INTEGER,
+        allowNull: false
+      },
+      height: {
+        type: DataTypes.INTEGER,
+        allowNull: false
+      },
+      position: {
+        type: DataTypes.INTEGER,
+        allowNull: false
+      },
+      isPrimary: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: false
+      },
+      createdAt: {
+        type: DataTypes.DATE,
+        allowNull: false
+      },
+      updatedAt: {
+        type: DataTypes.DATE,
+        allowNull: false
+      }
+    });
+
+    await queryInterface.addIndex("productImages", ["productId", "position"]);
+  },
+
+  down: async ({ context: queryInterface }) => {
+    await queryInterface.dropTable("productImages");
+  }
+};
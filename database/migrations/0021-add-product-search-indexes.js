@@ -0,0 +1,35 @@
+// The full text search and the typo tolerance only exist in Postgres, the
+// other dialects search with LIKE and need nothing
+const isPostgres = (queryInterface) =>
+  queryInterface.sequelize.getDialect() === "postgres";
+
+module.exports = {
+  up: async ({ context: queryInterface }) => {
+    if (!isPostgres(queryInterface)) return;
+
+    await queryInterface.sequelize.query(
+      "CREATE EXTENSION IF NOT EXISTS pg_trgm"
+    );
+
+    // Used by the autocomplete (ILIKE 'text%') and the similarity search
+    await queryInterface.sequelize.query(
+      'CREATE INDEX IF NOT EXISTS products_name_trgm ON products USING gin ("name" gin_trgm_ops)'
+    );
+
+    await queryInterface.sequelize.query(
+      `CREATE INDEX IF NOT EXISTS products_name_search ON products USING gin (to_tsvector('simple', "name"))`
+    );
+  },
+
+  down: async ({ context: queryInterface }) => {
+    if (!isPostgres(queryInterface)) return;
+
+    await queryInterface.sequelize.query(
+      "DROP INDEX IF EXISTS products_name_search"
+    );
+
+    await queryInterface.sequelize.query(
+      "DROP INDEX IF EXISTS products_name_trgm"
+    );
+  }
+};
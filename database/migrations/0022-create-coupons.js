@@ -0,0 +1,75 @@
+const { DataTypes } = require("sequelize");
+
+module.exports = {
+  up: async ({ context: queryInterface }) => {
+    await queryInterface.createTable("coupons", {
+      id: {
+        primaryKey: true,
+        type: DataTypes.INTEGER,
+        unique: true,
+        autoIncrement: true,
+        allowNull: false
+      },
+      code: {
+        type: DataTypes.STRING(40),
+        allowNull: false,
+        unique: true
+      },
+      description: {
+        type: DataTypes.STRING(255),
+        allowNull: true
+      },
+      type: {
+        type: DataTypes.STRING(10),
+        allowNull: false
+      },
+      value: {
+        type: DataTypes.INTEGER,
+        allowNull: false
+      },
+      minCartValue: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      },
+      startsAt: {
+        type: DataTypes.DATE,
+        allowNull: true
+      },
+      endsAt: {
+        type: DataTypes.DATE,
+        allowNull: true
+      },
+      maxUses: {
+        type: DataTypes.INTEGER,
+        allowNull: true
+      },
+      maxUsesPerUser: {
+        type: DataTypes.INTEGER,
+        allowNull: true
+      },
+      timesUsed: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      },
+      status: {
+        type: DataTypes.STRING(10),
+        allowNull: false,
+        defaultValue: "active"
+      },
+      createdAt: {
+        type: DataTypes.DATE,
+        allowNull: false
+      },
+      updatedAt: {
+        type: DataTypes.DATE,
+        allowNull: false
+      }
+    });
+  },
+
+  down: async ({ context: queryInterface }) => {
+    await queryInterface.dropTable("coupons");
+  }
+};
@@ -0,0 +1,56 @@
+const { DataTypes } = require("sequelize");
+
+// A coupon without products nor categories applies to the whole cart
+const restrictions = [
+  ["couponProducts", "productId", "products"],
+  ["couponCategories", "categoryId", "categories"]
+];
+
+module.exports = {
+  up: async ({ context: queryInterface }) => {
+    for (const [table, field, model] of restrictions) {
+      await queryInterface.createTable(table, {
+        id: {
+          primaryKey: true,
+          type: DataTypes.INTEGER,
+          unique: true,
+          autoIncrement: true,
+          allowNull: false
+        },
+        couponId: {
+          type: DataTypes.INTEGER,
+          allowNull: false,
+          references: { model: "coupons", key: "id" },
+          onUpdate: "CASCADE",
+          onDelete: "CASCADE"
+        },
+        [field]: {
+          type: DataTypes.INTEGER,
+          allowNull: false,
+          references: { model, key: "id" },
+          onUpdate: "CASCADE",
+          onDelete: "CASCADE"
+        },
+        createdAt: {
+          type: DataTypes.DATE,
+          allowNull: false
+        },
+        updatedAt: {
+          type: DataTypes.DATE,
+          allowNull: false
+        }
+      });
+
+      await queryInterface.addConstraint(table, {
+        type: "unique",
+        fields: ["couponId", field]
+      });
+    }
+  },
+
+  down: async ({ context: queryInterface }) => {
+    for (const [table] of restrictions) {
+      await queryInterface.dropTable(table);
+    }
+  }
+};
@@ -0,0 +1,50 @@
+const { DataTypes } = require("sequelize");
+
+const { withoutForeignKeys } = require("../withoutForeignKeys");
+
+const couponColumn = {
+  type: DataTypes.INTEGER,
+  allowNull: true,
+  references: { model: "coupons", key: "id" },
+  onUpdate: "CASCADE",
+  onDelete: "SET NULL"
+};
+
+module.exports = {
+  up: async ({ context: queryInterface }) => {
+    await queryInterface.addColumn("carts", "couponId", couponColumn);
+
+    await queryInterface.addColumn("orders", "subtotal", {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    });
+    await queryInterface.addColumn("orders", "discount", {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    });
+    await queryInterface.addColumn("orders", "couponId", couponColumn);
+    await queryInterface.addColumn("orders", "couponCode", {
+      type: DataTypes.STRING(40),
+      allowNull: true
+    });
+
+    // The previous orders had no discounts
+    const q = (name) => queryInterface.quoteIdentifier(name);
+
+    await queryInterface.sequelize.query(
+      `UPDATE ${q("orders")} SET ${q("subtotal")} = ${q("totalPrice")}`
+    );
+  },
+
+  down: async ({ context: queryInterface }) => {
+    await withoutForeignKeys(queryInterface, async () => {
+      await queryInterface.removeColumn("orders", "couponCode");
+      await queryInterface.removeColumn("orders", "couponId");
+      await queryInterface.removeColumn("orders", "discount");
+      await queryInterface.removeColumn("orders", "subtotal");
+      await queryInterface.removeColumn("carts", "couponId");
+    });
+  }
+};
@@ -0,0 +1,30 @@
+const { DataTypes } = require("sequelize");
+
+// The lines already in the carts start without a reservation
+module.exports = {
+  up: async ({ context: queryInterface }) => {
+    await queryInterface.addColumn("productInCarts", "reservedQuantity", {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    });
+    await queryInterface.addColumn("productInCarts", "reservedUntil", {
+      type: DataTypes.DATE,
+      allowNull: true
+    });
+
+    await queryInterface.addIndex("productInCarts", [
+      "productId",
+      "reservedUntil"
+    ]);
+  },
+
+  down: async ({ context: queryInterface }) => {
+    await queryInterface.removeIndex("productInCarts", [
+      "productId",
+      "reservedUntil"
+    ]);
+    await queryInterface.removeColumn("productInCarts", "reservedUntil");
+    await queryInterface.removeColumn("productInCarts", "reservedQuantity");
+  }
+};
@@ -0,0 +1,32 @@
+const { DataTypes } = require("sequelize");
+
+const { withoutForeignKeys } = require("../withoutForeignKeys");
+
+const userIdColumn = (allowNull) => ({
+  type: DataTypes.INTEGER,
+  allowNull,
+  references: { model: "users", key: "id" },
+  onUpdate: "CASCADE",
+  onDelete: "CASCADE"
+});
+
+// The guest carts have no user until they are merged into the user's cart
+module.exports = {
+  up: async ({ context: queryInterface }) => {
+    await withoutForeignKeys(queryInterface, () =>
+      queryInterface.changeColumn("carts", "userId", userIdColumn(true))
+    );
+  },
+
+  down: async ({ context: queryInterface }) => {
+    const q = (name) => queryInterface.quoteIdentifier(name);
+
+    await queryInterface.sequelize.query(
+      `DELETE FROM ${q("carts")} WHERE ${q("userId")} IS NULL`
+    );
+
+    await withoutForeignKeys(queryInterface, () =>
+      queryInterface.changeColumn("carts", "userId", userIdColumn(false))
+    );
+  }
+};
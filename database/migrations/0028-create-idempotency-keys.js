@@ -0,0 +1,75 @@
+const { DataTypes } = require("sequelize");
+
+module.exports = {
+  up: async ({ context: queryInterface }) => {
+    await queryInterface.createTable("idempotencyKeys", {
+      id: {
+        primaryKey: true,
+        type: DataTypes.INTEGER,
+        unique: true,
+        autoIncrement: true,
+        allowNull: false
+      },
+      userId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: { model: "users", key: "id" },
+        onUpdate: "CASCADE",
+        onDelete: "CASCADE"
+      },
+      key: {
+        type: DataTypes.STRING(255),
+        allowNull: false
+      },
+      requestHash: {
+        type: DataTypes.STRING(64),
+        allowNull: false
+      },
+      method: {
+        type: DataTypes.STRING(10),
+        allowNull: false
+      },
+      path: {
+        type: DataTypes.STRING(255),
+        allowNull: false
+      },
+      status: {
+        type: DataTypes.STRING(10),
+        allowNull: false,
+        defaultValue: "processing"
+      },
+      statusCode: {
+        type: DataTypes.INTEGER,
+        allowNull: true
+      },
+      responseBody: {
+        type: DataTypes.JSON,
+        allowNull: true
+      },
+      expiresAt: {
+        type: DataTypes.DATE,
+        allowNull: false
+      },
+      createdAt: {
+        type: DataTypes.DATE,
+        allowNull: false
+      },
+      updatedAt: {
+        type: DataTypes.DATE,
+        allowNull: false
+      }
+    });
+
+    // Two requests with the same key can't both be processed
+    await queryInterface.addConstraint("idempotencyKeys", {
+      type: "unique",
+      fields: ["userId", "key"]
+    });
+
+    await queryInterface.addIndex("idempotencyKeys", ["expiresAt"]);
+  },
+
+  down: async ({ context: queryInterface }) => {
+    await queryInterface.dropTable("idempotencyKeys");
+  }
+};
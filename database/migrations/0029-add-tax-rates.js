@@ -0,0 +1,26 @@
+const { DataTypes } = require("sequelize");
+
+const { withoutForeignKeys } = require("../withoutForeignKeys");
+
+module.exports = {
+  up: async ({ context: queryInterface }) => {
+    await queryInterface.addColumn("categories", "taxRate", {
+      type: DataTypes.DECIMAL(5, 2),
+      allowNull: true
+    });
+
+    // The previous orders had no taxes
+    await queryInterface.addColumn("orders", "tax", {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    });
+  },
+
+  down: async ({ context: queryInterface }) => {
+    await withoutForeignKeys(queryInterface, async () => {
+      await queryInterface.removeColumn("orders", "tax");
+      await queryInterface.removeColumn("categories", "taxRate");
+    });
+  }
+};
@@ -0,0 +1,104 @@
+const { DataTypes } = require("sequelize");
+
+const { withoutForeignKeys } = require("../withoutForeignKeys");
+
+// The money columns of each table, with whether they can be null and their
+// default value
+const moneyColumns = {
+  products: [["price", false]],
+  lots: [["cost", true]],
+  orders: [
+    ["subtotal", false, 0],
+    ["discount", false, 0],
+    ["tax", false, 0],
+    ["totalPrice", false]
+  ],
+  orderItems: [
+    ["unitPrice", false],
+    ["lineTotal", false]
+  ],
+  coupons: [
+    ["value", false],
+    ["minCartValue", false, 0]
+  ],
+  couponRedemptions: [["discount", false]]
+};
+
+const column = (type, allowNull, defaultValue) => ({
+  type,
+  allowNull,
+  ...(defaultValue === undefined ? {} : { defaultValue })
+});
+
+// The amounts were whole units of the store currency, they are stored in its
+// minor units (cents) next to the currency code
+const currency = (process.env.CURRENCY || "COP").toUpperCase();
+const factor =
+  10 **
+  new Intl.NumberFormat("en", {
+    style: "currency",
+    currency
+  }).resolvedOptions().maximumFractionDigits;
+
+// The percentage coupons keep their percent in value
+const scaleAmounts = async (queryInterface, operator) => {
+  const q = (name) => queryInterface.quoteIdentifier(name);
+
+  for (const [table, columns] of Object.entries(moneyColumns)) {
+    for (const [name] of columns) {
+      const where =
+        table === "coupons" && name === "value"
+          ? ` WHERE ${q("type")} = 'fixed'`
+          : "";
+
+      await queryInterface.sequelize.query(
+        `UPDATE ${q(table)} SET ${q(name)} = ${q(
+          name
+        )} ${operator} ${factor}${where}`
+      );
+    }
+  }
+};
+
+module.exports = {
+  up: async ({ context: queryInterface }) => {
+    await withoutForeignKeys(queryInterface, async () => {
+      for (const [table, columns] of Object.entries(moneyColumns)) {
+        for (const [name, allowNull, defaultValue] of columns) {
+          await queryInterface.changeColumn(
+            table,
+            name,
+            column(DataTypes.BIGINT, allowNull, defaultValue)
+          );
+        }
+
+        await queryInterface.addColumn(table, "currency", {
+          type: DataTypes.STRING(3),
+          allowNull: false,
+          defaultValue: currency
+        });
+      }
+    });
+
+    await scaleAmounts(queryInterface, "*");
+  },
+
+  // The fractions of a unit are lost going back to whole units
+  down: async ({ context: queryInterface }) => {
+    await scaleAmounts(queryInterface, "/");
+
+    await withoutForeignKeys(queryInterface, async () => {
+      for (const [table, columns] of Object.entries(moneyColumns)) {
+        await queryInterface.removeColumn(table, "currency");
+
+        for (const [name, allowNull, defaultValue] of columns) {
+          await queryInterface.changeColumn(
+            table,
+            name,
+            column(DataTypes.INTEGER, allowNull, defaultValue)
+          );
+        }
+      }
+    });
+  }
+};
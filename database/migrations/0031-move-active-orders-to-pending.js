@@ -0,0 +1,20 @@
+// The orders placed before the lifecycle existed were "active", they are moved
+// to "pending", the status the checkout gives the new orders
+module.exports = {
+  up: async ({ context: queryInterface }) => {
+    await queryInterface.bulkUpdate(
+      "orders",
+      { status: "pending" },
+      { status: "active" }
+    );
+  },
+
+  // Before the lifecycle every order was "active", the pending ones go back
+  down: async ({ context: queryInterface }) => {
+    await queryInterface.bulkUpdate(
+      "orders",
+      { status: "active" },
+      { status: "pending" }
+    );
+  }
+};
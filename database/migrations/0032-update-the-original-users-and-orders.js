@@ -0,0 +1,53 @@
+const { DataTypes } = require("sequelize");
+
+const { withoutForeignKeys } = require("../withoutForeignKeys");
+
+// The changes made to the tables of database.sync before the migrations: the
+// password changes (passwordChangedAt), the longer role names of the role
+// permissions and the pending status of the order lifecycle
+module.exports = {
+  up: async ({ context: queryInterface }) => {
+    const users = await queryInterface.describeTable("users");
+
+    await withoutForeignKeys(queryInterface, async () => {
+      // The databases migrated before this migration already have it
+      if (!users.passwordChangedAt) {
+        await queryInterface.addColumn("users", "passwordChangedAt", {
+          type: DataTypes.DATE,
+          allowNull: true
+        });
+      }
+
+      await queryInterface.changeColumn("users", "role", {
+        type: DataTypes.STRING(30),
+        allowNull: false,
+        defaultValue: "client"
+      });
+
+      await queryInterface.changeColumn("orders", "status", {
+        type: DataTypes.STRING(10),
+        allowNull: false,
+        defaultValue: "pending"
+      });
+    });
+  },
+
+  // The roles longer than 10 characters must be changed before going back
+  down: async ({ context: queryInterface }) => {
+    await withoutForeignKeys(queryInterface, async () => {
+      await queryInterface.changeColumn("orders", "status", {
+        type: DataTypes.STRING(10),
+        allowNull: false,
+        defaultValue: "active"
+      });
+
+      await queryInterface.changeColumn("users", "role", {
+        type: DataTypes.STRING(10),
+        allowNull: false,
+        defaultValue: "client"
+      });
+
+      await queryInterface.removeColumn("users", "passwordChangedAt");
+    });
+  }
+};
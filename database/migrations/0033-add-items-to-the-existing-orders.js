@@ -0,0 +1,50 @@
+const { QueryTypes } = require("sequelize");
+
+// The orders placed before the order items existed get them from the
+// purchased lines of their cart, with the current name and price of each
+// product (the price at the time of the purchase wasn't stored)
+module.exports = {
+  up: async ({ context: queryInterface }) => {
+    const q = (name) => queryInterface.quoteIdentifier(name);
+
+    const lines = await queryInterface.sequelize.query(
+      `SELECT o.${q("id")} AS ${q("orderId")}, o.${q("status")} AS ${q(
+        "orderStatus"
+      )}, p.${q("id")} AS ${q("productId")}, p.${q("name")}, p.${q(
+        "batchNumber"
+      )}, p.${q("price")}, p.${q("currency")}, l.${q("quantity")}
+      FROM ${q("orders")} o
+      JOIN ${q("productInCarts")} l ON l.${q("cartId")} = o.${q("cartId")}
+      JOIN ${q("products")} p ON p.${q("id")} = l.${q("productId")}
+      WHERE l.${q("status")} IN ('purchased', 'cancelled')
+      AND NOT EXISTS (SELECT 1 FROM ${q("orderItems")} i WHERE i.${q(
+        "orderId"
+      )} = o.${q("id")})`,
+      { type: QueryTypes.SELECT }
+    );
+
+    if (lines.length === 0) return;
+
+    const now = new Date();
+
+    await queryInterface.bulkInsert(
+      "orderItems",
+      lines.map((line) => ({
+        orderId: line.orderId,
+        productId: line.productId,
+        name: line.name,
+        batchNumber: line.batchNumber,
+        unitPrice: Number(line.price),
+        quantity: line.quantity,
+        lineTotal: Number(line.price) * line.quantity,
+        currency: line.currency,
+        status: line.orderStatus === "cancelled" ? "cancelled" : "active",
+        createdAt: now,
+        updatedAt: now
+      }))
+    );
+  },
+
+  // The items are kept, the orders are still right with them
+  down: async () => {}
+};
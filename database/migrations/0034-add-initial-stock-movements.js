@@ -0,0 +1,54 @@
+const { QueryTypes } = require("sequelize");
+
+// The products created before the ledger existed get the initial movement
+// they were created without, with the stock the ledger doesn't explain yet, so
+// their reconciliation starts balanced
+module.exports = {
+  up: async ({ context: queryInterface }) => {
+    const q = (name) => queryInterface.quoteIdentifier(name);
+
+    const products = await queryInterface.sequelize.query(
+      `SELECT p.${q("id")}, p.${q("userId")}, p.${q(
+        "quantityAvailable"
+      )}, p.${q("createdAt")}, COALESCE(SUM(m.${q("delta")}), 0) AS ${q(
+        "ledgerBalance"
+      )}
+      FROM ${q("products")} p
+      LEFT JOIN ${q("stockMovements")} m ON m.${q("productId")} = p.${q("id")}
+      WHERE NOT EXISTS (SELECT 1 FROM ${q("stockMovements")} i WHERE i.${q(
+        "productId"
+      )} = p.${q("id")} AND i.${q("type")} = 'initial')
+      GROUP BY p.${q("id")}, p.${q("userId")}, p.${q(
+        "quantityAvailable"
+      )}, p.${q("createdAt")}`,
+      { type: QueryTypes.SELECT }
+    );
+
+    if (products.length === 0) return;
+
+    await queryInterface.bulkInsert(
+      "stockMovements",
+      products.map((product) => {
+        const delta = product.quantityAvailable - Number(product.ledgerBalance);
+
+        return {
+          productId: product.id,
+          type: "initial",
+          delta,
+          balance: delta,
+          userId: product.userId,
+          reason: "Stock before the ledger",
+          createdAt: product.createdAt,
+          updatedAt: product.createdAt
+        };
+      })
+    );
+  },
+
+  down: async ({ context: queryInterface }) => {
+    await queryInterface.bulkDelete("stockMovements", {
+      type: "initial",
+      reason: "Stock before the ledger"
+    });
+  }
+};
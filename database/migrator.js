@@ -0,0 +1,28 @@
+// Importing the required modules
+const { Umzug, SequelizeStorage } = require("umzug");
+
+const { database } = require("./database");
+
+// Versioned schema changes, the ones already run are stored in SequelizeMeta
+const migrator = new Umzug({
+  migrations: { glob: ["migrations/*.js", { cwd: __dirname }] },
+  context: database.getQueryInterface(),
+  storage: new SequelizeStorage({
+    sequelize: database,
+    modelName: "SequelizeMeta"
+  }),
+  logger: console
+});
+
+// Initial data (admin account, roles and sample catalog), stored in SequelizeData
+const seeder = new Umzug({
+  migrations: { glob: ["seeders/*.js", { cwd: __dirname }] },
+  context: database.getQueryInterface(),
+  storage: new SequelizeStorage({
+    sequelize: database,
+    modelName: "SequelizeData"
+  }),
+  logger: console
+});
+
+module.exports = { migrator, seeder };
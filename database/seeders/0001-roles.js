@@ -0,0 +1,14 @@
+// Import Utils
+const { seedRoles } = require("../../utils/permissions");
+
+module.exports = {
+  up: async () => {
+    await seedRoles();
+  },
+
+  down: async ({ context: queryInterface }) => {
+    await queryInterface.bulkDelete("rolePermissions", {});
+    await queryInterface.bulkDelete("roles", {});
+    await queryInterface.bulkDelete("permissions", {});
+  }
+};
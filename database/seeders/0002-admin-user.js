@@ -0,0 +1,39 @@
+// Importing the required modules
+const bcrypt = require("bcryptjs");
+const dotenv = require("dotenv");
+
+// Import Models
+const { User } = require("../../models/user.model");
+
+dotenv.config({ path: "./config.env" });
+
+// The first admin account, its credentials come from config.env
+module.exports = {
+  up: async () => {
+    const { ADMIN_USERNAME, ADMIN_EMAIL, ADMIN_PASSWORD } = process.env;
+
+    if (!ADMIN_USERNAME || !ADMIN_EMAIL || !ADMIN_PASSWORD) {
+      throw new Error(
+        "ADMIN_USERNAME, ADMIN_EMAIL and ADMIN_PASSWORD must be set to seed the admin"
+      );
+    }
+
+    const salt = await bcrypt.genSalt(12);
+
+    const password = await bcrypt.hash(ADMIN_PASSWORD, salt);
+
+    await User.findOrCreate({
+      where: { email: ADMIN_EMAIL },
+      defaults: {
+        username: ADMIN_USERNAME,
+        password,
+        passwordConfirm: password,
+        role: "admin"
+      }
+    });
+  },
+
+  down: async () => {
+    await User.destroy({ where: { email: process.env.ADMIN_EMAIL || null } });
+  }
+};
@@ -0,0 +1,92 @@
+// Importing the required modules
+const dotenv = require("dotenv");
+
+// Import Models
+const { User } = require("../../models/user.model");
+const { Product } = require("../../models/product.model");
+const { StockMovement } = require("../../models/stockMovement.model");
+const { Lot } = require("../../models/lot.model");
+
+// Import Utils
+const { Money } = require("../../utils/money");
+
+dotenv.config({ path: "./config.env" });
+
+const products = [
+  { batchNumber: 1, name: "Tv Sony", price: 1000000, quantityAvailable: 10 },
+  { batchNumber: 2, name: "Tv Samsung", price: 1200000, quantityAvailable: 15 },
+  {
+    batchNumber: 3,
+    name: "Celular Xiaomi",
+    price: 800000,
+    quantityAvailable: 20
+  },
+  {
+    batchNumber: 4,
+    name: "Portatil Lenovo",
+    price: 2500000,
+    quantityAvailable: 5
+  },
+  {
+    batchNumber: 5,
+    name: "Audifonos JBL",
+    price: 150000,
+    quantityAvailable: 30
+  }
+];
+
+// Sample products sold by the seeded admin
+module.exports = {
+  up: async () => {
+    const admin = await User.findOne({
+      where: { email: process.env.ADMIN_EMAIL || null }
+    });
+
+    if (!admin) {
+      throw new Error("Run the admin user seeder before the sample catalog");
+    }
+
+    const newProducts = await Product.bulkCreate(
+      products.map((product) => ({
+        ...product,
+        price: Money.of(product.price),
+        userId: admin.id
+      }))
+    );
+
+    // The initial stock is the first lot and the first entry of the ledger
+    await Lot.bulkCreate(
+      newProducts.map((product) => ({
+        productId: product.id,
+        batchNumber: product.batchNumber,
+        entryDate: new Date().toISOString().slice(0, 10),
+        receivedQuantity: product.quantityAvailable,
+        quantity: product.quantityAvailable
+      }))
+    );
+
+    await StockMovement.bulkCreate(
+      newProducts.map((product) => ({
+        productId: product.id,
+        type: "initial",
+        delta: product.quantityAvailable,
+        balance: product.quantityAvailable,
+        userId: admin.id
+      }))
+    );
+  },
+
+  down: async () => {
+    const sampleProducts = await Product.findAll({
+      where: { batchNumber: products.map((el) => el.batchNumber) }
+    });
+
+    const productIds = sampleProducts.map((el) => el.id);
+
+    await StockMovement.destroy({ where: { productId: productIds } });
+
+    await Lot.destroy({ where: { productId: productIds } });
+
+    await Product.destroy({ where: { id: productIds } });
+  }
+};
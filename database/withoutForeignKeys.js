@@ -0,0 +1,20 @@
+// SQLite rebuilds the table to change or remove a column, with the foreign
+// keys on the rows that reference the table would be deleted in cascade, so
+// the migrations that do it run the change with them off
+const withoutForeignKeys = async (queryInterface, change) => {
+  const isSqlite = queryInterface.sequelize.getDialect() === "sqlite";
+
+  if (isSqlite) {
+    await queryInterface.sequelize.query("PRAGMA foreign_keys = OFF");
+  }
+
+  try {
+    await change();
+  } finally {
+    if (isSqlite) {
+      await queryInterface.sequelize.query("PRAGMA foreign_keys = ON");
+    }
+  }
+};
+
+module.exports = { withoutForeignKeys };
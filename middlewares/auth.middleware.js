@@ -5,10 +5,14 @@ const { promisify } = require("util");
 
 // Import Models
 const { User } = require("../models/user.model");
+const { Session } = require("../models/session.model");
+const { Role } = require("../models/role.model");
+const { Permission } = require("../models/permission.model");
 
 // Import Utils
 const { AppError } = require("../utils/appError");
 const { catchAsync } = require("../utils/catchAsync");
+const { verifyCartToken } = require("../utils/authTokens");
 
 dotenv.config({ path: "./config.env" });
 
@@ -42,11 +46,61 @@ exports.validateSession = catchAsync(async (req, res, next) => {
     return next(new AppError(401, "Invalid session"));
   }
 
+  // Tokens issued before the last password change are no longer valid
+  if (
+    user.passwordChangedAt &&
+    decodedToken.iat < Math.floor(user.passwordChangedAt.getTime() / 1000)
+  ) {
+    return next(new AppError(401, "Invalid session"));
+  }
+
+  const session = await Session.findOne({
+    where: { id: decodedToken.sid || null, userId: user.id, status: "active" }
+  });
+
+  if (!session) {
+    return next(new AppError(401, "Invalid session"));
+  }
+
   req.currentUser = user;
+  req.currentSession = session;
 
   next();
 });
 
+// The cart routes are open to guests. A logged in user is identified by the
+// session, a guest by the cart token (X-Cart-Token header) of its cart
+exports.identifyCart = (req, res, next) => {
+  if (req.headers.authorization) {
+    return exports.validateSession(req, res, (err) => {
+      if (err) return next(err);
+
+      req.cartOwner = { userId: req.currentUser.id };
+
+      next();
+    });
+  }
+
+  const cartToken = req.headers["x-cart-token"];
+
+  // A guest without a cart yet, it gets one with its first product
+  if (!cartToken) {
+    req.cartOwner = null;
+
+    return next();
+  }
+
+  const cartId = verifyCartToken(cartToken);
+
+  if (!cartId) {
+    return next(new AppError(401, "Invalid cart token"));
+  }
+
+  req.cartOwner = { id: cartId, userId: null };
+
+  next();
+};
+
 exports.protectAccountOwner = catchAsync(async (req, res, next) => {
   const { id } = req.params;
 
@@ -68,9 +122,31 @@ exports.protectAccountOwner = catchAsync(async (req, res, next) => {
   next();
 });
 
-exports.protectAdmin = catchAsync(async (req, res, next) => {
-  if (req.currentUser.role !== "admin") {
-    return next(new AppError(403, "Access denied"));
+// Loads the permissions of the current user role, once per request
+const loadPermissions = async (req) => {
+  if (!req.currentPermissions) {
+    const role = await Role.findOne({
+      where: { name: req.currentUser.role, status: "active" },
+      include: [{ model: Permission, attributes: ["name"] }]
+    });
+
+    req.currentPermissions = role ? role.permissions.map((el) => el.name) : [];
   }
-  next();
-});
+
+  return req.currentPermissions;
+};
+
+exports.loadPermissions = loadPermissions;
+
+// e.g. requirePermission("orders:read:any"), every permission given is required
+exports.requirePermission = (...permissions) => {
+  return catchAsync(async (req, res, next) => {
+    const currentPermissions = await loadPermissions(req);
+
+    if (!permissions.every((el) => currentPermissions.includes(el))) {
+      return next(new AppError(403, "Access denied"));
+    }
+
+    next();
+  });
+};
@@ -1,12 +1,92 @@
+// Import Utils
+const { AppError } = require("../utils/appError");
+
+const fieldDetails = (err) => {
+  return (err.errors || []).map((el) => ({
+    field: el.path,
+    message: el.message
+  }));
+};
+
+// Translates the known library errors into AppErrors
+const handlers = {
+  SequelizeUniqueConstraintError: (err) =>
+    new AppError(409, "Some values are already in use", {
+      code: "UNIQUE_CONSTRAINT",
+      details: fieldDetails(err)
+    }),
+  SequelizeValidationError: (err) =>
+    new AppError(400, "Some values are not valid", {
+      code: "VALIDATION_ERROR",
+      details: fieldDetails(err)
+    }),
+  SequelizeForeignKeyConstraintError: (err) =>
+    new AppError(409, "The record is related to another that doesn't exist", {
+      code: "FOREIGN_KEY_CONSTRAINT",
+      details: (err.fields ? [].concat(err.fields) : []).map((field) => ({
+        field,
+        message: "Related record not found"
+      }))
+    }),
+  JsonWebTokenError: () =>
+    new AppError(401, "Invalid session", { code: "INVALID_TOKEN" }),
+  TokenExpiredError: () =>
+    new AppError(401, "Your session has expired", { code: "TOKEN_EXPIRED" }),
+  NotBeforeError: () =>
+    new AppError(401, "Invalid session", { code: "INVALID_TOKEN" }),
+  MulterError: (err) =>
+    err.code === "LIMIT_FILE_SIZE"
+      ? new AppError(413, "The file is too large", { code: "FILE_TOO_LARGE" })
+      : new AppError(400, err.message, {
+          code: "UPLOAD_ERROR",
+          details: err.field ? [{ field: err.field, message: err.message }] : []
+        })
+};
+
+const normalizeError = (err) => {
+  if (err instanceof AppError) return err;
+
+  if (handlers[err.name]) return handlers[err.name](err);
+
+  // Malformed JSON bodies from express.json()
+  if (err.type === "entity.parse.failed") {
+    return new AppError(400, "The body is not a valid JSON", {
+      code: "INVALID_JSON"
+    });
+  }
+
+  // Other client errors from express, e.g. a body too large
+  if (err.expose && err.statusCode < 500) {
+    return new AppError(err.statusCode, err.message);
+  }
+
+  return null;
+};
+
 // err === AppError
 const globalErrorHandler = (err, req, res, next) => {
-  err.statusCode = err.statusCode || 500;
-  err.status = err.status || "fail";
+  const isDevelopment = process.env.NODE_ENV === "development";
+
+  const appError = normalizeError(err);
+
+  if (!appError) {
+    console.log(err);
+  }
+
+  const error = appError || {
+    statusCode: 500,
+    status: "fail",
+    code: "INTERNAL_ERROR",
+    // Unknown errors may leak internals, only show them in development
+    message: isDevelopment ? err.message : "Something went wrong"
+  };
 
-  res.status(err.statusCode).json({
-    status: err.status,
-    message: err.message,
-    stack: err.stack
+  res.status(error.statusCode).json({
+    status: error.status,
+    code: error.code,
+    message: error.message,
+    details: error.details,
+    stack: isDevelopment ? err.stack : undefined
   });
 };
 
@@ -0,0 +1,141 @@
+// Importing the required modules
+const { Op, UniqueConstraintError } = require("sequelize");
+
+// Import Models
+const { IdempotencyKey } = require("../models/idempotencyKey.model");
+
+// Import Utils
+const { AppError } = require("../utils/appError");
+const { catchAsync } = require("../utils/catchAsync");
+const {
+  keyExpiry,
+  isLeaseExpired,
+  requestHash
+} = require("../utils/idempotency");
+
+// A POST sent with an Idempotency-Key header runs once per user and key, the
+// retries get the first response again. It goes after validateSession and the
+// body parsers of the route, the requests without a user (guests) are not
+// tracked
+exports.idempotency = catchAsync(async (req, res, next) => {
+  const key = req.headers["idempotency-key"];
+
+  if (req.method !== "POST" || key === undefined || !req.currentUser) {
+    return next();
+  }
+
+  if (!key || key.length > 255) {
+    return next(
+      new AppError(400, "The Idempotency-Key must have 1 to 255 characters")
+    );
+  }
+
+  const userId = req.currentUser.id;
+  const hash = requestHash(req);
+
+  // An expired key can be used for a new request
+  await IdempotencyKey.destroy({
+    where: { userId, key, expiresAt: { [Op.lte]: new Date() } }
+  });
+
+  let stored = await IdempotencyKey.findOne({ where: { userId, key } });
+
+  if (stored && isLeaseExpired(stored)) {
+    await stored.destroy();
+
+    stored = null;
+  }
+
+  if (stored && stored.requestHash !== hash) {
+    return next(
+      new AppError(
+        422,
+        "The Idempotency-Key was already used with a different request",
+        { code: "IDEMPOTENCY_KEY_REUSED" }
+      )
+    );
+  }
+
+  if (stored && stored.status === "processing") {
+    return next(
+      new AppError(409, "A request with this Idempotency-Key is in progress", {
+        code: "IDEMPOTENCY_KEY_IN_PROGRESS"
+      })
+    );
+  }
+
+  if (stored) {
+    res.set("Idempotent-Replayed", "true");
+
+    return res.status(stored.statusCode).json(stored.responseBody);
+  }
+
+  let record;
+
+  try {
+    record = await IdempotencyKey.create({
+      userId,
+      key,
+      requestHash: hash,
+      method: req.method,
+      path: req.originalUrl.slice(0, 255),
+      expiresAt: keyExpiry()
+    });
+  } catch (err) {
+    // Another request with the same key got there first
+    if (err instanceof UniqueConstraintError) {
+      return next(
+        new AppError(
+          409,
+          "A request with this Idempotency-Key is in progress",
+          {
+            code: "IDEMPOTENCY_KEY_IN_PROGRESS"
+          }
+        )
+      );
+    }
+
+    throw err;
+  }
+
+  // The response is stored before it's sent, so a retry always finds it. The
+  // client errors are replayed too (a purchase without stock needs a new key
+  // to be tried again), the server errors are not stored. res.json ends in
+  // res.send with the JSON text, it's stored as it's sent (with the display
+  // amounts of ?currency=) so the replay is the same response
+  const send = res.send.bind(res);
+
+  let settled = false;
+
+  res.send = (body) => {
+    const isJson = /json/.test(res.get("Content-Type") || "");
+
+    if (settled || typeof body !== "string" || !isJson) return send(body);
+
+    settled = true;
+
+    const save =
+      res.statusCode >= 500
+        ? record.destroy()
+        : record.update({
+            status: "completed",
+            statusCode: res.statusCode,
+            responseBody: JSON.parse(body)
+          });
+
+    save.catch((err) => console.log(err)).then(() => send(body));
+
+    return res;
+  };
+
+  // A response that isn't JSON (res.end, a stream, a file) or a request that
+  // aborts frees the key, so the retries aren't rejected as in progress until
+  // it expires
+  res.on("close", () => {
+    if (!settled) {
+      record.destroy().catch((err) => console.log(err));
+    }
+  });
+
+  next();
+});
@@ -0,0 +1,47 @@
+// Import Utils
+const { AppError } = require("../utils/appError");
+const { Money, storeCurrency, exchangeRates } = require("../utils/money");
+
+// ?currency=USD adds to every amount of the response its value in USD in
+// display, with the rates of EXCHANGE_RATES. What's charged doesn't change
+exports.displayCurrency = (req, res, next) => {
+  if (req.query.currency === undefined) return next();
+
+  const currency = `${req.query.currency}`.toUpperCase();
+  const baseCurrency = storeCurrency();
+
+  if (currency === baseCurrency) return next();
+
+  const rate = exchangeRates().get(currency);
+
+  if (rate === undefined) {
+    return next(
+      new AppError(400, `There is no exchange rate for ${currency}`, {
+        code: "UNSUPPORTED_CURRENCY"
+      })
+    );
+  }
+
+  const json = res.json;
+
+  // The amounts are found while the body is serialized, the rates are
+  // from the store currency so the amounts in other currencies are left out
+  res.json = function (body) {
+    const converted = JSON.stringify(body, function (key, value) {
+      const amount = this[key];
+
+      if (!(amount instanceof Money) || amount.currency !== baseCurrency) {
+        return value;
+      }
+
+      return { ...value, display: amount.convert(currency, rate).toJSON() };
+    });
+
+    return json.call(
+      this,
+      converted === undefined ? body : JSON.parse(converted)
+    );
+  };
+
+  next();
+};
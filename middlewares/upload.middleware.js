@@ -0,0 +1,35 @@
+// Importing the required modules
+const multer = require("multer");
+
+// Import Utils
+const { AppError } = require("../utils/appError");
+const { imageMimeTypes } = require("../utils/images");
+
+const MAX_IMAGE_SIZE = (+process.env.IMAGE_MAX_SIZE_MB || 5) * 1024 * 1024;
+const MAX_IMAGES = 10;
+const MAX_IMPORT_SIZE = 5 * 1024 * 1024;
+
+// The images are kept in memory until they are validated and resized
+exports.parseProductImages = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_IMAGE_SIZE, files: MAX_IMAGES },
+  fileFilter: (req, file, cb) => {
+    if (!imageMimeTypes.includes(file.mimetype)) {
+      return cb(
+        new AppError(
+          400,
+          `${file.originalname} must be one of: ${imageMimeTypes.join(", ")}`,
+          { code: "INVALID_IMAGE" }
+        )
+      );
+    }
+
+    cb(null, true);
+  }
+}).array("images", MAX_IMAGES);
+
+// The CSV or JSON file of a bulk import
+exports.parseImportFile = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_IMPORT_SIZE, files: 1 }
+}).single("file");
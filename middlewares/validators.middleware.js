@@ -1,9 +1,24 @@
 // Importing the required modules
 const { body, validationResult } = require("express-validator");
 
+// Import Models
+const { Role } = require("../models/role.model");
+const { Product } = require("../models/product.model");
+
 // Import Utils
 const { catchAsync } = require("../utils/catchAsync");
 const { AppError } = require("../utils/appError");
+const { orderStatuses } = require("../utils/orderStatus");
+const { permissionNames } = require("../utils/permissions");
+const { today } = require("../utils/lots");
+const { Money } = require("../utils/money");
+
+// Amounts of money in the store currency, as 1500 or "1500.50", with at least
+// min minor units. They are sanitized to Money
+const isAmount = (min) => (value) =>
+  Money.isAmount(value) && Money.of(value).minor >= min;
+
+const toMoney = (value) => (Money.isAmount(value) ? Money.of(value) : value);
 
 // User Validators
 exports.createUserValidators = [
@@ -29,8 +44,89 @@ exports.createUserValidators = [
     .withMessage("Must provide a valid passwordConfirm")
 ];
 
+exports.changePasswordValidators = [
+  body("currentPassword")
+    .isString()
+    .withMessage("Current password must be a String")
+    .notEmpty()
+    .withMessage("Must provide the current password"),
+  body("password")
+    .isString()
+    .withMessage("Password must be a String")
+    .notEmpty()
+    .withMessage("Must provide a valid password"),
+  body("passwordConfirm")
+    .isString()
+    .withMessage("Password Confirm must be a String")
+    .notEmpty()
+    .withMessage("Must provide a valid passwordConfirm")
+];
+
+exports.forgotPasswordValidators = [
+  body("email")
+    .isEmail()
+    .withMessage("The format is not valid, try with a email")
+];
+
+exports.resetPasswordValidators = [
+  body("token")
+    .isString()
+    .withMessage("Token must be a String")
+    .notEmpty()
+    .withMessage("Must provide a valid token"),
+  body("password")
+    .isString()
+    .withMessage("Password must be a String")
+    .notEmpty()
+    .withMessage("Must provide a valid password"),
+  body("passwordConfirm")
+    .isString()
+    .withMessage("Password Confirm must be a String")
+    .notEmpty()
+    .withMessage("Must provide a valid passwordConfirm")
+];
+
+exports.changeUserRoleValidators = [
+  body("role")
+    .isString()
+    .withMessage("Role must be a String")
+    .custom(async (value) => {
+      const role = await Role.findOne({
+        where: { name: value, status: "active" }
+      });
+
+      if (!role) {
+        throw new Error("The role doesn't exist");
+      }
+    })
+];
+
 // Products Validators
-exports.createProductValidators = [
+// The optional data of a lot, shared by new products and received lots
+const lotValidators = [
+  body("entryDate")
+    .optional()
+    .isISO8601({ strict: true })
+    .withMessage("Entry date must be a date (YYYY-MM-DD)"),
+  body("expiryDate")
+    .optional({ nullable: true })
+    .isISO8601({ strict: true })
+    .withMessage("Expiry date must be a date (YYYY-MM-DD)")
+    .custom((value) => value.slice(0, 10) >= today())
+    .withMessage("Expiry date can't be in the past")
+    .custom(
+      (value, { req }) => !req.body.entryDate || value >= req.body.entryDate
+    )
+    .withMessage("Expiry date must be after the entry date"),
+  body("cost")
+    .optional({ nullable: true })
+    .custom(isAmount(0))
+    .withMessage("Cost must be an amount greater or equal than 0")
+    .customSanitizer(toMoney)
+];
+
+// The rules of a new product, the import checks its rows with them too
+const productValidators = [
   body("batchNumber")
     .isNumeric()
     .withMessage("Batch number must be a Number")
@@ -44,19 +140,154 @@ exports.createProductValidators = [
     .notEmpty()
     .withMessage("Must provide a valid name"),
   body("price")
-    .isNumeric()
-    .withMessage("Price must be a Number")
-    .custom((value) => value > 0)
-    .withMessage("Price must be greater than 0")
-    .notEmpty()
-    .withMessage("Must provide a valid price"),
+    .custom(isAmount(1))
+    .withMessage("Price must be an amount greater than 0")
+    .customSanitizer(toMoney),
   body("quantityAvailable")
     .isNumeric()
     .withMessage("Quantity must be a Number")
     .custom((value) => value > 0)
     .withMessage("Quantity must be greater than 0")
     .notEmpty()
-    .withMessage("Must provide a valid quantity")
+    .withMessage("Must provide a valid quantity"),
+  ...lotValidators
+];
+
+exports.productValidators = productValidators;
+
+// The import matches the products by batch number, two active products can't
+// share it
+exports.createProductValidators = [
+  ...productValidators,
+  body("batchNumber").custom(async (value) => {
+    const product = await Product.findOne({
+      where: { batchNumber: value, status: "active" }
+    });
+
+    if (product) {
+      throw new Error("A product with this batch number already exists");
+    }
+  })
+];
+
+exports.updateProductValidators = [
+  body("price")
+    .optional()
+    .custom(isAmount(1))
+    .withMessage("Price must be an amount greater than 0")
+    .customSanitizer(toMoney),
+  body("quantityAvailable")
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage("Quantity must be a Number greater or equal than 0"),
+  body("reason")
+    .if(body("quantityAvailable").exists())
+    .isString()
+    .withMessage("Reason must be a String")
+    .notEmpty()
+    .withMessage("Must provide a reason to adjust the stock")
+];
+
+exports.reconcileStockValidators = [
+  body("reason")
+    .isString()
+    .withMessage("Reason must be a String")
+    .notEmpty()
+    .withMessage("Must provide a reason to reconcile the stock")
+];
+
+// Lot validations
+exports.receiveLotValidators = [
+  body("batchNumber")
+    .isInt({ min: 1 })
+    .withMessage("Batch number must be a Number greater than 0"),
+  body("quantity")
+    .isInt({ min: 1 })
+    .withMessage("Quantity must be a Number greater than 0"),
+  ...lotValidators
+];
+
+exports.adjustLotValidators = [
+  body("quantity")
+    .isInt({ min: 0 })
+    .withMessage("Quantity must be a Number greater or equal than 0"),
+  body("reason")
+    .isString()
+    .withMessage("Reason must be a String")
+    .notEmpty()
+    .withMessage("Must provide a reason to adjust the lot")
+];
+
+// Category validations
+exports.createCategoryValidators = [
+  body("name")
+    .isString()
+    .withMessage("Name must be a String")
+    .trim()
+    .notEmpty()
+    .withMessage("Must provide a valid name")
+    .isLength({ max: 60 })
+    .withMessage("Name must have at most 60 characters"),
+  body("slug")
+    .optional()
+    .matches(/^[a-z0-9]+(-[a-z0-9]+)*$/)
+    .withMessage("Slug must have lowercase letters, numbers and dashes")
+    .isLength({ max: 80 })
+    .withMessage("Slug must have at most 80 characters"),
+  body("parentId")
+    .optional({ nullable: true })
+    .isInt({ min: 1 })
+    .withMessage("Parent id must be a valid id"),
+  body("taxRate")
+    .optional({ nullable: true })
+    .isFloat({ min: 0, max: 100 })
+    .withMessage("Tax rate must be a percent between 0 and 100")
+];
+
+exports.updateCategoryValidators = [
+  body("name")
+    .optional()
+    .isString()
+    .withMessage("Name must be a String")
+    .trim()
+    .notEmpty()
+    .withMessage("Must provide a valid name")
+    .isLength({ max: 60 })
+    .withMessage("Name must have at most 60 characters"),
+  body("slug")
+    .optional()
+    .matches(/^[a-z0-9]+(-[a-z0-9]+)*$/)
+    .withMessage("Slug must have lowercase letters, numbers and dashes")
+    .isLength({ max: 80 })
+    .withMessage("Slug must have at most 80 characters"),
+  body("parentId")
+    .optional({ nullable: true })
+    .isInt({ min: 1 })
+    .withMessage("Parent id must be a valid id"),
+  body("taxRate")
+    .optional({ nullable: true })
+    .isFloat({ min: 0, max: 100 })
+    .withMessage("Tax rate must be a percent between 0 and 100")
+];
+
+exports.setProductCategoriesValidators = [
+  body("categoryIds").isArray().withMessage("Category ids must be an Array"),
+  body("categoryIds.*")
+    .isInt({ min: 1 })
+    .withMessage("Every category id must be a valid id")
+];
+
+// Product image validations
+exports.updateProductImageValidators = [
+  body("position")
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage("Position must be a Number greater than 0"),
+  body("isPrimary")
+    .optional()
+    .isBoolean()
+    .withMessage("isPrimary must be a Boolean")
+    .toBoolean()
 ];
 
 // Cart validations
@@ -73,6 +304,150 @@ exports.addProductToCartValidation = [
     .withMessage("Quantity must be greater than 0")
 ];
 
+exports.updateCartValidators = [
+  body("mode")
+    .optional()
+    .isIn(["replace", "patch"])
+    .withMessage("Mode must be replace or patch"),
+  body("items")
+    .isArray({ max: 100 })
+    .withMessage("Items must be an Array of at most 100 lines"),
+  body("items.*.productId")
+    .isInt({ min: 1 })
+    .withMessage("Every line must have a valid product id")
+    .toInt(),
+  body("items.*.quantity")
+    .isInt({ min: 0 })
+    .withMessage("Every line must have a quantity of 0 or more")
+    .toInt()
+];
+
+exports.applyCouponValidators = [
+  body("code")
+    .isString()
+    .withMessage("Code must be a String")
+    .trim()
+    .notEmpty()
+    .withMessage("Must provide a coupon code")
+];
+
+// Coupon validations
+const couponValidators = [
+  body("code")
+    .optional()
+    .isString()
+    .withMessage("Code must be a String")
+    .trim()
+    .matches(/^[A-Za-z0-9_-]{3,40}$/)
+    .withMessage(
+      "Code must have 3 to 40 letters, numbers, dashes or underscores"
+    )
+    .toUpperCase(),
+  body("description")
+    .optional({ nullable: true })
+    .isString()
+    .withMessage("Description must be a String")
+    .isLength({ max: 255 })
+    .withMessage("Description must have at most 255 characters"),
+  body("type")
+    .optional()
+    .isIn(["percentage", "fixed"])
+    .withMessage("Type must be percentage or fixed"),
+  body("value")
+    .optional()
+    .isFloat({ gt: 0 })
+    .withMessage("Value must be a Number greater than 0"),
+  body("minCartValue")
+    .optional()
+    .custom(isAmount(0))
+    .withMessage("Minimum cart value must be a positive amount")
+    .customSanitizer(toMoney),
+  body(["startsAt", "endsAt"])
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage("Dates must be valid dates"),
+  body(["maxUses", "maxUsesPerUser"])
+    .optional({ nullable: true })
+    .isInt({ min: 1 })
+    .withMessage("Usage limits must be Numbers greater than 0")
+    .toInt(),
+  body(["productIds", "categoryIds"])
+    .optional()
+    .isArray()
+    .withMessage("Product and category ids must be Arrays"),
+  body(["productIds.*", "categoryIds.*"])
+    .isInt({ min: 1 })
+    .withMessage("Every product and category id must be a valid id")
+];
+
+exports.createCouponValidators = [
+  body("code").exists().withMessage("Must provide a code"),
+  body("type").exists().withMessage("Must provide a type"),
+  body("value").exists().withMessage("Must provide a value"),
+  ...couponValidators
+];
+
+exports.updateCouponValidators = [
+  ...couponValidators,
+  body("status")
+    .optional()
+    .isIn(["active", "inactive"])
+    .withMessage("Status must be active or inactive")
+];
+
+// Order validations
+exports.updateOrderStatusValidators = [
+  body("status")
+    .isIn(orderStatuses)
+    .withMessage(`Status must be one of: ${orderStatuses.join(", ")}`),
+  body("note")
+    .optional()
+    .isString()
+    .withMessage("Note must be a String")
+    .isLength({ max: 255 })
+    .withMessage("Note must have at most 255 characters")
+];
+
+exports.cancelOrderValidators = [
+  body("note")
+    .optional()
+    .isString()
+    .withMessage("Note must be a String")
+    .isLength({ max: 255 })
+    .withMessage("Note must have at most 255 characters")
+];
+
+// Role validations
+exports.createRoleValidators = [
+  body("name")
+    .matches(/^[a-z_]{3,30}$/)
+    .withMessage(
+      "Name must have between 3 and 30 lowercase letters or underscores"
+    ),
+  body("description")
+    .optional()
+    .isString()
+    .withMessage("Description must be a String"),
+  body("permissions")
+    .isArray()
+    .withMessage("Permissions must be an Array")
+    .custom((value) => value.every((el) => permissionNames.includes(el)))
+    .withMessage(`Permissions must be some of: ${permissionNames.join(", ")}`)
+];
+
+exports.updateRoleValidators = [
+  body("description")
+    .optional()
+    .isString()
+    .withMessage("Description must be a String"),
+  body("permissions")
+    .optional()
+    .isArray()
+    .withMessage("Permissions must be an Array")
+    .custom((value) => value.every((el) => permissionNames.includes(el)))
+    .withMessage(`Permissions must be some of: ${permissionNames.join(", ")}`)
+];
+
 exports.validationResults = catchAsync(async (req, res, next) => {
   const errors = validationResult(req);
 
@@ -81,7 +456,14 @@ exports.validationResults = catchAsync(async (req, res, next) => {
       .array()
       .map((err) => err.msg)
       .join(". ");
-    return next(new AppError(400, errorMsg));
+    return next(
+      new AppError(400, errorMsg, {
+        code: "VALIDATION_ERROR",
+        details: errors
+          .array()
+          .map((err) => ({ field: err.param, message: err.msg }))
+      })
+    );
   }
 
   next();
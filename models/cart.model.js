@@ -10,9 +10,15 @@ const Cart = database.define("cart", {
     autoIncrement: true,
     allowNull: false
   },
+  // null for the guest carts, identified by their cart token
   userId: {
     type: DataTypes.INTEGER,
-    allowNull: false
+    allowNull: true
+  },
+  // The coupon applied to the cart, checked again at checkout
+  couponId: {
+    type: DataTypes.INTEGER,
+    allowNull: true
   },
   status: {
     type: DataTypes.STRING(10),
@@ -0,0 +1,39 @@
+const { database } = require("../database/database");
+
+const { DataTypes } = require("sequelize");
+
+const Category = database.define("category", {
+  id: {
+    primaryKey: true,
+    type: DataTypes.INTEGER,
+    unique: true,
+    autoIncrement: true,
+    allowNull: false
+  },
+  name: {
+    type: DataTypes.STRING(60),
+    allowNull: false
+  },
+  slug: {
+    type: DataTypes.STRING(80),
+    allowNull: false,
+    unique: true
+  },
+  // null for the top level categories
+  parentId: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+  // Percent, null to use the rate of the parent category or the global TAX_RATE
+  taxRate: {
+    type: DataTypes.DECIMAL(5, 2),
+    allowNull: true
+  },
+  status: {
+    type: DataTypes.STRING(10),
+    allowNull: false,
+    defaultValue: "active"
+  }
+});
+
+module.exports = { Category };
@@ -0,0 +1,85 @@
+const { database } = require("../database/database");
+
+const { DataTypes } = require("sequelize");
+
+const { moneyAttribute, storeCurrency } = require("../utils/money");
+
+const fixedValue = moneyAttribute("value");
+
+const Coupon = database.define("coupon", {
+  id: {
+    primaryKey: true,
+    type: DataTypes.INTEGER,
+    unique: true,
+    autoIncrement: true,
+    allowNull: false
+  },
+  // Stored in uppercase, the codes are case insensitive
+  code: {
+    type: DataTypes.STRING(40),
+    allowNull: false,
+    unique: true
+  },
+  description: {
+    type: DataTypes.STRING(255),
+    allowNull: true
+  },
+  // percentage: value is the percent off, fixed: value is the amount off
+  type: {
+    type: DataTypes.STRING(10),
+    allowNull: false,
+    validate: { isIn: [["percentage", "fixed"]] }
+  },
+  value: {
+    type: DataTypes.BIGINT,
+    allowNull: false,
+    get() {
+      return this.getDataValue("type") === "fixed"
+        ? fixedValue.get.call(this)
+        : Number(this.getDataValue("value"));
+    },
+    set: fixedValue.set
+  },
+  // The amounts are in minor units (cents) of the currency
+  minCartValue: {
+    type: DataTypes.BIGINT,
+    allowNull: false,
+    defaultValue: 0,
+    ...moneyAttribute("minCartValue")
+  },
+  // ISO 4217 code of the amounts of the row, CURRENCY by default
+  currency: {
+    type: DataTypes.STRING(3),
+    allowNull: false,
+    defaultValue: storeCurrency
+  },
+  startsAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  endsAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  // null means no limit
+  maxUses: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+  maxUsesPerUser: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+  timesUsed: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  status: {
+    type: DataTypes.STRING(10),
+    allowNull: false,
+    defaultValue: "active"
+  }
+});
+
+module.exports = { Coupon };
@@ -0,0 +1,22 @@
+const { database } = require("../database/database");
+
+const { DataTypes } = require("sequelize");
+
+const CouponCategory = database.define("couponCategory", {
+  id: {
+    primaryKey: true,
+    autoIncrement: true,
+    allowNull: false,
+    type: DataTypes.INTEGER
+  },
+  couponId: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  categoryId: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  }
+});
+
+module.exports = { CouponCategory };
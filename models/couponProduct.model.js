@@ -0,0 +1,22 @@
+const { database } = require("../database/database");
+
+const { DataTypes } = require("sequelize");
+
+const CouponProduct = database.define("couponProduct", {
+  id: {
+    primaryKey: true,
+    autoIncrement: true,
+    allowNull: false,
+    type: DataTypes.INTEGER
+  },
+  couponId: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  productId: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  }
+});
+
+module.exports = { CouponProduct };
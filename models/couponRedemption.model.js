@@ -0,0 +1,47 @@
+const { database } = require("../database/database");
+
+const { DataTypes } = require("sequelize");
+
+const { moneyAttribute, storeCurrency } = require("../utils/money");
+
+// Every use of a coupon, the per user limits count the active ones
+const CouponRedemption = database.define("couponRedemption", {
+  id: {
+    primaryKey: true,
+    autoIncrement: true,
+    allowNull: false,
+    type: DataTypes.INTEGER
+  },
+  couponId: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  userId: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  orderId: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  // In minor units (cents) of the currency
+  discount: {
+    type: DataTypes.BIGINT,
+    allowNull: false,
+    ...moneyAttribute("discount")
+  },
+  // ISO 4217 code of the amounts of the row, CURRENCY by default
+  currency: {
+    type: DataTypes.STRING(3),
+    allowNull: false,
+    defaultValue: storeCurrency
+  },
+  // active, or cancelled when the order is cancelled
+  status: {
+    type: DataTypes.STRING(10),
+    allowNull: false,
+    defaultValue: "active"
+  }
+});
+
+module.exports = { CouponRedemption };
@@ -0,0 +1,56 @@
+const { database } = require("../database/database");
+
+const { DataTypes } = require("sequelize");
+
+// The first response of a request sent with an Idempotency-Key, replayed to
+// the retries of the same user with the same key
+const IdempotencyKey = database.define("idempotencyKey", {
+  id: {
+    primaryKey: true,
+    type: DataTypes.INTEGER,
+    unique: true,
+    autoIncrement: true,
+    allowNull: false
+  },
+  userId: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  key: {
+    type: DataTypes.STRING(255),
+    allowNull: false
+  },
+  // sha256 of the method, the url and the body
+  requestHash: {
+    type: DataTypes.STRING(64),
+    allowNull: false
+  },
+  method: {
+    type: DataTypes.STRING(10),
+    allowNull: false
+  },
+  path: {
+    type: DataTypes.STRING(255),
+    allowNull: false
+  },
+  // processing until the first response is sent, then completed
+  status: {
+    type: DataTypes.STRING(10),
+    allowNull: false,
+    defaultValue: "processing"
+  },
+  statusCode: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+  responseBody: {
+    type: DataTypes.JSON,
+    allowNull: true
+  },
+  expiresAt: {
+    type: DataTypes.DATE,
+    allowNull: false
+  }
+});
+
+module.exports = { IdempotencyKey };
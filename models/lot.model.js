@@ -0,0 +1,60 @@
+const { database } = require("../database/database");
+
+const { DataTypes } = require("sequelize");
+
+const { moneyAttribute, storeCurrency } = require("../utils/money");
+
+// Each batch of a product, the sellable lots add up to quantityAvailable
+const Lot = database.define("lot", {
+  id: {
+    primaryKey: true,
+    type: DataTypes.INTEGER,
+    unique: true,
+    autoIncrement: true,
+    allowNull: false
+  },
+  productId: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  batchNumber: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  entryDate: {
+    type: DataTypes.DATEONLY,
+    allowNull: false
+  },
+  expiryDate: {
+    type: DataTypes.DATEONLY,
+    allowNull: true
+  },
+  // In minor units (cents) of the currency
+  cost: {
+    type: DataTypes.BIGINT,
+    allowNull: true,
+    ...moneyAttribute("cost")
+  },
+  // ISO 4217 code of the amounts of the row, CURRENCY by default
+  currency: {
+    type: DataTypes.STRING(3),
+    allowNull: false,
+    defaultValue: storeCurrency
+  },
+  receivedQuantity: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  quantity: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  // active or expired
+  status: {
+    type: DataTypes.STRING(10),
+    allowNull: false,
+    defaultValue: "active"
+  }
+});
+
+module.exports = { Lot };
@@ -2,6 +2,8 @@ const { database } = require("../database/database");
 
 const { DataTypes } = require("sequelize");
 
+const { moneyAttribute, storeCurrency } = require("../utils/money");
+
 const Order = database.define("order", {
   id: {
     primaryKey: true,
@@ -23,14 +25,64 @@ const Order = database.define("order", {
     type: DataTypes.STRING(255),
     allowNull: false
   },
-  totalPrice: {
+  // The amounts are in minor units (cents) of the currency. The price of the
+  // items, before the discount
+  subtotal: {
+    type: DataTypes.BIGINT,
+    allowNull: false,
+    defaultValue: 0,
+    ...moneyAttribute("subtotal")
+  },
+  discount: {
+    type: DataTypes.BIGINT,
+    allowNull: false,
+    defaultValue: 0,
+    ...moneyAttribute("discount")
+  },
+  couponId: {
     type: DataTypes.INTEGER,
-    allowNull: false
+    allowNull: true
+  },
+  couponCode: {
+    type: DataTypes.STRING(40),
+    allowNull: true
+  },
+  // The tax charged, already included in the subtotal when the prices include it
+  tax: {
+    type: DataTypes.BIGINT,
+    allowNull: false,
+    defaultValue: 0,
+    ...moneyAttribute("tax")
+  },
+  // What the user pays, subtotal - discount, plus the tax when the prices don't include it
+  totalPrice: {
+    type: DataTypes.BIGINT,
+    allowNull: false,
+    ...moneyAttribute("totalPrice")
+  },
+  // ISO 4217 code of the amounts of the row, CURRENCY by default
+  currency: {
+    type: DataTypes.STRING(3),
+    allowNull: false,
+    defaultValue: storeCurrency
   },
   status: {
     type: DataTypes.STRING(10),
     allowNull: false,
-    defaultValue: "active"
+    defaultValue: "pending",
+    validate: {
+      isIn: [
+        [
+          "pending",
+          "paid",
+          "preparing",
+          "shipped",
+          "delivered",
+          "cancelled",
+          "refunded"
+        ]
+      ]
+    }
   }
 });
 
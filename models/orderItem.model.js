@@ -0,0 +1,60 @@
+const { database } = require("../database/database");
+
+const { DataTypes } = require("sequelize");
+
+const { moneyAttribute, storeCurrency } = require("../utils/money");
+
+// Snapshot of each purchased product, so later product changes don't rewrite past orders
+const OrderItem = database.define("orderItem", {
+  id: {
+    primaryKey: true,
+    type: DataTypes.INTEGER,
+    unique: true,
+    autoIncrement: true,
+    allowNull: false
+  },
+  orderId: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  productId: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  name: {
+    type: DataTypes.STRING(100),
+    allowNull: false
+  },
+  batchNumber: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  // The amounts are in minor units (cents) of the currency
+  unitPrice: {
+    type: DataTypes.BIGINT,
+    allowNull: false,
+    ...moneyAttribute("unitPrice")
+  },
+  quantity: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  lineTotal: {
+    type: DataTypes.BIGINT,
+    allowNull: false,
+    ...moneyAttribute("lineTotal")
+  },
+  // ISO 4217 code of the amounts of the row, CURRENCY by default
+  currency: {
+    type: DataTypes.STRING(3),
+    allowNull: false,
+    defaultValue: storeCurrency
+  },
+  status: {
+    type: DataTypes.STRING(10),
+    allowNull: false,
+    defaultValue: "active"
+  }
+});
+
+module.exports = { OrderItem };
@@ -0,0 +1,27 @@
+const { database } = require("../database/database");
+
+const { DataTypes } = require("sequelize");
+
+// The lots each order item was drawn from, used to restock cancellations
+const OrderItemLot = database.define("orderItemLot", {
+  id: {
+    primaryKey: true,
+    autoIncrement: true,
+    allowNull: false,
+    type: DataTypes.INTEGER
+  },
+  orderItemId: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  lotId: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  quantity: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  }
+});
+
+module.exports = { OrderItemLot };
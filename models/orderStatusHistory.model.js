@@ -0,0 +1,36 @@
+const { database } = require("../database/database");
+
+const { DataTypes } = require("sequelize");
+
+// Every status change of an order, who made it and when (createdAt)
+const OrderStatusHistory = database.define("orderStatusHistory", {
+  id: {
+    primaryKey: true,
+    type: DataTypes.INTEGER,
+    unique: true,
+    autoIncrement: true,
+    allowNull: false
+  },
+  orderId: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  fromStatus: {
+    type: DataTypes.STRING(10),
+    allowNull: true
+  },
+  toStatus: {
+    type: DataTypes.STRING(10),
+    allowNull: false
+  },
+  userId: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  note: {
+    type: DataTypes.STRING(255),
+    allowNull: true
+  }
+});
+
+module.exports = { OrderStatusHistory };
@@ -0,0 +1,34 @@
+const { database } = require("../database/database");
+
+const { DataTypes } = require("sequelize");
+
+// Single use password reset tokens, only stored hashed
+const PasswordReset = database.define("passwordReset", {
+  id: {
+    primaryKey: true,
+    type: DataTypes.INTEGER,
+    unique: true,
+    autoIncrement: true,
+    allowNull: false
+  },
+  userId: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  token: {
+    type: DataTypes.STRING(64),
+    allowNull: false,
+    unique: true
+  },
+  expiresAt: {
+    type: DataTypes.DATE,
+    allowNull: false
+  },
+  status: {
+    type: DataTypes.STRING(10),
+    allowNull: false,
+    defaultValue: "active"
+  }
+});
+
+module.exports = { PasswordReset };
@@ -0,0 +1,24 @@
+const { database } = require("../database/database");
+
+const { DataTypes } = require("sequelize");
+
+const Permission = database.define("permission", {
+  id: {
+    primaryKey: true,
+    type: DataTypes.INTEGER,
+    unique: true,
+    autoIncrement: true,
+    allowNull: false
+  },
+  name: {
+    type: DataTypes.STRING(50),
+    allowNull: false,
+    unique: true
+  },
+  description: {
+    type: DataTypes.STRING(255),
+    allowNull: true
+  }
+});
+
+module.exports = { Permission };
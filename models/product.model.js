@@ -2,6 +2,8 @@ const { database } = require("../database/database");
 
 const { DataTypes } = require("sequelize");
 
+const { moneyAttribute, storeCurrency } = require("../utils/money");
+
 const Product = database.define("product", {
   id: {
     primaryKey: true,
@@ -18,9 +20,17 @@ const Product = database.define("product", {
     type: DataTypes.STRING(100),
     allowNull: false
   },
+  // The amounts are in minor units (cents) of the currency
   price: {
-    type: DataTypes.INTEGER,
-    allowNull: false
+    type: DataTypes.BIGINT,
+    allowNull: false,
+    ...moneyAttribute("price")
+  },
+  // ISO 4217 code of the amounts of the row, CURRENCY by default
+  currency: {
+    type: DataTypes.STRING(3),
+    allowNull: false,
+    defaultValue: storeCurrency
   },
   quantityAvailable: {
     type: DataTypes.INTEGER,
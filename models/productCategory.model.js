@@ -0,0 +1,22 @@
+const { database } = require("../database/database");
+
+const { DataTypes } = require("sequelize");
+
+const ProductCategory = database.define("productCategory", {
+  id: {
+    primaryKey: true,
+    autoIncrement: true,
+    allowNull: false,
+    type: DataTypes.INTEGER
+  },
+  productId: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  categoryId: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  }
+});
+
+module.exports = { ProductCategory };
@@ -0,0 +1,70 @@
+const { database } = require("../database/database");
+
+const { DataTypes } = require("sequelize");
+
+// Import Utils
+const { getStorage } = require("../utils/storage");
+
+const ProductImage = database.define("productImage", {
+  id: {
+    primaryKey: true,
+    type: DataTypes.INTEGER,
+    unique: true,
+    autoIncrement: true,
+    allowNull: false
+  },
+  productId: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  // The storage keys of the original image and of its thumbnail
+  key: {
+    type: DataTypes.STRING(255),
+    allowNull: false
+  },
+  thumbnailKey: {
+    type: DataTypes.STRING(255),
+    allowNull: false
+  },
+  mimeType: {
+    type: DataTypes.STRING(30),
+    allowNull: false
+  },
+  size: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  width: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  height: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  position: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  isPrimary: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false
+  },
+  url: {
+    type: DataTypes.VIRTUAL,
+    get() {
+      return this.key ? getStorage().url(this.key) : undefined;
+    }
+  },
+  thumbnailUrl: {
+    type: DataTypes.VIRTUAL,
+    get() {
+      return this.thumbnailKey
+        ? getStorage().url(this.thumbnailKey)
+        : undefined;
+    }
+  }
+});
+
+module.exports = { ProductImage };
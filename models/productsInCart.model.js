@@ -21,6 +21,16 @@ const ProductInCart = database.define("productInCart", {
     type: DataTypes.INTEGER,
     allowNull: false
   },
+  // The stock held for the cart until reservedUntil (CART_RESERVATION_MINUTES)
+  reservedQuantity: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  reservedUntil: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
   status: {
     type: DataTypes.STRING(10),
     allowNull: false,
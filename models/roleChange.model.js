@@ -0,0 +1,32 @@
+const { database } = require("../database/database");
+
+const { DataTypes } = require("sequelize");
+
+// Audit of every role change, which admin made it and when (createdAt)
+const RoleChange = database.define("roleChange", {
+  id: {
+    primaryKey: true,
+    type: DataTypes.INTEGER,
+    unique: true,
+    autoIncrement: true,
+    allowNull: false
+  },
+  userId: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  adminId: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  fromRole: {
+    type: DataTypes.STRING(30),
+    allowNull: false
+  },
+  toRole: {
+    type: DataTypes.STRING(30),
+    allowNull: false
+  }
+});
+
+module.exports = { RoleChange };
@@ -0,0 +1,22 @@
+const { database } = require("../database/database");
+
+const { DataTypes } = require("sequelize");
+
+const RolePermission = database.define("rolePermission", {
+  id: {
+    primaryKey: true,
+    autoIncrement: true,
+    allowNull: false,
+    type: DataTypes.INTEGER
+  },
+  roleId: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  permissionId: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  }
+});
+
+module.exports = { RolePermission };
@@ -0,0 +1,46 @@
+const { database } = require("../database/database");
+
+const { DataTypes } = require("sequelize");
+
+// Ledger of every stock change, the last balance must match quantityAvailable
+const StockMovement = database.define("stockMovement", {
+  id: {
+    primaryKey: true,
+    type: DataTypes.INTEGER,
+    unique: true,
+    autoIncrement: true,
+    allowNull: false
+  },
+  productId: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  // initial, receipt, adjustment, sale, restock, expiry or reconciliation
+  type: {
+    type: DataTypes.STRING(20),
+    allowNull: false
+  },
+  delta: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  balance: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  // null when the system made the change, e.g. an expired lot
+  userId: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+  orderId: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+  reason: {
+    type: DataTypes.STRING(255),
+    allowNull: true
+  }
+});
+
+module.exports = { StockMovement };
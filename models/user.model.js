@@ -30,8 +30,12 @@ const User = database.define("user", {
     allowNull: false,
     unique: true
   },
+  passwordChangedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
   role: {
-    type: DataTypes.STRING(10),
+    type: DataTypes.STRING(30),
     allowNull: false,
     defaultValue: "client"
   },
@@ -0,0 +1,54 @@
+// Importing the required modules
+const express = require("express");
+const router = express.Router();
+
+// Import Controllers
+const {
+  getAllUsers,
+  getUserById,
+  changeUserRole,
+  deactivateUser,
+  reactivateUser,
+  forceLogout
+} = require("../controllers/adminUser.controller");
+
+// Import Middlewares
+const {
+  changeUserRoleValidators,
+  validationResults
+} = require("../middlewares/validators.middleware");
+const {
+  validateSession,
+  requirePermission
+} = require("../middlewares/auth.middleware");
+
+// Routes
+router.use(validateSession);
+
+router.get("/", requirePermission("users:read"), getAllUsers);
+
+router.get("/:id", requirePermission("users:read"), getUserById);
+
+router.patch(
+  "/:id/role",
+  requirePermission("users:manage"),
+  changeUserRoleValidators,
+  validationResults,
+  changeUserRole
+);
+
+router.patch(
+  "/:id/deactivate",
+  requirePermission("users:manage"),
+  deactivateUser
+);
+
+router.patch(
+  "/:id/reactivate",
+  requirePermission("users:manage"),
+  reactivateUser
+);
+
+router.post("/:id/logout", requirePermission("users:manage"), forceLogout);
+
+module.exports = { adminUserRouter: router };
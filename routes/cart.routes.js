@@ -5,35 +5,58 @@ const router = express.Router();
 // Import Controllers
 const {
   getUserCart,
+  updateCart,
   addProductToCart,
   updateCartProduct,
   removeProductFromCart,
-  purchaseCart
+  purchaseCart,
+  applyCoupon,
+  removeCoupon
 } = require("../controllers/cart.controllers");
 
 // Import Middlewares
 const {
   addProductToCartValidation,
+  updateCartValidators,
+  applyCouponValidators,
   validationResults
 } = require("../middlewares/validators.middleware");
-const { validateSession } = require("../middlewares/auth.middleware");
-
-// Routes
-router.use(validateSession);
+const {
+  validateSession,
+  identifyCart
+} = require("../middlewares/auth.middleware");
+const { idempotency } = require("../middlewares/idempotency.middleware");
 
-router.get("/", getUserCart);
+// Routes, the guests can fill a cart but must log in to use a coupon or buy
+router
+  .route("/")
+  .get(identifyCart, getUserCart)
+  .put(identifyCart, updateCartValidators, validationResults, updateCart);
 
 router.post(
   "/add-product",
+  identifyCart,
+  idempotency,
   addProductToCartValidation,
   validationResults,
   addProductToCart
 );
 
-router.patch("/update-product", updateCartProduct);
+router.patch("/update-product", identifyCart, updateCartProduct);
+
+router
+  .route("/coupon")
+  .post(
+    validateSession,
+    idempotency,
+    applyCouponValidators,
+    validationResults,
+    applyCoupon
+  )
+  .delete(validateSession, removeCoupon);
 
-router.delete("/:productId", removeProductFromCart);
+router.delete("/:productId", identifyCart, removeProductFromCart);
 
-router.post("/purchase", purchaseCart);
+router.post("/purchase", validateSession, idempotency, purchaseCart);
 
 module.exports = { cartRouter: router };
@@ -0,0 +1,25 @@
+// Importing the required modules
+const express = require("express");
+const router = express.Router();
+
+// Import Controllers
+const {
+  getCatalog,
+  searchCatalog,
+  suggestCatalog,
+  getCatalogProductById,
+  getCatalogCategories
+} = require("../controllers/catalog.controller");
+
+// Routes
+router.get("/", getCatalog);
+
+router.get("/search", searchCatalog);
+
+router.get("/search/suggest", suggestCatalog);
+
+router.get("/categories", getCatalogCategories);
+
+router.get("/:id", getCatalogProductById);
+
+module.exports = { catalogRouter: router };
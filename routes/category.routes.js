@@ -0,0 +1,52 @@
+// Importing the required modules
+const express = require("express");
+const router = express.Router();
+
+// Import Controllers
+const {
+  getAllCategories,
+  getCategoryById,
+  createCategory,
+  updateCategory,
+  deleteCategory
+} = require("../controllers/category.controller");
+
+// Import Middlewares
+const {
+  createCategoryValidators,
+  updateCategoryValidators,
+  validationResults
+} = require("../middlewares/validators.middleware");
+const {
+  validateSession,
+  requirePermission
+} = require("../middlewares/auth.middleware");
+const { idempotency } = require("../middlewares/idempotency.middleware");
+
+// Routes
+router.use(validateSession);
+
+router.use(idempotency);
+
+router
+  .route("/")
+  .get(requirePermission("products:read"), getAllCategories)
+  .post(
+    requirePermission("products:write"),
+    createCategoryValidators,
+    validationResults,
+    createCategory
+  );
+
+router
+  .route("/:id")
+  .get(requirePermission("products:read"), getCategoryById)
+  .patch(
+    requirePermission("products:write"),
+    updateCategoryValidators,
+    validationResults,
+    updateCategory
+  )
+  .delete(requirePermission("products:write"), deleteCategory);
+
+module.exports = { categoryRouter: router };
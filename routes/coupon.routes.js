@@ -0,0 +1,52 @@
+// Importing the required modules
+const express = require("express");
+const router = express.Router();
+
+// Import Controllers
+const {
+  getAllCoupons,
+  getCouponById,
+  createCoupon,
+  updateCoupon,
+  deleteCoupon
+} = require("../controllers/coupon.controller");
+
+// Import Middlewares
+const {
+  createCouponValidators,
+  updateCouponValidators,
+  validationResults
+} = require("../middlewares/validators.middleware");
+const {
+  validateSession,
+  requirePermission
+} = require("../middlewares/auth.middleware");
+const { idempotency } = require("../middlewares/idempotency.middleware");
+
+// Routes
+router.use(validateSession);
+
+router.use(idempotency);
+
+router
+  .route("/")
+  .get(requirePermission("products:read"), getAllCoupons)
+  .post(
+    requirePermission("products:write"),
+    createCouponValidators,
+    validationResults,
+    createCoupon
+  );
+
+router
+  .route("/:id")
+  .get(requirePermission("products:read"), getCouponById)
+  .patch(
+    requirePermission("products:write"),
+    updateCouponValidators,
+    validationResults,
+    updateCoupon
+  )
+  .delete(requirePermission("products:write"), deleteCoupon);
+
+module.exports = { couponRouter: router };
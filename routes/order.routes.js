@@ -7,13 +7,21 @@ const {
   getAllOwnOrders,
   getOwnOrderById,
   getAllOrders,
-  getOrderById
+  getOrderById,
+  updateOrderStatus,
+  cancelOwnOrder,
+  cancelOrder
 } = require("../controllers/order.controllers");
 
 // Import Middlewares
+const {
+  updateOrderStatusValidators,
+  cancelOrderValidators,
+  validationResults
+} = require("../middlewares/validators.middleware");
 const {
   validateSession,
-  protectAdmin
+  requirePermission
 } = require("../middlewares/auth.middleware");
 
 // Routes
@@ -23,10 +31,31 @@ router.get("/get-all-own-orders", getAllOwnOrders);
 
 router.get("/get-all-own-orders/:id", getOwnOrderById);
 
-router.use(protectAdmin);
-
-router.get("/", getAllOrders);
-
-router.get("/:id", getOrderById);
+router.patch(
+  "/get-all-own-orders/:id/cancel",
+  cancelOrderValidators,
+  validationResults,
+  cancelOwnOrder
+);
+
+router.get("/", requirePermission("orders:read:any"), getAllOrders);
+
+router.get("/:id", requirePermission("orders:read:any"), getOrderById);
+
+router.patch(
+  "/:id/status",
+  requirePermission("orders:update:any"),
+  updateOrderStatusValidators,
+  validationResults,
+  updateOrderStatus
+);
+
+router.patch(
+  "/:id/cancel",
+  requirePermission("orders:update:any"),
+  cancelOrderValidators,
+  validationResults,
+  cancelOrder
+);
 
 module.exports = { orderRouter: router };
@@ -8,37 +8,160 @@ const {
   getAllProducts,
   productById,
   deleteUser,
-  updateProduct
+  updateProduct,
+  getStockMovements,
+  getStockReconciliation,
+  reconcileProductStock,
+  setProductCategories
 } = require("../controllers/product.controller");
+const {
+  getProductLots,
+  receiveLot,
+  adjustLot,
+  getExpiringLots
+} = require("../controllers/lot.controller");
+const {
+  getProductImages,
+  uploadProductImages,
+  updateProductImage,
+  deleteProductImage
+} = require("../controllers/productImage.controller");
+const {
+  importProducts,
+  exportProducts
+} = require("../controllers/inventory.controller");
 
 // Import Middlewares
 const {
   createProductValidators,
+  updateProductValidators,
+  reconcileStockValidators,
+  receiveLotValidators,
+  adjustLotValidators,
+  setProductCategoriesValidators,
+  updateProductImageValidators,
   validationResults
 } = require("../middlewares/validators.middleware");
 const {
   validateSession,
-  protectAdmin
+  requirePermission
 } = require("../middlewares/auth.middleware");
+const { idempotency } = require("../middlewares/idempotency.middleware");
+const {
+  parseProductImages,
+  parseImportFile
+} = require("../middlewares/upload.middleware");
 
-// Routes
+// Routes, the POSTs run idempotency after their body parsers so the uploaded
+// files are part of the Idempotency-Key payload
 router.use(validateSession);
 
-router.use(protectAdmin);
+router.get("/", requirePermission("products:read"), getAllProducts);
 
-router.get("/", getAllProducts);
+router.post(
+  "/import",
+  requirePermission("products:write"),
+  express.text({ type: "text/csv", limit: "5mb" }),
+  parseImportFile,
+  idempotency,
+  importProducts
+);
+
+router.get("/export", requirePermission("products:read"), exportProducts);
+
+router.get(
+  "/lots/expiring",
+  requirePermission("products:read"),
+  getExpiringLots
+);
 
 router.post(
   "/create-product",
+  requirePermission("products:write"),
+  idempotency,
   createProductValidators,
   validationResults,
   createProduct
 );
 
-router.patch("/update-product/:id", updateProduct);
+router.patch(
+  "/update-product/:id",
+  requirePermission("products:write"),
+  updateProductValidators,
+  validationResults,
+  updateProduct
+);
+
+router.delete(
+  "/delete-product/:id",
+  requirePermission("products:write"),
+  deleteUser
+);
+
+router.get(
+  "/:id/stock-movements",
+  requirePermission("products:read"),
+  getStockMovements
+);
+
+router
+  .route("/:id/stock-reconciliation")
+  .get(requirePermission("products:read"), getStockReconciliation)
+  .post(
+    requirePermission("products:write"),
+    idempotency,
+    reconcileStockValidators,
+    validationResults,
+    reconcileProductStock
+  );
+
+router
+  .route("/:id/lots")
+  .get(requirePermission("products:read"), getProductLots)
+  .post(
+    requirePermission("products:write"),
+    idempotency,
+    receiveLotValidators,
+    validationResults,
+    receiveLot
+  );
+
+router.patch(
+  "/:id/lots/:lotId",
+  requirePermission("products:write"),
+  adjustLotValidators,
+  validationResults,
+  adjustLot
+);
+
+router.put(
+  "/:id/categories",
+  requirePermission("products:write"),
+  setProductCategoriesValidators,
+  validationResults,
+  setProductCategories
+);
+
+router
+  .route("/:id/images")
+  .get(requirePermission("products:read"), getProductImages)
+  .post(
+    requirePermission("products:write"),
+    parseProductImages,
+    idempotency,
+    uploadProductImages
+  );
 
-router.delete("/delete-product/:id", deleteUser);
+router
+  .route("/:id/images/:imageId")
+  .patch(
+    requirePermission("products:write"),
+    updateProductImageValidators,
+    validationResults,
+    updateProductImage
+  )
+  .delete(requirePermission("products:write"), deleteProductImage);
 
-router.route("/:id").get(productById);
+router.route("/:id").get(requirePermission("products:read"), productById);
 
 module.exports = { productRouter: router };
@@ -0,0 +1,44 @@
+// Importing the required modules
+const express = require("express");
+const router = express.Router();
+
+// Import Controllers
+const {
+  getAllRoles,
+  getAllPermissions,
+  createRole,
+  updateRole,
+  deleteRole
+} = require("../controllers/role.controller");
+
+// Import Middlewares
+const {
+  createRoleValidators,
+  updateRoleValidators,
+  validationResults
+} = require("../middlewares/validators.middleware");
+const {
+  validateSession,
+  requirePermission
+} = require("../middlewares/auth.middleware");
+const { idempotency } = require("../middlewares/idempotency.middleware");
+
+// Routes
+router.use(validateSession);
+
+router.use(idempotency);
+
+router.use(requirePermission("roles:manage"));
+
+router.get("/", getAllRoles);
+
+router.get("/permissions", getAllPermissions);
+
+router.post("/", createRoleValidators, validationResults, createRole);
+
+router
+  .route("/:id")
+  .patch(updateRoleValidators, validationResults, updateRole)
+  .delete(deleteRole);
+
+module.exports = { roleRouter: router };
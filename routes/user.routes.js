@@ -6,6 +6,12 @@ const router = express.Router();
 const {
   createNewUser,
   loginUser,
+  refreshToken,
+  logout,
+  logoutAll,
+  changePassword,
+  forgotPassword,
+  resetPassword,
   getAllUsers,
   getUserById,
   updateUser,
@@ -15,6 +21,9 @@ const {
 // Import Middlewares
 const {
   createUserValidators,
+  changePasswordValidators,
+  forgotPasswordValidators,
+  resetPasswordValidators,
   validationResults
 } = require("../middlewares/validators.middleware");
 const {
@@ -27,8 +36,35 @@ router.post("/signup", createUserValidators, validationResults, createNewUser);
 
 router.post("/login", loginUser);
 
+router.post("/refresh-token", refreshToken);
+
+router.post(
+  "/forgot-password",
+  forgotPasswordValidators,
+  validationResults,
+  forgotPassword
+);
+
+router.post(
+  "/reset-password",
+  resetPasswordValidators,
+  validationResults,
+  resetPassword
+);
+
 router.use(validateSession);
 
+router.post("/logout", logout);
+
+router.post("/logout-all", logoutAll);
+
+router.patch(
+  "/change-password",
+  changePasswordValidators,
+  validationResults,
+  changePassword
+);
+
 router.get("/", getAllUsers);
 
 router
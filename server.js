@@ -6,6 +6,18 @@ const { database } = require("./database/database");
 
 const { initModels } = require("./database/initModels");
 
+const { migrator, seeder } = require("./database/migrator");
+
+const { isInMemory } = require("./utils/dialect");
+
+const { seedRoles } = require("./utils/permissions");
+
+const { expireLots } = require("./utils/lots");
+
+const { releaseExpiredReservations } = require("./utils/reservations");
+
+const { deleteExpiredKeys } = require("./utils/idempotency");
+
 dotenv.config({ path: "./config.env" });
 
 database
@@ -15,13 +27,73 @@ database
 
 initModels();
 
-database
-  .sync()
-  .then(() => console.log("Database is synced"))
-  .catch((err) => console.log(err));
-
 const PORT = process.env.PORT || 4000;
 
-app.listen(PORT, () => {
-  console.log(`Express app is running on PORT: ${PORT}`);
-});
+// Takes the stock of the expired lots out of the products
+const LOT_EXPIRY_INTERVAL =
+  (+process.env.LOT_EXPIRY_INTERVAL_MINUTES || 60) * 60 * 1000;
+
+const sweepExpiredLots = () => {
+  expireLots()
+    .then((expired) => {
+      if (expired > 0) console.log(`${expired} lots expired`);
+    })
+    .catch((err) => console.log(err));
+};
+
+// Frees the cart reservations past their TTL
+const RESERVATION_SWEEP_INTERVAL =
+  (+process.env.RESERVATION_SWEEP_INTERVAL_MINUTES || 1) * 60 * 1000;
+
+const sweepExpiredReservations = () => {
+  releaseExpiredReservations()
+    .then((released) => {
+      if (released > 0) console.log(`${released} cart reservations released`);
+    })
+    .catch((err) => console.log(err));
+};
+
+// Forgets the expired Idempotency-Keys
+const IDEMPOTENCY_SWEEP_INTERVAL = 60 * 60 * 1000;
+
+const sweepExpiredIdempotencyKeys = () => {
+  deleteExpiredKeys().catch((err) => console.log(err));
+};
+
+// The schema is only changed by the migrations (npm run migrate), an
+// in-memory database is migrated and seeded on every start because it starts
+// empty
+(isInMemory() ? migrator.up().then(() => seeder.up()) : Promise.resolve())
+  .then(() => migrator.pending())
+  .then((pending) => {
+    if (pending.length > 0) {
+      console.log(
+        `There are ${pending.length} pending migrations, run npm run migrate before starting the server`
+      );
+      process.exit(1);
+    }
+
+    // The permissions checks need the roles, they are created on every start
+    // so a migrated database works before it's seeded
+    return seedRoles();
+  })
+  .then(() => {
+    app.listen(PORT, () => {
+      console.log(`Express app is running on PORT: ${PORT}`);
+    });
+
+    sweepExpiredLots();
+    setInterval(sweepExpiredLots, LOT_EXPIRY_INTERVAL).unref();
+
+    sweepExpiredReservations();
+    setInterval(sweepExpiredReservations, RESERVATION_SWEEP_INTERVAL).unref();
+
+    setInterval(
+      sweepExpiredIdempotencyKeys,
+      IDEMPOTENCY_SWEEP_INTERVAL
+    ).unref();
+  })
+  .catch((err) => {
+    console.log(err);
+    process.exit(1);
+  });
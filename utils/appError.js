@@ -3,12 +3,27 @@
     AppError === err
 */
 
+// Default machine-readable codes, an error can send a more specific one
+const defaultCodes = {
+  400: "BAD_REQUEST",
+  401: "UNAUTHORIZED",
+  403: "FORBIDDEN",
+  404: "NOT_FOUND",
+  409: "CONFLICT",
+  422: "UNPROCESSABLE_ENTITY",
+  429: "TOO_MANY_REQUESTS",
+  500: "INTERNAL_ERROR"
+};
+
 class AppError extends Error {
-  constructor(statusCode, message) {
+  constructor(statusCode, message, { code, details } = {}) {
     super();
     this.statusCode = statusCode;
     this.message = message;
     this.status = `${statusCode}`.startsWith("4") ? "error" : "fail";
+    this.code = code || defaultCodes[statusCode] || "ERROR";
+    this.details = details;
+    this.isOperational = true;
     Error.captureStackTrace(this, this.constructor);
   }
 }
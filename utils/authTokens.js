@@ -0,0 +1,97 @@
+// Importing the required modules
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const dotenv = require("dotenv");
+
+// Import Models
+const { Session } = require("../models/session.model");
+
+dotenv.config({ path: "./config.env" });
+
+const ACCESS_TOKEN_EXPIRES_IN = process.env.JWT_EXPIRES_IN || "15m";
+const REFRESH_TOKEN_EXPIRES_DAYS = +process.env.REFRESH_TOKEN_EXPIRES_DAYS || 7;
+const CART_TOKEN_EXPIRES_IN = process.env.CART_TOKEN_EXPIRES_IN || "30d";
+
+const hashToken = (token) => {
+  return crypto.createHash("sha256").update(token).digest("hex");
+};
+
+const refreshTokenExpiry = () => {
+  return new Date(
+    Date.now() + REFRESH_TOKEN_EXPIRES_DAYS * 24 * 60 * 60 * 1000
+  );
+};
+
+const signAccessToken = (user, session) => {
+  return jwt.sign({ id: user.id, sid: session.id }, process.env.JWT_SECRET, {
+    expiresIn: ACCESS_TOKEN_EXPIRES_IN
+  });
+};
+
+// Opens a new session and returns its access and refresh tokens
+const createSession = async (user, userAgent) => {
+  const refreshToken = crypto.randomBytes(48).toString("hex");
+
+  const session = await Session.create({
+    userId: user.id,
+    refreshToken: hashToken(refreshToken),
+    expiresAt: refreshTokenExpiry(),
+    userAgent: userAgent ? userAgent.slice(0, 255) : null
+  });
+
+  return { token: signAccessToken(user, session), refreshToken };
+};
+
+// Replaces the refresh token of the session, the old one stops working
+const rotateSession = async (user, session) => {
+  const refreshToken = crypto.randomBytes(48).toString("hex");
+
+  await session.update({
+    refreshToken: hashToken(refreshToken),
+    expiresAt: refreshTokenExpiry()
+  });
+
+  return { token: signAccessToken(user, session), refreshToken };
+};
+
+// Logs the user out of every device
+const revokeUserSessions = (userId, options = {}) => {
+  return Session.update(
+    { status: "revoked" },
+    { where: { userId, status: "active" }, ...options }
+  );
+};
+
+// The cart tokens are signed with their own key, so they can't be used as
+// access tokens nor the other way around
+const cartTokenSecret = () => {
+  return crypto
+    .createHmac("sha256", process.env.JWT_SECRET)
+    .update("cart-token")
+    .digest("hex");
+};
+
+// Identifies the cart of a guest, it has no session
+const signCartToken = (cart) => {
+  return jwt.sign({ cartId: cart.id }, cartTokenSecret(), {
+    expiresIn: CART_TOKEN_EXPIRES_IN
+  });
+};
+
+// Returns the cart id, or null when the token is invalid or expired
+const verifyCartToken = (token) => {
+  try {
+    return jwt.verify(token, cartTokenSecret()).cartId || null;
+  } catch (err) {
+    return null;
+  }
+};
+
+module.exports = {
+  hashToken,
+  createSession,
+  rotateSession,
+  revokeUserSessions,
+  signCartToken,
+  verifyCartToken
+};
@@ -0,0 +1,121 @@
+// Import Models
+const { Category } = require("../models/category.model");
+
+// Import Utils
+const { AppError } = require("./appError");
+
+// Includes the active categories of the products
+const categoriesInclude = {
+  model: Category,
+  attributes: ["id", "name", "slug"],
+  through: { attributes: [] },
+  where: { status: "active" },
+  required: false
+};
+
+// "Audio y Vídeo" -> "audio-y-video"
+const slugify = (name) => {
+  return `${name}`
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-|-$/g, "");
+};
+
+// The taxonomy is small, so it's loaded whole and walked in memory
+const loadCategories = async (options = {}) => {
+  const categories = await Category.findAll({
+    where: { status: "active" },
+    attributes: ["id", "name", "slug", "parentId"],
+    order: [
+      ["name", "ASC"],
+      ["id", "ASC"]
+    ],
+    ...options
+  });
+
+  return new Map(categories.map((el) => [el.id, el.toJSON()]));
+};
+
+// Finds an active category by id or slug
+const resolveCategory = (categories, idOrSlug) => {
+  const category = [...categories.values()].find(
+    (el) => `${el.id}` === `${idOrSlug}` || el.slug === `${idOrSlug}`
+  );
+
+  if (!category) {
+    throw new AppError(404, "No category found");
+  }
+
+  return category;
+};
+
+// The ids of the category and all its subcategories
+const descendantIds = (categories, categoryId) => {
+  const ids = [categoryId];
+
+  for (let i = 0; i < ids.length; i++) {
+    categories.forEach((el) => {
+      if (el.parentId === ids[i]) ids.push(el.id);
+    });
+  }
+
+  return ids;
+};
+
+// The path from the top level category down to the category
+const breadcrumb = (categories, categoryId) => {
+  const path = [];
+  let category = categories.get(categoryId);
+
+  while (category && path.length <= categories.size) {
+    path.unshift({ id: category.id, name: category.name, slug: category.slug });
+    category = categories.get(category.parentId);
+  }
+
+  return path;
+};
+
+// The active categories nested under their parents
+const categoryTree = (categories) => {
+  const nodes = new Map();
+
+  categories.forEach((el) => nodes.set(el.id, { ...el, children: [] }));
+
+  const roots = [];
+
+  nodes.forEach((node) => {
+    const parent = nodes.get(node.parentId);
+
+    if (parent) parent.children.push(node);
+    else roots.push(node);
+  });
+
+  return roots;
+};
+
+// Adds the breadcrumb of each category of the product
+const withBreadcrumbs = (product, categories) => {
+  const data = product.toJSON();
+
+  data.categories = (data.categories || []).map((category) => ({
+    id: category.id,
+    name: category.name,
+    slug: category.slug,
+    breadcrumb: breadcrumb(categories, category.id)
+  }));
+
+  return data;
+};
+
+module.exports = {
+  categoriesInclude,
+  slugify,
+  loadCategories,
+  resolveCategory,
+  descendantIds,
+  breadcrumb,
+  categoryTree,
+  withBreadcrumbs
+};
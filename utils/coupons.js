@@ -0,0 +1,201 @@
+// Importing the required modules
+const { Op, col, literal } = require("sequelize");
+
+// Import Models
+const { Coupon } = require("../models/coupon.model");
+const { CouponRedemption } = require("../models/couponRedemption.model");
+const { ProductCategory } = require("../models/productCategory.model");
+
+// Import Utils
+const { AppError } = require("./appError");
+const { loadCategories, descendantIds } = require("./categories");
+const { Money } = require("./money");
+
+const normalizeCode = (code) => `${code}`.trim().toUpperCase();
+
+// The codes are case insensitive, only the active coupons are found
+const findCoupon = async (where, options = {}) => {
+  const coupon = await Coupon.findOne({
+    where: { ...where, status: "active" },
+    ...options
+  });
+
+  if (!coupon) {
+    throw new AppError(404, "The coupon doesn't exist", {
+      code: "COUPON_NOT_FOUND"
+    });
+  }
+
+  return coupon;
+};
+
+const findCouponByCode = (code, options) => {
+  return findCoupon({ code: normalizeCode(code) }, options);
+};
+
+// The ids of the products the coupon applies to, a coupon without
+// restrictions applies to every product
+const eligibleProductIds = async (coupon, productIds, { transaction }) => {
+  const [products, categories] = await Promise.all([
+    coupon.getProducts({ attributes: ["id"], transaction }),
+    coupon.getCategories({ attributes: ["id"], transaction })
+  ]);
+
+  if (products.length === 0 && categories.length === 0) {
+    return productIds;
+  }
+
+  const eligible = new Set(products.map((el) => el.id));
+
+  if (categories.length > 0) {
+    const allCategories = await loadCategories({ transaction });
+    const categoryIds = categories.flatMap((el) =>
+      descendantIds(allCategories, el.id)
+    );
+
+    const productCategories = await ProductCategory.findAll({
+      where: { categoryId: categoryIds, productId: productIds },
+      attributes: ["productId"],
+      transaction
+    });
+
+    productCategories.forEach((el) => eligible.add(el.productId));
+  }
+
+  return productIds.filter((id) => eligible.has(id));
+};
+
+const couponError = (message, code) => new AppError(409, message, { code });
+
+// Checks the coupon for the user and the cart lines ({ productId, lineTotal })
+// and returns the discount, throws if the coupon can't be used
+const couponDiscount = async (coupon, lines, { userId, transaction }) => {
+  const now = new Date();
+  const subtotal = Money.sum(lines.map((line) => line.lineTotal));
+
+  if (coupon.startsAt && now < coupon.startsAt) {
+    throw couponError("The coupon is not valid yet", "COUPON_NOT_STARTED");
+  }
+
+  if (coupon.endsAt && now > coupon.endsAt) {
+    throw couponError("The coupon has expired", "COUPON_EXPIRED");
+  }
+
+  if (coupon.maxUses !== null && coupon.timesUsed >= coupon.maxUses) {
+    throw couponError(
+      "The coupon has reached its usage limit",
+      "COUPON_USAGE_LIMIT"
+    );
+  }
+
+  if (coupon.maxUsesPerUser !== null) {
+    const used = await CouponRedemption.count({
+      where: { couponId: coupon.id, userId, status: "active" },
+      transaction
+    });
+
+    if (used >= coupon.maxUsesPerUser) {
+      throw couponError(
+        "You have already used this coupon the maximum number of times",
+        "COUPON_USER_LIMIT"
+      );
+    }
+  }
+
+  if (subtotal.lessThan(coupon.minCartValue)) {
+    throw couponError(
+      `The cart must be worth at least ${coupon.minCartValue.format()} to use this coupon`,
+      "COUPON_MIN_CART_VALUE"
+    );
+  }
+
+  const eligibleIds = await eligibleProductIds(
+    coupon,
+    lines.map((line) => line.productId),
+    { transaction }
+  );
+
+  const eligibleSubtotal = Money.sum(
+    lines
+      .filter((line) => eligibleIds.includes(line.productId))
+      .map((line) => line.lineTotal)
+  );
+
+  if (eligibleSubtotal.isZero()) {
+    throw couponError(
+      "The coupon doesn't apply to any product in the cart",
+      "COUPON_NOT_APPLICABLE"
+    );
+  }
+
+  // The discount is rounded down and never goes over the eligible products
+  const discount =
+    coupon.type === "percentage"
+      ? eligibleSubtotal.percent(coupon.value, "floor")
+      : coupon.value.min(eligibleSubtotal);
+
+  return { subtotal, discount, eligibleProductIds: eligibleIds };
+};
+
+// Counts the use of the coupon for the order, must run inside the checkout
+// transaction with the coupon row locked. The update only goes through while
+// the coupon is under its limit, so the limit holds even without the lock
+const redeemCoupon = async (coupon, order, { transaction }) => {
+  const timesUsed = Coupon.sequelize
+    .getQueryInterface()
+    .quoteIdentifier("timesUsed");
+
+  const [updated] = await Coupon.update(
+    { timesUsed: literal(`${timesUsed} + 1`) },
+    {
+      where: {
+        id: coupon.id,
+        [Op.or]: [{ maxUses: null }, { maxUses: { [Op.gt]: col("timesUsed") } }]
+      },
+      transaction
+    }
+  );
+
+  if (updated === 0) {
+    throw couponError(
+      "The coupon has reached its usage limit",
+      "COUPON_USAGE_LIMIT"
+    );
+  }
+
+  await CouponRedemption.create(
+    {
+      couponId: coupon.id,
+      userId: order.userId,
+      orderId: order.id,
+      discount: order.discount
+    },
+    { transaction }
+  );
+};
+
+// Gives the use back when the order is cancelled
+const releaseCoupon = async (order, { transaction }) => {
+  const redemption = await CouponRedemption.findOne({
+    where: { orderId: order.id, status: "active" },
+    transaction
+  });
+
+  if (!redemption) return;
+
+  await redemption.update({ status: "cancelled" }, { transaction });
+
+  await Coupon.decrement("timesUsed", {
+    where: { id: redemption.couponId, timesUsed: { [Op.gt]: 0 } },
+    transaction
+  });
+};
+
+module.exports = {
+  normalizeCode,
+  findCoupon,
+  findCouponByCode,
+  couponDiscount,
+  redeemCoupon,
+  releaseCoupon
+};
@@ -0,0 +1,15 @@
+// Import Database
+const { database } = require("../database/database");
+
+const isPostgres = () => database.getDialect() === "postgres";
+
+// An in-memory SQLite database starts empty every time
+const isInMemory = () => {
+  const { storage } = database.options;
+
+  return (
+    database.getDialect() === "sqlite" && (!storage || storage === ":memory:")
+  );
+};
+
+module.exports = { isPostgres, isInMemory };
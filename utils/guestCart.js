@@ -0,0 +1,123 @@
+// Import Database
+const { database } = require("../database/database");
+
+// Import Models
+const { Cart } = require("../models/cart.model");
+const { Product } = require("../models/product.model");
+const { ProductInCart } = require("../models/productsInCart.model");
+
+// Import Utils
+const { verifyCartToken } = require("./authTokens");
+const {
+  reservationFor,
+  reservedQuantities,
+  availability
+} = require("./reservations");
+
+// Moves the lines of the guest cart into the active cart of the user. When
+// both carts have the same product the quantities are added, and every line
+// is capped at the stock no other cart is holding. Returns the adjustments
+// made, or null when there is no guest cart to merge
+const mergeGuestCart = async (user, cartToken) => {
+  const cartId = cartToken ? verifyCartToken(cartToken) : null;
+
+  if (!cartId) return null;
+
+  return await database.transaction(async (transaction) => {
+    const guestCart = await Cart.findOne({
+      where: { id: cartId, userId: null, status: "active" },
+      lock: transaction.LOCK.UPDATE,
+      transaction
+    });
+
+    if (!guestCart) return null;
+
+    const cart =
+      (await Cart.findOne({
+        where: { status: "active", userId: user.id },
+        lock: transaction.LOCK.UPDATE,
+        transaction
+      })) || (await Cart.create({ userId: user.id }, { transaction }));
+
+    const guestLines = await ProductInCart.findAll({
+      where: { cartId: guestCart.id, status: "active" },
+      transaction
+    });
+
+    const productIds = guestLines.map((el) => el.productId);
+
+    const lines = await ProductInCart.findAll({
+      where: { cartId: cart.id, productId: productIds },
+      transaction
+    });
+
+    // The rows are locked in id order, the same as the checkout does
+    const products = await Product.findAll({
+      where: { id: productIds },
+      order: [["id", "ASC"]],
+      lock: transaction.LOCK.UPDATE,
+      transaction
+    });
+
+    const reserved = await reservedQuantities(productIds, {
+      exceptCartId: [cart.id, guestCart.id],
+      transaction
+    });
+
+    const adjustments = [];
+
+    for (const guestLine of guestLines) {
+      const product = products.find((el) => el.id === guestLine.productId);
+      const line = lines.find((el) => el.productId === guestLine.productId);
+
+      const requested =
+        guestLine.quantity +
+        (line && line.status === "active" ? line.quantity : 0);
+      const { sellable } =
+        product && product.status === "active"
+          ? availability(product, reserved)
+          : { sellable: 0 };
+      const quantity = Math.min(requested, sellable);
+
+      if (quantity < requested) {
+        const name = product ? product.name : "The product";
+
+        adjustments.push({
+          productId: guestLine.productId,
+          requested,
+          quantity,
+          message:
+            quantity === 0
+              ? `${name} is no longer available`
+              : `${name} only has ${sellable} items (requested ${requested})`
+        });
+      }
+
+      const data = {
+        status: quantity > 0 ? "active" : "removed",
+        quantity,
+        ...reservationFor(quantity)
+      };
+
+      if (line) {
+        await line.update(data, { transaction });
+      } else if (quantity > 0) {
+        await ProductInCart.create(
+          { ...data, cartId: cart.id, productId: guestLine.productId },
+          { transaction }
+        );
+      }
+
+      await guestLine.update(
+        { status: "merged", quantity: 0, ...reservationFor(0) },
+        { transaction }
+      );
+    }
+
+    await guestCart.update({ status: "merged" }, { transaction });
+
+    return { cartId: cart.id, mergedProducts: guestLines.length, adjustments };
+  });
+};
+
+module.exports = { mergeGuestCart };
@@ -0,0 +1,73 @@
+// Importing the required modules
+const crypto = require("crypto");
+const { Op } = require("sequelize");
+
+// Import Models
+const { IdempotencyKey } = require("../models/idempotencyKey.model");
+
+// How long a key is remembered (IDEMPOTENCY_KEY_TTL_HOURS), after that it
+// can be used again
+const keyExpiry = () => {
+  const hours = +process.env.IDEMPOTENCY_KEY_TTL_HOURS || 24;
+
+  return new Date(Date.now() + hours * 60 * 60 * 1000);
+};
+
+// A key still processing after IDEMPOTENCY_LEASE_SECONDS (60 by default) was
+// left by a process that stopped before saving the response, it can be used
+// again
+const isLeaseExpired = (record) => {
+  const seconds = +process.env.IDEMPOTENCY_LEASE_SECONDS || 60;
+
+  return (
+    record.status === "processing" &&
+    record.createdAt <= new Date(Date.now() - seconds * 1000)
+  );
+};
+
+// The same payload gives the same hash whatever the order of its keys
+const canonical = (value) => {
+  if (Array.isArray(value)) return value.map(canonical);
+
+  if (value && typeof value === "object") {
+    return Object.keys(value)
+      .sort()
+      .reduce((acc, key) => ({ ...acc, [key]: canonical(value[key]) }), {});
+  }
+
+  return value;
+};
+
+const digest = (data) => crypto.createHash("sha256").update(data).digest("hex");
+
+// The uploaded files (multer) are part of the payload, the middleware must
+// run after the parsers of the route
+const requestFiles = (req) => {
+  const files = req.files || (req.file ? [req.file] : []);
+
+  return files.map((file) => [
+    file.fieldname,
+    file.originalname,
+    digest(file.buffer)
+  ]);
+};
+
+const requestHash = (req) => {
+  return digest(
+    JSON.stringify([
+      req.method,
+      req.originalUrl,
+      canonical(req.body || {}),
+      requestFiles(req)
+    ])
+  );
+};
+
+// Deletes the expired keys, it runs periodically from the server
+const deleteExpiredKeys = () => {
+  return IdempotencyKey.destroy({
+    where: { expiresAt: { [Op.lte]: new Date() } }
+  });
+};
+
+module.exports = { keyExpiry, isLeaseExpired, requestHash, deleteExpiredKeys };
@@ -0,0 +1,77 @@
+// Importing the required modules
+const crypto = require("crypto");
+const sharp = require("sharp");
+
+// Import Models
+const { ProductImage } = require("../models/productImage.model");
+
+// Import Utils
+const { AppError } = require("./appError");
+
+const imageMimeTypes = ["image/jpeg", "image/png", "image/webp"];
+
+// The format sharp reads from the content, the mime type comes from the client
+const imageFormats = {
+  jpeg: "image/jpeg",
+  png: "image/png",
+  webp: "image/webp"
+};
+
+const THUMBNAIL_SIZE = +process.env.IMAGE_THUMBNAIL_SIZE || 300;
+
+// Includes the image urls in the product responses
+const imagesInclude = {
+  model: ProductImage,
+  as: "images",
+  attributes: { exclude: ["createdAt", "updatedAt"] },
+  separate: true,
+  order: [
+    ["position", "ASC"],
+    ["id", "ASC"]
+  ]
+};
+
+// Checks the content of the upload and creates its thumbnail
+const processImage = async (file) => {
+  let metadata;
+
+  try {
+    metadata = await sharp(file.buffer).metadata();
+  } catch (err) {
+    metadata = {};
+  }
+
+  if (!imageFormats[metadata.format]) {
+    throw new AppError(400, `${file.originalname} is not a valid image`, {
+      code: "INVALID_IMAGE"
+    });
+  }
+
+  const thumbnail = await sharp(file.buffer)
+    .rotate()
+    .resize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, {
+      fit: "inside",
+      withoutEnlargement: true
+    })
+    .webp()
+    .toBuffer();
+
+  return {
+    buffer: file.buffer,
+    thumbnail,
+    mimeType: imageFormats[metadata.format],
+    extension: metadata.format === "jpeg" ? "jpg" : metadata.format,
+    size: file.size,
+    width: metadata.width,
+    height: metadata.height
+  };
+};
+
+// products/1/5b0c...e1.jpg and products/1/5b0c...e1-thumb.webp
+const imageKeys = (productId, extension) => {
+  const name = `products/${productId}/${crypto.randomUUID()}`;
+
+  return { key: `${name}.${extension}`, thumbnailKey: `${name}-thumb.webp` };
+};
+
+module.exports = { imageMimeTypes, imagesInclude, processImage, imageKeys };
@@ -0,0 +1,70 @@
+// Import Models
+const { Product } = require("../models/product.model");
+const { Lot } = require("../models/lot.model");
+
+// Import Utils
+const { moveStock } = require("./stockLedger");
+const { today, drawFromLots, addToLots, expireProductLots } = require("./lots");
+
+// Creates the product with its stock as the first lot and the first entry of
+// the ledger
+const createProductWithStock = async (
+  { batchNumber, name, price, quantityAvailable, entryDate, expiryDate, cost },
+  { userId, transaction }
+) => {
+  const product = await Product.create(
+    { batchNumber, name, price, quantityAvailable: 0, userId },
+    { transaction }
+  );
+
+  await Lot.create(
+    {
+      productId: product.id,
+      batchNumber,
+      entryDate: entryDate || today(),
+      expiryDate,
+      cost,
+      receivedQuantity: quantityAvailable,
+      quantity: quantityAvailable
+    },
+    { transaction }
+  );
+
+  await moveStock(product, +quantityAvailable, {
+    type: "initial",
+    userId,
+    transaction
+  });
+
+  return product;
+};
+
+// Sets the stock of the product as an adjustment. A decrease is taken from
+// the lots in the order they are sold, an increase goes to the newest lot.
+// It must run inside a transaction with the product row locked
+const adjustProductStock = async (
+  product,
+  quantityAvailable,
+  { userId, reason, transaction }
+) => {
+  await expireProductLots(product, { transaction });
+
+  const delta = quantityAvailable - product.quantityAvailable;
+
+  if (delta === 0) return null;
+
+  if (delta < 0) {
+    await drawFromLots(product, -delta, { transaction });
+  } else {
+    await addToLots(product, delta, { transaction });
+  }
+
+  return await moveStock(product, delta, {
+    type: "adjustment",
+    userId,
+    reason,
+    transaction
+  });
+};
+
+module.exports = { createProductWithStock, adjustProductStock };
@@ -0,0 +1,184 @@
+// Importing the required modules
+const { Op } = require("sequelize");
+
+// Import Database
+const { database } = require("../database/database");
+
+// Import Models
+const { Lot } = require("../models/lot.model");
+const { Product } = require("../models/product.model");
+
+// Import Utils
+const { AppError } = require("./appError");
+const { moveStock } = require("./stockLedger");
+
+// The dates of the lots are stored without time, YYYY-MM-DD
+const today = () => new Date().toISOString().slice(0, 10);
+
+// A lot can be sold until the end of its expiry date
+const isExpired = (lot) => {
+  return (
+    lot.status === "expired" || (!!lot.expiryDate && lot.expiryDate < today())
+  );
+};
+
+// fefo draws the lots that expire first, fifo the lots that entered first
+const allocationStrategy = () => {
+  return process.env.STOCK_ALLOCATION === "fifo" ? "fifo" : "fefo";
+};
+
+const compareLots = (a, b) => {
+  if (allocationStrategy() === "fefo" && a.expiryDate !== b.expiryDate) {
+    // The lots without expiry date go last
+    if (!a.expiryDate) return 1;
+    if (!b.expiryDate) return -1;
+
+    return a.expiryDate < b.expiryDate ? -1 : 1;
+  }
+
+  if (a.entryDate !== b.entryDate) {
+    return a.entryDate < b.entryDate ? -1 : 1;
+  }
+
+  return a.id - b.id;
+};
+
+// The lots of the product that can still be sold, in the order they are drawn
+const sellableLots = async (product, { transaction }) => {
+  const lots = await Lot.findAll({
+    where: {
+      productId: product.id,
+      status: "active",
+      quantity: { [Op.gt]: 0 },
+      [Op.or]: [{ expiryDate: null }, { expiryDate: { [Op.gte]: today() } }]
+    },
+    lock: transaction.LOCK.UPDATE,
+    transaction
+  });
+
+  return lots.sort(compareLots);
+};
+
+// Takes the quantity out of the lots of the product and returns how much was
+// drawn from each one. The product stock is changed by the caller through
+// moveStock, in the same transaction
+const drawFromLots = async (product, quantity, { transaction }) => {
+  const lots = await sellableLots(product, { transaction });
+
+  const allocations = [];
+  let pending = quantity;
+
+  for (const lot of lots) {
+    if (pending === 0) break;
+
+    const drawn = Math.min(lot.quantity, pending);
+
+    await lot.update({ quantity: lot.quantity - drawn }, { transaction });
+
+    allocations.push({ lotId: lot.id, quantity: drawn });
+    pending -= drawn;
+  }
+
+  if (pending > 0) {
+    throw new AppError(
+      409,
+      `${product.name} only has ${quantity - pending} items`,
+      { code: "INSUFFICIENT_STOCK" }
+    );
+  }
+
+  return allocations;
+};
+
+// Puts the quantity into the newest sellable lot, or into a new lot when the
+// product has none
+const addToLots = async (product, quantity, { transaction }) => {
+  const lots = await sellableLots(product, { transaction });
+
+  const newestLot = lots.sort((a, b) => compareLots(b, a))[0];
+
+  if (newestLot) {
+    return await newestLot.update(
+      { quantity: newestLot.quantity + quantity },
+      { transaction }
+    );
+  }
+
+  return await Lot.create(
+    {
+      productId: product.id,
+      batchNumber: product.batchNumber,
+      entryDate: today(),
+      receivedQuantity: quantity,
+      quantity
+    },
+    { transaction }
+  );
+};
+
+// Marks the expired lots of the product and takes their stock out of
+// quantityAvailable. It must run inside a transaction with the product locked
+const expireProductLots = async (product, { transaction }) => {
+  const lots = await Lot.findAll({
+    where: {
+      productId: product.id,
+      status: "active",
+      expiryDate: { [Op.lt]: today() }
+    },
+    order: [["id", "ASC"]],
+    lock: transaction.LOCK.UPDATE,
+    transaction
+  });
+
+  for (const lot of lots) {
+    await lot.update({ status: "expired" }, { transaction });
+
+    if (lot.quantity > 0) {
+      await moveStock(product, -lot.quantity, {
+        type: "expiry",
+        userId: null,
+        reason: `Lot ${lot.batchNumber} expired on ${lot.expiryDate}`,
+        transaction
+      });
+    }
+  }
+
+  return lots;
+};
+
+// Expires the lots of every product, it runs periodically from the server
+const expireLots = async () => {
+  const lots = await Lot.findAll({
+    attributes: ["productId"],
+    where: { status: "active", expiryDate: { [Op.lt]: today() } },
+    group: ["productId"]
+  });
+
+  let expired = 0;
+
+  for (const { productId } of lots) {
+    expired += await database.transaction(async (transaction) => {
+      const product = await Product.findOne({
+        where: { id: productId },
+        lock: transaction.LOCK.UPDATE,
+        transaction
+      });
+
+      const expiredLots = await expireProductLots(product, { transaction });
+
+      return expiredLots.length;
+    });
+  }
+
+  return expired;
+};
+
+module.exports = {
+  today,
+  isExpired,
+  allocationStrategy,
+  drawFromLots,
+  addToLots,
+  expireProductLots,
+  expireLots
+};
@@ -0,0 +1,82 @@
+// Importing the required modules
+const fs = require("fs/promises");
+const path = require("path");
+const nodemailer = require("nodemailer");
+const dotenv = require("dotenv");
+
+dotenv.config({ path: "./config.env" });
+
+// Sends the emails through a real SMTP server
+const smtpTransport = () => {
+  const transporter = nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port: +process.env.SMTP_PORT || 587,
+    secure: process.env.SMTP_SECURE === "true",
+    auth: process.env.SMTP_USER
+      ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASSWORD }
+      : undefined
+  });
+
+  return { send: (message) => transporter.sendMail(message) };
+};
+
+// Writes every email as a JSON file, useful to test without a mail server
+const fileTransport = () => {
+  const dir = process.env.MAIL_FILE_DIR || "./tmp/mails";
+
+  return {
+    send: async (message) => {
+      await fs.mkdir(dir, { recursive: true });
+
+      const fileName = `${Date.now()}-${message.to}.json`.replace(
+        /[^\w.@-]/g,
+        "_"
+      );
+
+      await fs.writeFile(
+        path.join(dir, fileName),
+        JSON.stringify(message, null, 2)
+      );
+    }
+  };
+};
+
+// Prints every email in the console
+const consoleTransport = () => {
+  return {
+    send: async (message) => {
+      console.log("Email sent", message);
+    }
+  };
+};
+
+const transports = {
+  smtp: smtpTransport,
+  file: fileTransport,
+  console: consoleTransport
+};
+
+const createTransport = (name = process.env.MAIL_TRANSPORT || "console") => {
+  if (!transports[name]) {
+    throw new Error(`Unknown mail transport: ${name}`);
+  }
+
+  return transports[name]();
+};
+
+let transport;
+
+const sendEmail = ({ to, subject, text }) => {
+  if (!transport) {
+    transport = createTransport();
+  }
+
+  return transport.send({
+    from: process.env.MAIL_FROM || "no-reply@brm.com",
+    to,
+    subject,
+    text
+  });
+};
+
+module.exports = { createTransport, sendEmail };
@@ -0,0 +1,389 @@
+// Importing the required modules
+const dotenv = require("dotenv");
+
+// Import Utils
+const { AppError } = require("./appError");
+
+dotenv.config({ path: "./config.env" });
+
+// The currency of the prices (ISO 4217), MONEY_LOCALE is used to format them
+const storeCurrency = () => (process.env.CURRENCY || "COP").toUpperCase();
+
+const moneyLocale = () => process.env.MONEY_LOCALE || "es-CO";
+
+// The rounding of the results that fall between two minor units: half-up
+// (half away from zero) or half-even, floor and ceil are used where a rule
+// asks for them (e.g. the coupons round their discount down)
+const defaultRounding = () => process.env.MONEY_ROUNDING || "half-up";
+
+// The decimals of the currency, 2 for COP and USD, 0 for JPY
+const currencyExponent = (currency) => {
+  try {
+    return new Intl.NumberFormat("en", {
+      style: "currency",
+      currency
+    }).resolvedOptions().maximumFractionDigits;
+  } catch (err) {
+    throw new AppError(400, `${currency} is not a valid currency`);
+  }
+};
+
+const pow10 = (exponent) => 10n ** BigInt(exponent);
+
+// "12.345" -> { numerator: 12345n, denominator: 1000n }, exact for the
+// numbers and the decimal strings
+const toFraction = (value) => {
+  const text = `${value}`.trim();
+  const match = /^(-?)(\d+)(?:\.(\d+))?$/.exec(text);
+
+  if (!match) {
+    throw new AppError(400, `${text} is not a valid amount`);
+  }
+
+  const [, sign, integer, decimals = ""] = match;
+
+  return {
+    numerator: BigInt(`${sign}${integer}${decimals}`),
+    denominator: pow10(decimals.length)
+  };
+};
+
+// numerator / denominator as an integer with the rounding mode
+const divideRound = (numerator, denominator, rounding) => {
+  if (denominator < 0n) {
+    numerator = -numerator;
+    denominator = -denominator;
+  }
+
+  const quotient = numerator / denominator;
+  const remainder = numerator % denominator;
+
+  if (remainder === 0n) return quotient;
+
+  const sign = numerator < 0n ? -1n : 1n;
+
+  if (rounding === "floor") return sign < 0n ? quotient - 1n : quotient;
+
+  if (rounding === "ceil") return sign < 0n ? quotient : quotient + 1n;
+
+  const twice = (remainder < 0n ? -remainder : remainder) * 2n;
+
+  if (twice > denominator) return quotient + sign;
+
+  if (twice < denominator) return quotient;
+
+  if (rounding === "half-even") {
+    return quotient % 2n === 0n ? quotient : quotient + sign;
+  }
+
+  if (rounding === "half-up") return quotient + sign;
+
+  throw new Error(`Unknown rounding ${rounding}`);
+};
+
+// An amount in the minor units of its currency (cents). The operations return
+// new amounts and only mix amounts of the same currency
+class Money {
+  constructor(minor, currency = storeCurrency()) {
+    if (!Number.isSafeInteger(minor)) {
+      throw new Error(`${minor} is not a valid amount of minor units`);
+    }
+
+    this.minor = minor;
+    this.currency = currency;
+  }
+
+  static fromMinor(minor, currency = storeCurrency()) {
+    return new Money(Number(minor), currency);
+  }
+
+  // From an amount in major units (1500.5 or "1500.50"). More decimals than
+  // the currency has are an error, not rounded
+  static of(amount, currency = storeCurrency()) {
+    if (amount instanceof Money) return amount;
+
+    const exponent = currencyExponent(currency);
+    const { numerator, denominator } = toFraction(amount);
+    const minor = numerator * pow10(exponent);
+
+    if (minor % denominator !== 0n) {
+      throw new AppError(
+        400,
+        `${currency} amounts can have at most ${exponent} decimals`
+      );
+    }
+
+    return Money.fromBigInt(minor / denominator, currency);
+  }
+
+  static fromBigInt(minor, currency) {
+    if (
+      minor > BigInt(Number.MAX_SAFE_INTEGER) ||
+      minor < BigInt(Number.MIN_SAFE_INTEGER)
+    ) {
+      throw new AppError(400, "The amount is too large");
+    }
+
+    return new Money(Number(minor), currency);
+  }
+
+  static isAmount(amount, currency = storeCurrency()) {
+    try {
+      Money.of(amount, currency);
+
+      return true;
+    } catch (err) {
+      return false;
+    }
+  }
+
+  static zero(currency = storeCurrency()) {
+    return new Money(0, currency);
+  }
+
+  static sum(amounts, currency = storeCurrency()) {
+    return amounts.reduce(
+      (acc, amount) => acc.add(amount),
+      Money.zero(currency)
+    );
+  }
+
+  checkCurrency(other) {
+    if (other.currency !== this.currency) {
+      throw new Error(`Can't operate ${this.currency} with ${other.currency}`);
+    }
+  }
+
+  add(other) {
+    this.checkCurrency(other);
+
+    return Money.fromBigInt(
+      BigInt(this.minor) + BigInt(other.minor),
+      this.currency
+    );
+  }
+
+  subtract(other) {
+    this.checkCurrency(other);
+
+    return Money.fromBigInt(
+      BigInt(this.minor) - BigInt(other.minor),
+      this.currency
+    );
+  }
+
+  // The amount times numerator / denominator, both can be decimals
+  scale(numerator, denominator = 1, rounding = defaultRounding()) {
+    const top = toFraction(numerator);
+    const bottom = toFraction(denominator);
+
+    return Money.fromBigInt(
+      divideRound(
+        BigInt(this.minor) * top.numerator * bottom.denominator,
+        top.denominator * bottom.numerator,
+        rounding
+      ),
+      this.currency
+    );
+  }
+
+  multiply(factor, rounding = defaultRounding()) {
+    return this.scale(factor, 1, rounding);
+  }
+
+  percent(rate, rounding = defaultRounding()) {
+    return this.scale(rate, 100, rounding);
+  }
+
+  // Splits the amount by the weights, the units lost rounding down go to the
+  // first parts so the parts always add up to the amount
+  allocate(weights) {
+    const total = weights.reduce((acc, weight) => acc + BigInt(weight), 0n);
+    const minor = BigInt(this.minor);
+
+    if (total === 0n) return weights.map(() => Money.zero(this.currency));
+
+    const parts = weights.map((weight) => (minor * BigInt(weight)) / total);
+
+    let left = minor - parts.reduce((acc, part) => acc + part, 0n);
+
+    for (let i = 0; left > 0n; i = (i + 1) % parts.length) {
+      if (weights[i] > 0) {
+        parts[i] += 1n;
+        left -= 1n;
+      }
+    }
+
+    return parts.map((part) => Money.fromBigInt(part, this.currency));
+  }
+
+  // rate is how many units of the currency a unit of this one is worth
+  convert(currency, rate, rounding = defaultRounding()) {
+    const { numerator, denominator } = toFraction(rate);
+
+    return Money.fromBigInt(
+      divideRound(
+        BigInt(this.minor) * numerator * pow10(currencyExponent(currency)),
+        denominator * pow10(currencyExponent(this.currency)),
+        rounding
+      ),
+      currency
+    );
+  }
+
+  compare(other) {
+    this.checkCurrency(other);
+
+    return Math.sign(this.minor - other.minor);
+  }
+
+  equals(other) {
+    return (
+      other instanceof Money &&
+      this.currency === other.currency &&
+      this.minor === other.minor
+    );
+  }
+
+  lessThan(other) {
+    return this.compare(other) < 0;
+  }
+
+  greaterThan(other) {
+    return this.compare(other) > 0;
+  }
+
+  min(other) {
+    return this.compare(other) <= 0 ? this : other;
+  }
+
+  isZero() {
+    return this.minor === 0;
+  }
+
+  isPositive() {
+    return this.minor > 0;
+  }
+
+  // 150000050 COP -> "1500000.50"
+  toDecimal() {
+    const exponent = currencyExponent(this.currency);
+    const digits = `${Math.abs(this.minor)}`.padStart(exponent + 1, "0");
+    const integer = digits.slice(0, digits.length - exponent);
+    const decimals = digits.slice(digits.length - exponent);
+
+    return `${this.minor < 0 ? "-" : ""}${integer}${
+      exponent > 0 ? `.${decimals}` : ""
+    }`;
+  }
+
+  format(locale = moneyLocale()) {
+    return new Intl.NumberFormat(locale, {
+      style: "currency",
+      currency: this.currency
+    }).format(this.toDecimal());
+  }
+
+  toString() {
+    return this.format();
+  }
+
+  toJSON() {
+    return {
+      amount: this.toDecimal(),
+      currency: this.currency,
+      formatted: this.format()
+    };
+  }
+}
+
+// The getter and setter of a column with minor units, the currency is taken
+// from (and saved to) the currency column of the same row
+const moneyAttribute = (field, currencyField = "currency") => ({
+  get() {
+    const minor = this.getDataValue(field);
+
+    if (minor === null || minor === undefined) return minor;
+
+    return Money.fromMinor(
+      minor,
+      this.getDataValue(currencyField) || storeCurrency()
+    );
+  },
+  set(value) {
+    if (value instanceof Money) {
+      this.setDataValue(currencyField, value.currency);
+      this.setDataValue(field, value.minor);
+      return;
+    }
+
+    this.setDataValue(field, value);
+  }
+});
+
+// 1e-7 -> "0.0000001", the rates can be written in exponent notation
+const plainDecimal = (value) => {
+  const match = /^(\d+)(?:\.(\d+))?(?:e([+-]?\d+))?$/i.exec(`${value}`.trim());
+
+  if (!match) return null;
+
+  const [, integer, decimals = "", exponent = "0"] = match;
+  const digits = `${integer}${decimals}`;
+  const point = integer.length + Number(exponent);
+
+  if (point <= 0) return `0.${"0".repeat(-point)}${digits}`;
+
+  if (point >= digits.length) return digits.padEnd(point, "0");
+
+  return `${digits.slice(0, point)}.${digits.slice(point)}`;
+};
+
+// The display currencies, EXCHANGE_RATES={"USD": 0.00025} says how many
+// units of each one a unit of the store currency is worth. They are read once
+// when the app loads, a wrong table stops it from starting
+const parseExchangeRates = (config) => {
+  let rates;
+
+  try {
+    rates = JSON.parse(config || "{}");
+  } catch (err) {
+    throw new Error(`EXCHANGE_RATES must be a JSON object: ${err.message}`);
+  }
+
+  if (!rates || typeof rates !== "object" || Array.isArray(rates)) {
+    throw new Error("EXCHANGE_RATES must be a JSON object");
+  }
+
+  return new Map(
+    Object.entries(rates).map(([code, rate]) => {
+      const currency = code.toUpperCase();
+      const decimal = plainDecimal(rate);
+
+      try {
+        currencyExponent(currency);
+      } catch (err) {
+        throw new Error(`EXCHANGE_RATES: ${code} is not a valid currency`);
+      }
+
+      if (decimal === null || !/[1-9]/.test(decimal)) {
+        throw new Error(
+          `EXCHANGE_RATES: the rate of ${code} must be a number greater than 0`
+        );
+      }
+
+      return [currency, decimal];
+    })
+  );
+};
+
+const rates = parseExchangeRates(process.env.EXCHANGE_RATES);
+
+const exchangeRates = () => rates;
+
+module.exports = {
+  Money,
+  storeCurrency,
+  currencyExponent,
+  moneyAttribute,
+  exchangeRates
+};
@@ -0,0 +1,142 @@
+// Import Models
+const { OrderStatusHistory } = require("../models/orderStatusHistory.model");
+const { OrderItem } = require("../models/orderItem.model");
+const { Product } = require("../models/product.model");
+const { ProductInCart } = require("../models/productsInCart.model");
+const { Lot } = require("../models/lot.model");
+
+// Import Utils
+const { AppError } = require("./appError");
+const { moveStock } = require("./stockLedger");
+const { addToLots, expireProductLots, isExpired } = require("./lots");
+const { releaseCoupon } = require("./coupons");
+
+// Order lifecycle, each status lists the statuses it can move to
+const orderTransitions = {
+  pending: ["paid", "cancelled"],
+  paid: ["preparing", "cancelled", "refunded"],
+  preparing: ["shipped", "cancelled", "refunded"],
+  shipped: ["delivered", "refunded"],
+  delivered: ["refunded"],
+  cancelled: [],
+  refunded: []
+};
+
+const orderStatuses = Object.keys(orderTransitions);
+
+const canTransition = (from, to) => {
+  return (orderTransitions[from] || []).includes(to);
+};
+
+// Puts the quantity of the order item back into the lots it was drawn from
+// and returns how much of it can be sold again
+const restockLots = async (product, orderItem, { transaction }) => {
+  // The orders placed before the lots existed go to the newest lot
+  if (orderItem.lots.length === 0) {
+    await addToLots(product, orderItem.quantity, { transaction });
+
+    return orderItem.quantity;
+  }
+
+  let sellable = 0;
+
+  for (const lot of orderItem.lots) {
+    const { quantity } = lot.orderItemLot;
+
+    await lot.update({ quantity: lot.quantity + quantity }, { transaction });
+
+    // The stock of a lot that expired meanwhile stays out of quantityAvailable
+    if (!isExpired(lot)) {
+      sellable += quantity;
+    }
+  }
+
+  return sellable;
+};
+
+// Puts every purchased quantity back into the products stock
+const restockOrder = async (order, { userId, transaction }) => {
+  const orderItems = await OrderItem.findAll({
+    where: { orderId: order.id },
+    include: [{ model: Lot }],
+    transaction
+  });
+
+  // The rows are locked in id order, the same as the checkout does
+  const products = await Product.findAll({
+    where: { id: orderItems.map((el) => el.productId) },
+    order: [["id", "ASC"]],
+    lock: transaction.LOCK.UPDATE,
+    transaction
+  });
+
+  // So the lots that expired meanwhile are already out of quantityAvailable
+  for (const product of products) {
+    await expireProductLots(product, { transaction });
+  }
+
+  for (const orderItem of orderItems) {
+    const product = products.find((el) => el.id === orderItem.productId);
+
+    const sellable = product
+      ? await restockLots(product, orderItem, { transaction })
+      : 0;
+
+    if (sellable > 0) {
+      await moveStock(product, sellable, {
+        type: "restock",
+        userId,
+        orderId: order.id,
+        reason: "Order cancelled",
+        transaction
+      });
+    }
+
+    await orderItem.update({ status: "cancelled" }, { transaction });
+  }
+
+  await ProductInCart.update(
+    { status: "cancelled" },
+    { where: { cartId: order.cartId, status: "purchased" }, transaction }
+  );
+};
+
+// Moves the order to the new status and stores the change in its history,
+// must run inside a transaction with the order row locked
+const transitionOrder = async (
+  order,
+  toStatus,
+  { userId, note, transaction }
+) => {
+  const fromStatus = order.status;
+
+  if (!canTransition(fromStatus, toStatus)) {
+    throw new AppError(
+      409,
+      `Can't change the order status from ${fromStatus} to ${toStatus}`
+    );
+  }
+
+  if (toStatus === "cancelled") {
+    await restockOrder(order, { userId, transaction });
+
+    // The cancelled order doesn't count towards the coupon limits
+    await releaseCoupon(order, { transaction });
+  }
+
+  await order.update({ status: toStatus }, { transaction });
+
+  await OrderStatusHistory.create(
+    { orderId: order.id, fromStatus, toStatus, userId, note },
+    { transaction }
+  );
+
+  return order;
+};
+
+module.exports = {
+  orderTransitions,
+  orderStatuses,
+  canTransition,
+  transitionOrder
+};
@@ -0,0 +1,78 @@
+// Import Models
+const { Role } = require("../models/role.model");
+const { Permission } = require("../models/permission.model");
+
+// Every permission the API checks, the roles are built from these
+const permissions = {
+  "products:read": "See the whole inventory, including internal fields",
+  "products:write": "Create, update and delete products",
+  "orders:read:any": "See the orders of every user",
+  "orders:update:any": "Change the status of any order and cancel it",
+  "orders:refund": "Refund orders",
+  "users:read": "See every user, including the deleted ones",
+  "users:manage": "Change roles, deactivate, reactivate and logout users",
+  "roles:manage": "Create, update and delete roles"
+};
+
+const permissionNames = Object.keys(permissions);
+
+// The roles created on startup (and by npm run seed) when they don't exist yet
+const defaultRoles = [
+  {
+    name: "admin",
+    description: "Full access",
+    isSystem: true,
+    permissions: permissionNames
+  },
+  {
+    name: "client",
+    description: "Buys in the store",
+    isSystem: true,
+    permissions: []
+  },
+  {
+    name: "inventory_manager",
+    description: "Manages the products",
+    permissions: ["products:read", "products:write"]
+  },
+  {
+    name: "support_agent",
+    description: "Follows up and refunds the orders",
+    permissions: ["orders:read:any", "orders:update:any", "orders:refund"]
+  },
+  {
+    name: "auditor",
+    description: "Read only access",
+    permissions: ["products:read", "orders:read:any", "users:read"]
+  }
+];
+
+// Creates the missing permissions and default roles, the admin always gets every permission
+const seedRoles = async () => {
+  for (const name of permissionNames) {
+    await Permission.findOrCreate({
+      where: { name },
+      defaults: { description: permissions[name] }
+    });
+  }
+
+  for (const defaultRole of defaultRoles) {
+    const [role, created] = await Role.findOrCreate({
+      where: { name: defaultRole.name },
+      defaults: {
+        description: defaultRole.description,
+        isSystem: !!defaultRole.isSystem
+      }
+    });
+
+    if (created || role.name === "admin") {
+      const rolePermissions = await Permission.findAll({
+        where: { name: defaultRole.permissions }
+      });
+
+      await role.setPermissions(rolePermissions);
+    }
+  }
+};
+
+module.exports = { permissions, permissionNames, defaultRoles, seedRoles };
@@ -0,0 +1,161 @@
+// Import Models
+const { ProductCategory } = require("../models/productCategory.model");
+
+// Import Utils
+const { AppError } = require("./appError");
+const { loadCategories } = require("./categories");
+const { couponDiscount } = require("./coupons");
+const { Money } = require("./money");
+
+// TAX_RATE is the percent of the products without a category rate, with
+// TAX_INCLUSIVE=true the prices already include the tax
+const taxSettings = () => ({
+  rate: Math.max(+process.env.TAX_RATE || 0, 0),
+  inclusive: process.env.TAX_INCLUSIVE === "true"
+});
+
+// The rate of the category, or of its closest parent with one
+const categoryTaxRate = (categories, categoryId) => {
+  let category = categories.get(categoryId);
+
+  while (category) {
+    if (category.taxRate !== null) return Number(category.taxRate);
+
+    category = categories.get(category.parentId);
+  }
+
+  return null;
+};
+
+// A product in several categories pays the highest of their rates
+const productTaxRates = async (productIds, { transaction }) => {
+  const [categories, productCategories] = await Promise.all([
+    loadCategories({
+      attributes: ["id", "name", "slug", "parentId", "taxRate"],
+      transaction
+    }),
+    ProductCategory.findAll({
+      where: { productId: productIds },
+      attributes: ["productId", "categoryId"],
+      transaction
+    })
+  ]);
+
+  const rates = new Map();
+
+  productCategories.forEach(({ productId, categoryId }) => {
+    const rate = categoryTaxRate(categories, categoryId);
+
+    if (
+      rate !== null &&
+      (!rates.has(productId) || rate > rates.get(productId))
+    ) {
+      rates.set(productId, rate);
+    }
+  });
+
+  const { rate } = taxSettings();
+
+  return new Map(
+    productIds.map((id) => [id, rates.has(id) ? rates.get(id) : rate])
+  );
+};
+
+// Splits the discount between the eligible lines by their totals
+const splitDiscount = (items, discount, eligibleProductIds) => {
+  const shares = discount.allocate(
+    items.map((item) =>
+      eligibleProductIds.includes(item.productId) ? item.lineTotal.minor : 0
+    )
+  );
+
+  return new Map(items.map((item, i) => [item.productId, shares[i]]));
+};
+
+// Prices the lines ({ productId, name, unitPrice (Money), quantity }) of a cart, the
+// cart and the checkout share it so the summary is what the order will cost.
+// The tax is taken from what's left of each line after the discount. A coupon
+// that can't be used throws, unless strict is false: then the lines are
+// priced without it and the error is sent in couponError
+const priceLines = async (
+  lines,
+  { coupon = null, userId, strict = true, transaction } = {}
+) => {
+  const items = lines.map((line) => ({
+    ...line,
+    lineTotal: line.unitPrice.multiply(line.quantity)
+  }));
+
+  const subtotal = Money.sum(items.map((item) => item.lineTotal));
+
+  let discount = Money.zero(subtotal.currency);
+  let eligibleProductIds = [];
+  let couponError = null;
+
+  if (coupon) {
+    try {
+      ({ discount, eligibleProductIds } = await couponDiscount(coupon, items, {
+        userId,
+        transaction
+      }));
+    } catch (err) {
+      if (strict || !(err instanceof AppError)) throw err;
+
+      couponError = { code: err.code, message: err.message };
+    }
+  }
+
+  const shares = splitDiscount(items, discount, eligibleProductIds);
+  const rates = await productTaxRates(
+    items.map((item) => item.productId),
+    { transaction }
+  );
+  const { inclusive } = taxSettings();
+
+  const pricedItems = items.map((item) => {
+    const itemDiscount = shares.get(item.productId);
+    const taxable = item.lineTotal.subtract(itemDiscount);
+    const taxRate = rates.get(item.productId);
+    const tax = inclusive
+      ? taxable.subtract(taxable.scale(100, (100 + taxRate).toFixed(6)))
+      : taxable.percent(taxRate);
+
+    return {
+      ...item,
+      couponApplies: eligibleProductIds.includes(item.productId),
+      discount: itemDiscount,
+      taxRate,
+      tax,
+      total: inclusive ? taxable : taxable.add(tax)
+    };
+  });
+
+  const tax = Money.sum(
+    pricedItems.map((item) => item.tax),
+    subtotal.currency
+  );
+
+  return {
+    items: pricedItems,
+    itemCount: items.reduce((acc, item) => acc + item.quantity, 0),
+    subtotal,
+    discount,
+    tax,
+    taxInclusive: inclusive,
+    totalPrice: inclusive
+      ? subtotal.subtract(discount)
+      : subtotal.subtract(discount).add(tax),
+    coupon:
+      coupon && !couponError
+        ? {
+            code: coupon.code,
+            description: coupon.description,
+            type: coupon.type,
+            value: coupon.value
+          }
+        : null,
+    ...(couponError ? { couponError } : {})
+  };
+};
+
+module.exports = { priceLines };
@@ -0,0 +1,137 @@
+// Importing the required modules
+const { parse } = require("csv-parse/sync");
+const { validationResult } = require("express-validator");
+
+// Import Middlewares
+const { productValidators } = require("../middlewares/validators.middleware");
+
+// Import Utils
+const { AppError } = require("./appError");
+
+const MAX_IMPORT_ROWS = 5000;
+
+// The columns of a row, the rest are ignored
+const importFields = [
+  "batchNumber",
+  "name",
+  "price",
+  "quantityAvailable",
+  "entryDate",
+  "expiryDate",
+  "cost"
+];
+
+// Empty cells are the same as a missing value
+const normalizeRow = (data) => {
+  const row = {};
+
+  importFields.forEach((field) => {
+    const value =
+      typeof data[field] === "string" ? data[field].trim() : data[field];
+
+    if (value !== undefined && value !== null && value !== "") {
+      row[field] = value;
+    }
+  });
+
+  return row;
+};
+
+// The row numbers are the lines of the file, the header is the first one
+const parseCsv = (text) => {
+  let records;
+
+  try {
+    records = parse(text, {
+      columns: true,
+      bom: true,
+      skip_empty_lines: true,
+      trim: true,
+      info: true
+    });
+  } catch (err) {
+    throw new AppError(400, `The CSV is not valid: ${err.message}`, {
+      code: "INVALID_CSV"
+    });
+  }
+
+  return records.map(({ record, info }) => ({
+    row: info.lines,
+    data: normalizeRow(record)
+  }));
+};
+
+// The row numbers are the positions in the array, starting at 1
+const parseJsonRows = (rows) => {
+  if (!Array.isArray(rows)) {
+    throw new AppError(400, "Must provide an array of products");
+  }
+
+  return rows.map((data, index) => ({
+    row: index + 1,
+    data: data && typeof data === "object" ? normalizeRow(data) : {}
+  }));
+};
+
+const parseJson = (text) => {
+  let body;
+
+  try {
+    body = JSON.parse(text);
+  } catch (err) {
+    throw new AppError(400, "The body is not a valid JSON", {
+      code: "INVALID_JSON"
+    });
+  }
+
+  return parseJsonRows(Array.isArray(body) ? body : body.products);
+};
+
+// Reads the rows from an uploaded file (CSV or JSON), a text/csv body or a
+// JSON body with the array of products
+const parseImportRows = (req) => {
+  let rows;
+
+  if (req.file) {
+    const text = req.file.buffer.toString("utf8");
+    const isJson =
+      req.file.mimetype === "application/json" ||
+      /\.json$/i.test(req.file.originalname);
+
+    rows = isJson ? parseJson(text) : parseCsv(text);
+  } else if (typeof req.body === "string") {
+    rows = parseCsv(req.body);
+  } else {
+    const body = req.body || {};
+
+    rows = parseJsonRows(Array.isArray(body) ? body : body.products);
+  }
+
+  if (rows.length === 0) {
+    throw new AppError(400, "There are no products to import");
+  }
+
+  if (rows.length > MAX_IMPORT_ROWS) {
+    throw new AppError(
+      400,
+      `At most ${MAX_IMPORT_ROWS} products can be imported at once`
+    );
+  }
+
+  return rows;
+};
+
+// Checks the row with the same rules as a new product
+const validateRow = async (data) => {
+  const req = { body: { ...data } };
+
+  for (const validator of productValidators) {
+    await validator.run(req);
+  }
+
+  return validationResult(req)
+    .array({ onlyFirstError: true })
+    .map((err) => ({ field: err.param, message: err.msg }));
+};
+
+module.exports = { parseImportRows, validateRow };
@@ -0,0 +1,152 @@
+// Importing the required modules
+const { Op } = require("sequelize");
+
+// Import Utils
+const { AppError } = require("./appError");
+const { Money } = require("./money");
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+// Operators allowed in the range filters, e.g. ?price[gte]=10&price[lte]=50
+const operators = {
+  eq: Op.eq,
+  gt: Op.gt,
+  gte: Op.gte,
+  lt: Op.lt,
+  lte: Op.lte
+};
+
+const castValue = (field, type, value) => {
+  if (type === "number") {
+    const number = Number(value);
+
+    if (value === "" || Number.isNaN(number)) {
+      throw new AppError(400, `The filter ${field} must be a number`);
+    }
+
+    return number;
+  }
+
+  // The amounts are sent in major units and compared in minor units
+  if (type === "money") {
+    if (!Money.isAmount(value)) {
+      throw new AppError(400, `The filter ${field} must be an amount`);
+    }
+
+    return Money.of(value).minor;
+  }
+
+  if (type === "date") {
+    const date = new Date(value);
+
+    if (Number.isNaN(date.getTime())) {
+      throw new AppError(400, `The filter ${field} must be a valid date`);
+    }
+
+    return date;
+  }
+
+  return `${value}`;
+};
+
+const parseFilters = (query, filterFields) => {
+  const where = {};
+
+  Object.keys(filterFields).forEach((field) => {
+    const value = query[field];
+
+    if (value === undefined) return;
+
+    const type = filterFields[field];
+
+    // ?status=active is the same as ?status[eq]=active
+    if (typeof value !== "object" || Array.isArray(value)) {
+      where[field] = castValue(field, type, value);
+      return;
+    }
+
+    where[field] = {};
+
+    Object.keys(value).forEach((op) => {
+      if (!operators[op] || type === "string") {
+        throw new AppError(400, `Invalid operator ${op} for ${field}`);
+      }
+
+      where[field][operators[op]] = castValue(field, type, value[op]);
+    });
+  });
+
+  return where;
+};
+
+const parseSort = (sort, sortFields, defaultSort) => {
+  if (!sort) return defaultSort;
+
+  return `${sort}`.split(",").map((el) => {
+    const direction = el.startsWith("-") ? "DESC" : "ASC";
+    const field = el.replace(/^-/, "");
+
+    if (!sortFields.includes(field)) {
+      throw new AppError(400, `Can't sort by ${field}`);
+    }
+
+    return [field, direction];
+  });
+};
+
+const parsePositiveInt = (value, name, defaultValue) => {
+  if (value === undefined) return defaultValue;
+
+  const number = Number(value);
+
+  if (!Number.isInteger(number) || number < 1) {
+    throw new AppError(400, `The ${name} must be a positive integer`);
+  }
+
+  return number;
+};
+
+// Translates ?page, ?limit, ?sort and the range filters into Sequelize options
+const parseQuery = (
+  query,
+  { filterFields = {}, sortFields = [], defaultSort = [["id", "ASC"]] } = {}
+) => {
+  const page = parsePositiveInt(query.page, "page", 1);
+  const limit = Math.min(
+    parsePositiveInt(query.limit, "limit", DEFAULT_LIMIT),
+    MAX_LIMIT
+  );
+
+  return {
+    page,
+    limit,
+    offset: (page - 1) * limit,
+    where: parseFilters(query, filterFields),
+    order: parseSort(query.sort, sortFields, defaultSort)
+  };
+};
+
+const pageLink = (req, page) => {
+  const url = new URL(req.originalUrl, "http://localhost");
+
+  url.searchParams.set("page", page);
+
+  return `${url.pathname}${url.search}`;
+};
+
+// Builds the pagination metadata sent along with every collection
+const paginationInfo = (req, { count, page, limit }) => {
+  const totalPages = Math.ceil(count / limit);
+
+  return {
+    total: count,
+    page,
+    limit,
+    totalPages,
+    next: page < totalPages ? pageLink(req, page + 1) : null,
+    prev: page > 1 ? pageLink(req, Math.min(page - 1, totalPages || 1)) : null
+  };
+};
+
+module.exports = { parseQuery, paginationInfo };
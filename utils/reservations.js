@@ -0,0 +1,110 @@
+// Importing the required modules
+const { Op, fn, col } = require("sequelize");
+
+// Import Models
+const { ProductInCart } = require("../models/productsInCart.model");
+
+// Import Utils
+const { AppError } = require("./appError");
+
+// How long the stock of a cart line stays reserved, 0 turns the reservations
+// off and the stock is only checked at checkout
+const reservationMinutes = () => {
+  const minutes = process.env.CART_RESERVATION_MINUTES;
+
+  return minutes === undefined || minutes === "" ? 15 : Math.max(+minutes, 0);
+};
+
+// The reservation fields of a cart line with the given quantity
+const reservationFor = (quantity) => {
+  const minutes = reservationMinutes();
+
+  if (!minutes || quantity === 0) {
+    return { reservedQuantity: 0, reservedUntil: null };
+  }
+
+  return {
+    reservedQuantity: quantity,
+    reservedUntil: new Date(Date.now() + minutes * 60 * 1000)
+  };
+};
+
+// The quantity held by the active reservations of each product, the
+// reservations of the given carts (an id or an array) are left out
+const reservedQuantities = async (
+  productIds,
+  { exceptCartId, transaction } = {}
+) => {
+  const where = {
+    productId: productIds,
+    status: "active",
+    reservedUntil: { [Op.gt]: new Date() }
+  };
+
+  if (exceptCartId) {
+    where.cartId = { [Op.notIn]: [].concat(exceptCartId) };
+  }
+
+  const rows = await ProductInCart.findAll({
+    attributes: ["productId", [fn("SUM", col("reservedQuantity")), "reserved"]],
+    where,
+    group: ["productId"],
+    raw: true,
+    transaction
+  });
+
+  return new Map(rows.map((el) => [el.productId, +el.reserved]));
+};
+
+// On hand is the stock of the product, sellable is what's not reserved
+const availability = (product, reserved) => {
+  const onHand = product.quantityAvailable;
+  const held = reserved.get(product.id) || 0;
+
+  return { onHand, reserved: held, sellable: Math.max(onHand - held, 0) };
+};
+
+// Adds the availability to the products, plain objects or instances
+const withAvailability = async (products) => {
+  const reserved = await reservedQuantities(products.map((el) => el.id));
+
+  return products.map((product) => ({
+    ...(product.toJSON ? product.toJSON() : product),
+    availability: availability(product, reserved)
+  }));
+};
+
+// Checks the quantity against the stock no other cart is holding, the
+// product row must be locked so two carts can't claim the same units
+const checkSellable = async (product, quantity, { cartId, transaction }) => {
+  const reserved = await reservedQuantities([product.id], {
+    exceptCartId: cartId,
+    transaction
+  });
+
+  const { sellable } = availability(product, reserved);
+
+  if (quantity > sellable) {
+    throw new AppError(400, `This product only has ${sellable} items.`);
+  }
+};
+
+// Frees the reservations past their TTL, it runs periodically from the server
+const releaseExpiredReservations = async () => {
+  const [released] = await ProductInCart.update(
+    { reservedQuantity: 0, reservedUntil: null },
+    { where: { reservedUntil: { [Op.lte]: new Date() } } }
+  );
+
+  return released;
+};
+
+module.exports = {
+  reservationMinutes,
+  reservationFor,
+  reservedQuantities,
+  availability,
+  withAvailability,
+  checkSellable,
+  releaseExpiredReservations
+};
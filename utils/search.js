@@ -0,0 +1,137 @@
+// Importing the required modules
+const { literal } = require("sequelize");
+
+// Import Database
+const { database } = require("../database/database");
+
+// Import Utils
+const { isPostgres } = require("./dialect");
+
+// The text search configuration of Postgres, simple doesn't stem the words
+// so brand names are kept as they are
+const SEARCH_LANGUAGE = process.env.SEARCH_LANGUAGE || "simple";
+
+// How similar a word of the name must be to the search to tolerate a typo
+const SEARCH_SIMILARITY = +process.env.SEARCH_SIMILARITY || 0.3;
+
+const escape = (value) => database.escape(value);
+
+const quote = (name) => database.getQueryInterface().quoteIdentifier(name);
+
+const productName = `${quote("product")}.${quote("name")}`;
+
+// Only letters and numbers, so the words are safe inside a tsquery
+const searchWords = (q) => q.toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+
+// % and _ are literal characters in the search, ! escapes them
+const likePattern = (before, q, after) => {
+  return escape(`${before}${q.replace(/[!%_]/g, "!$&")}${after}`);
+};
+
+const nameLike = (before, q, after) => {
+  return `${productName} ${isPostgres() ? "ILIKE" : "LIKE"} ${likePattern(
+    before,
+    q,
+    after
+  )} ESCAPE '!'`;
+};
+
+// The names of the active categories of the product
+const categoriesJoin = `FROM ${quote("productCategories")} AS pc
+  JOIN ${quote("categories")} AS c ON c.${quote("id")} = pc.${quote(
+  "categoryId"
+)}
+  WHERE pc.${quote("productId")} = ${quote("product")}.${quote("id")}
+  AND c.${quote("status")} = 'active'`;
+
+// Postgres: full text search over the name and the category names, ranked
+// by relevance, and the names with a word similar to the search for typos
+const fullTextSearch = (q) => {
+  const config = `${escape(SEARCH_LANGUAGE)}::regconfig`;
+  const query = `websearch_to_tsquery(${config}, ${escape(q)})`;
+  const categoryNames = `coalesce((SELECT string_agg(c.${quote(
+    "name"
+  )}, ' ') ${categoriesJoin}), '')`;
+  const document = `(setweight(to_tsvector(${config}, ${productName}), 'A') || setweight(to_tsvector(${config}, ${categoryNames}), 'B'))`;
+  const similarity = `word_similarity(${escape(q)}, ${productName})`;
+
+  return {
+    where: literal(
+      `(${document} @@ ${query} OR ${similarity} >= ${SEARCH_SIMILARITY})`
+    ),
+    rank: literal(`(ts_rank(${document}, ${query}) + ${similarity})`)
+  };
+};
+
+// Other dialects: every word must be in the name or in a category name, the
+// names that start with the search go first
+const likeSearch = (q) => {
+  const words = searchWords(q);
+
+  const conditions = (words.length > 0 ? words : [q]).map(
+    (word) =>
+      `(${nameLike(
+        "%",
+        word,
+        "%"
+      )} OR EXISTS (SELECT 1 ${categoriesJoin} AND c.${quote(
+        "name"
+      )} LIKE ${likePattern("%", word, "%")} ESCAPE '!'))`
+  );
+
+  return {
+    where: literal(`(${conditions.join(" AND ")})`),
+    rank: literal(
+      `(CASE WHEN ${nameLike("", q, "%")} THEN 2 WHEN ${nameLike(
+        "%",
+        q,
+        "%"
+      )} THEN 1 ELSE 0 END)`
+    )
+  };
+};
+
+// The condition and the relevance of a catalog search
+const productSearch = (q) => {
+  return isPostgres() ? fullTextSearch(q) : likeSearch(q);
+};
+
+// The condition and the order of the names that complete what the user is
+// typing: "tv so" -> "Tv Sony"
+const productSuggestions = (q) => {
+  const startsWith = nameLike("", q, "%");
+  const wordStartsWith = nameLike("% ", q, "%");
+
+  if (!isPostgres()) {
+    return {
+      where: literal(`(${startsWith} OR ${wordStartsWith})`),
+      rank: literal(`(CASE WHEN ${startsWith} THEN 1 ELSE 0 END)`)
+    };
+  }
+
+  const words = searchWords(q);
+
+  // The last word is still being typed, it's matched as a prefix
+  const prefixQuery = words
+    .map((word, index) => (index === words.length - 1 ? `${word}:*` : word))
+    .join(" & ");
+
+  const config = `${escape(SEARCH_LANGUAGE)}::regconfig`;
+  const matchesPrefix =
+    words.length > 0
+      ? `to_tsvector(${config}, ${productName}) @@ to_tsquery(${config}, ${escape(
+          prefixQuery
+        )})`
+      : "FALSE";
+
+  return {
+    where: literal(`(${startsWith} OR ${matchesPrefix})`),
+    rank: literal(
+      `((CASE WHEN ${startsWith} THEN 1 ELSE 0 END) + similarity(${productName}, ${escape(
+        q
+      )}))`
+    )
+  };
+};
+
+module.exports = { productSearch, productSuggestions };
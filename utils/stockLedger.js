@@ -0,0 +1,57 @@
+// Import Models
+const { StockMovement } = require("../models/stockMovement.model");
+
+// Import Utils
+const { AppError } = require("./appError");
+
+// Changes the product stock by delta and records it in the ledger. It must
+// run inside a transaction with the product row locked
+const moveStock = async (
+  product,
+  delta,
+  { type, userId, orderId, reason, transaction }
+) => {
+  const balance = product.quantityAvailable + delta;
+
+  if (balance < 0) {
+    throw new AppError(
+      409,
+      `${product.name} only has ${product.quantityAvailable} items`,
+      { code: "INSUFFICIENT_STOCK" }
+    );
+  }
+
+  await product.update({ quantityAvailable: balance }, { transaction });
+
+  return await StockMovement.create(
+    {
+      productId: product.id,
+      type,
+      delta,
+      balance,
+      userId,
+      orderId,
+      reason
+    },
+    { transaction }
+  );
+};
+
+// Compares the stock of the product with the sum of its ledger
+const reconcileStock = async (product, options = {}) => {
+  const ledgerBalance =
+    (await StockMovement.sum("delta", {
+      where: { productId: product.id },
+      ...options
+    })) || 0;
+
+  return {
+    productId: product.id,
+    quantityAvailable: product.quantityAvailable,
+    ledgerBalance,
+    difference: product.quantityAvailable - ledgerBalance,
+    isReconciled: product.quantityAvailable === ledgerBalance
+  };
+};
+
+module.exports = { moveStock, reconcileStock };
@@ -0,0 +1,103 @@
+// Importing the required modules
+const fs = require("fs/promises");
+const path = require("path");
+const dotenv = require("dotenv");
+
+dotenv.config({ path: "./config.env" });
+
+const LOCAL_DIR = process.env.STORAGE_LOCAL_DIR || "./uploads";
+
+// Saves the files in a local folder, served by the app under /uploads
+const localStorage = () => {
+  const baseUrl = process.env.STORAGE_PUBLIC_URL || "/uploads";
+
+  return {
+    put: async (key, body) => {
+      const file = path.join(LOCAL_DIR, key);
+
+      await fs.mkdir(path.dirname(file), { recursive: true });
+
+      await fs.writeFile(file, body);
+    },
+    remove: async (key) => {
+      await fs.rm(path.join(LOCAL_DIR, key), { force: true });
+    },
+    url: (key) => `${baseUrl}/${key}`
+  };
+};
+
+// Saves the files in an S3 bucket, S3_ENDPOINT points it to any S3
+// compatible server (e.g. a local MinIO)
+const s3Storage = () => {
+  const {
+    S3Client,
+    PutObjectCommand,
+    DeleteObjectCommand
+  } = require("@aws-sdk/client-s3");
+
+  const bucket = process.env.S3_BUCKET;
+  const region = process.env.S3_REGION || "us-east-1";
+  const endpoint = process.env.S3_ENDPOINT;
+
+  if (!bucket) {
+    throw new Error("S3_BUCKET is required by the s3 storage");
+  }
+
+  const client = new S3Client({
+    region,
+    endpoint,
+    forcePathStyle: process.env.S3_FORCE_PATH_STYLE === "true",
+    credentials: process.env.S3_ACCESS_KEY_ID
+      ? {
+          accessKeyId: process.env.S3_ACCESS_KEY_ID,
+          secretAccessKey: process.env.S3_SECRET_ACCESS_KEY
+        }
+      : undefined
+  });
+
+  const baseUrl =
+    process.env.STORAGE_PUBLIC_URL ||
+    (endpoint
+      ? `${endpoint.replace(/\/$/, "")}/${bucket}`
+      : `https://${bucket}.s3.${region}.amazonaws.com`);
+
+  return {
+    put: (key, body, contentType) =>
+      client.send(
+        new PutObjectCommand({
+          Bucket: bucket,
+          Key: key,
+          Body: body,
+          ContentType: contentType
+        })
+      ),
+    remove: (key) =>
+      client.send(new DeleteObjectCommand({ Bucket: bucket, Key: key })),
+    url: (key) => `${baseUrl}/${key}`
+  };
+};
+
+const drivers = {
+  local: localStorage,
+  s3: s3Storage
+};
+
+const createStorage = (name = process.env.STORAGE_DRIVER || "local") => {
+  if (!drivers[name]) {
+    throw new Error(`Unknown storage driver: ${name}`);
+  }
+
+  return drivers[name]();
+};
+
+let storage;
+
+const getStorage = () => {
+  if (!storage) {
+    storage = createStorage();
+  }
+
+  return storage;
+};
+
+module.exports = { LOCAL_DIR, createStorage, getStorage };